@@ -0,0 +1,136 @@
+import { describe, expect, jest } from "@jest/globals";
+import { db, pool } from "../../src/config/db.js";
+
+function mockClient() {
+  const client = {
+    query: jest.fn().mockResolvedValue({ rows: [], rowCount: 0 }),
+    release: jest.fn(),
+  };
+  jest.spyOn(pool, "connect").mockResolvedValue(client);
+  return client;
+}
+
+function executed(client) {
+  return client.query.mock.calls.map(([sql]) => sql);
+}
+
+describe("db", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("query", () => {
+    it("uses pool outside of transaction", async () => {
+      const mockResult = { rows: [{ id: 1 }], rowCount: 1 };
+      jest.spyOn(pool, "query").mockResolvedValue(mockResult);
+
+      await expect(db.query("SELECT 1", [1])).resolves.toBe(mockResult);
+      expect(pool.query).toHaveBeenCalledWith("SELECT 1", [1]);
+    });
+  });
+
+  describe("transaction", () => {
+    it("runs queries on one client and commits", async () => {
+      const client = mockClient();
+      jest.spyOn(pool, "query");
+
+      const result = await db.transaction(async () => {
+        await db.query("INSERT INTO a VALUES ($1)", [1]);
+        await db.query("INSERT INTO b VALUES ($1)", [2]);
+        return "done";
+      });
+
+      expect(result).toBe("done");
+      expect(executed(client)).toEqual(["BEGIN", "INSERT INTO a VALUES ($1)", "INSERT INTO b VALUES ($1)", "COMMIT"]);
+      expect(client.query).toHaveBeenCalledWith("INSERT INTO b VALUES ($1)", [2]);
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalledWith(undefined);
+    });
+
+    it("rolls back and rethrows on error", async () => {
+      const client = mockClient();
+      const error = new Error("boom");
+
+      await expect(
+        db.transaction(async () => {
+          await db.query("INSERT INTO a VALUES (1)");
+          throw error;
+        })
+      ).rejects.toBe(error);
+      expect(executed(client)).toEqual(["BEGIN", "INSERT INTO a VALUES (1)", "ROLLBACK"]);
+      expect(client.release).toHaveBeenCalledWith(undefined);
+    });
+
+    it("discards client if rollback fails", async () => {
+      const client = mockClient();
+      const rollbackError = new Error("connection terminated");
+      client.query.mockImplementation(async (sql) => {
+        if (sql === "ROLLBACK") {
+          throw rollbackError;
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      await expect(
+        db.transaction(async () => {
+          throw new Error("boom");
+        })
+      ).rejects.toThrow("boom");
+      expect(client.release).toHaveBeenCalledWith(rollbackError);
+    });
+
+    it("does not leak transaction into later queries", async () => {
+      mockClient();
+      jest.spyOn(pool, "query").mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await db.transaction(async () => {});
+      await db.query("SELECT 1");
+
+      expect(pool.query).toHaveBeenCalledWith("SELECT 1", undefined);
+    });
+
+    it("joins outer transaction using savepoint", async () => {
+      const client = mockClient();
+
+      await db.transaction(async () => {
+        await db.query("INSERT INTO a VALUES (1)");
+        await db.transaction(async () => {
+          await db.query("INSERT INTO b VALUES (2)");
+        });
+      });
+
+      expect(pool.connect).toHaveBeenCalledTimes(1);
+      expect(executed(client)).toEqual([
+        "BEGIN",
+        "INSERT INTO a VALUES (1)",
+        "SAVEPOINT sp_1",
+        "INSERT INTO b VALUES (2)",
+        "RELEASE SAVEPOINT sp_1",
+        "COMMIT",
+      ]);
+    });
+
+    it("rolls back only nested work when its error is handled", async () => {
+      const client = mockClient();
+
+      await db.transaction(async () => {
+        await db
+          .transaction(async () => {
+            await db.query("INSERT INTO b VALUES (2)");
+            throw new Error("nested");
+          })
+          .catch(() => {});
+        await db.query("INSERT INTO c VALUES (3)");
+      });
+
+      expect(executed(client)).toEqual([
+        "BEGIN",
+        "SAVEPOINT sp_1",
+        "INSERT INTO b VALUES (2)",
+        "ROLLBACK TO SAVEPOINT sp_1",
+        "INSERT INTO c VALUES (3)",
+        "COMMIT",
+      ]);
+    });
+  });
+});
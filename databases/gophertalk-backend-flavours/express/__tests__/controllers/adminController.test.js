@@ -0,0 +1,304 @@
+import { expect, jest } from "@jest/globals";
+import express from "express";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import { AdminController } from "../../src/controllers/adminController.js";
+import { requestAuth, requireRole } from "../../src/middleware/auth.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { validate } from "../../src/middleware/validate.js";
+import { SessionRepository } from "../../src/repositories/sessionRepository.js";
+import { AdminService } from "../../src/services/adminService.js";
+import { ConflictError, NotFoundError } from "../../src/utils/errors.js";
+import {
+  filterAdminUserValidator,
+  filterReportValidator,
+  updateReportStatusValidator,
+  updateRoleValidator,
+} from "../../src/validators/adminValidators.js";
+import { idParamsValidator, paginationValidator } from "../../src/validators/commonValidators.js";
+
+const SECRET = "admin-secret";
+
+// Приложение с настоящей проверкой токена: роль должна браться из сессии, а не из токена
+const authApp = express();
+authApp.get("/api/admin/users", requestAuth(SECRET), requireRole("admin"), AdminController.getUsers);
+authApp.use(errorHandler);
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  req.user = { sub: "1", role: req.headers["x-role"] };
+  next();
+});
+
+app.get(
+  "/api/admin/posts/deleted",
+  requireRole("moderator", "admin"),
+  validate(paginationValidator, "query"),
+  AdminController.getDeletedPosts
+);
+app.delete(
+  "/api/admin/posts/:id",
+  requireRole("moderator", "admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.deletePost
+);
+app.get(
+  "/api/admin/reports",
+  requireRole("moderator", "admin"),
+  validate(filterReportValidator, "query"),
+  AdminController.getReports
+);
+app.get(
+  "/api/admin/reports/:id",
+  requireRole("moderator", "admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.getReportById
+);
+app.put(
+  "/api/admin/reports/:id/status",
+  requireRole("moderator", "admin"),
+  validate(idParamsValidator, "params"),
+  validate(updateReportStatusValidator),
+  AdminController.updateReportStatus
+);
+app.get("/api/admin/users", requireRole("admin"), validate(filterAdminUserValidator, "query"), AdminController.getUsers);
+app.post(
+  "/api/admin/users/:id/block",
+  requireRole("admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.blockUser
+);
+app.post(
+  "/api/admin/users/:id/unblock",
+  requireRole("admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.unblockUser
+);
+app.put(
+  "/api/admin/users/:id/role",
+  requireRole("admin"),
+  validate(idParamsValidator, "params"),
+  validate(updateRoleValidator),
+  AdminController.setUserRole
+);
+
+app.use(errorHandler);
+
+describe("AdminController", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("GET /api/admin/posts/deleted", () => {
+    it("should return deleted posts for moderator", async () => {
+      const posts = [{ id: 1, text: "deleted" }];
+      jest.spyOn(AdminService, "getDeletedPosts").mockResolvedValueOnce(posts);
+
+      const res = await request(app).get("/api/admin/posts/deleted?limit=5").set("X-Role", "moderator");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(posts);
+      expect(AdminService.getDeletedPosts).toHaveBeenCalledWith(5, 0);
+    });
+
+    it("should return 403 for regular user", async () => {
+      jest.spyOn(AdminService, "getDeletedPosts");
+
+      const res = await request(app).get("/api/admin/posts/deleted").set("X-Role", "user");
+
+      expect(res.status).toBe(403);
+      expect(AdminService.getDeletedPosts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("DELETE /api/admin/posts/:id", () => {
+    it("should delete any post", async () => {
+      jest.spyOn(AdminService, "deletePost").mockResolvedValueOnce();
+
+      const res = await request(app).delete("/api/admin/posts/10").set("X-Role", "admin");
+
+      expect(res.status).toBe(204);
+      expect(AdminService.deletePost).toHaveBeenCalledWith(10, 1);
+    });
+
+    it("should return 404 if post not found", async () => {
+      jest.spyOn(AdminService, "deletePost").mockRejectedValueOnce(new NotFoundError("Post not found or already deleted"));
+
+      const res = await request(app).delete("/api/admin/posts/10").set("X-Role", "admin");
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /api/admin/reports", () => {
+    it("should return report queue to moderator", async () => {
+      const reports = [{ id: 1, status: "open" }];
+      jest.spyOn(AdminService, "getReports").mockResolvedValueOnce(reports);
+
+      const res = await request(app).get("/api/admin/reports?status=open&reason=spam").set("X-Role", "moderator");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(reports);
+      expect(AdminService.getReports).toHaveBeenCalledWith({ limit: 10, offset: 0, status: "open", reason: "spam" });
+    });
+
+    it("should return 403 to regular user", async () => {
+      const res = await request(app).get("/api/admin/reports").set("X-Role", "user");
+
+      expect(res.status).toBe(403);
+    });
+
+    it("should return 422 for unknown status", async () => {
+      const res = await request(app).get("/api/admin/reports?status=closed").set("X-Role", "moderator");
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("GET /api/admin/reports/:id", () => {
+    it("should return report with actions", async () => {
+      const report = { id: 1, status: "dismissed", actions: [{ id: 1, to_status: "dismissed" }] };
+      jest.spyOn(AdminService, "getReportById").mockResolvedValueOnce(report);
+
+      const res = await request(app).get("/api/admin/reports/1").set("X-Role", "moderator");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(report);
+    });
+  });
+
+  describe("PUT /api/admin/reports/:id/status", () => {
+    it("should change report status on behalf of moderator", async () => {
+      const report = { id: 5, status: "actioned" };
+      jest.spyOn(AdminService, "updateReportStatus").mockResolvedValueOnce(report);
+
+      const res = await request(app)
+        .put("/api/admin/reports/5/status")
+        .set("X-Role", "moderator")
+        .send({ status: "actioned", note: "spam" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(report);
+      expect(AdminService.updateReportStatus).toHaveBeenCalledWith(5, 1, { status: "actioned", note: "spam" });
+    });
+
+    it("should return 409 for invalid transition", async () => {
+      jest
+        .spyOn(AdminService, "updateReportStatus")
+        .mockRejectedValueOnce(new ConflictError("Cannot change report status", "INVALID_REPORT_TRANSITION"));
+
+      const res = await request(app)
+        .put("/api/admin/reports/5/status")
+        .set("X-Role", "admin")
+        .send({ status: "open" });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe("INVALID_REPORT_TRANSITION");
+    });
+  });
+
+  describe("GET /api/admin/users", () => {
+    it("should return users filtered by status", async () => {
+      const users = [{ id: 2, status: 0 }];
+      jest.spyOn(AdminService, "getUsers").mockResolvedValueOnce(users);
+
+      const res = await request(app).get("/api/admin/users?status=0").set("X-Role", "admin");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(users);
+      expect(AdminService.getUsers).toHaveBeenCalledWith({ status: 0, limit: 10, offset: 0 });
+    });
+
+    it("should not filter by status if not provided", async () => {
+      jest.spyOn(AdminService, "getUsers").mockResolvedValueOnce([]);
+
+      await request(app).get("/api/admin/users").set("X-Role", "admin");
+
+      expect(AdminService.getUsers).toHaveBeenCalledWith({ status: undefined, limit: 10, offset: 0 });
+    });
+  });
+
+  describe("POST /api/admin/users/:id/block", () => {
+    it("should block user", async () => {
+      const user = { id: 2, status: 0 };
+      jest.spyOn(AdminService, "blockUser").mockResolvedValueOnce(user);
+
+      const res = await request(app).post("/api/admin/users/2/block").set("X-Role", "admin");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(user);
+      expect(AdminService.blockUser).toHaveBeenCalledWith(2, 1);
+    });
+
+    it("should return 403 for moderator", async () => {
+      const res = await request(app).post("/api/admin/users/2/block").set("X-Role", "moderator");
+
+      expect(res.status).toBe(403);
+    });
+
+    it("should return 422 if id is invalid", async () => {
+      const res = await request(app).post("/api/admin/users/abc/block").set("X-Role", "admin");
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("POST /api/admin/users/:id/unblock", () => {
+    it("should unblock user", async () => {
+      const user = { id: 2, status: 1 };
+      jest.spyOn(AdminService, "unblockUser").mockResolvedValueOnce(user);
+
+      const res = await request(app).post("/api/admin/users/2/unblock").set("X-Role", "admin");
+
+      expect(res.status).toBe(200);
+      expect(AdminService.unblockUser).toHaveBeenCalledWith(2);
+    });
+  });
+
+  describe("PUT /api/admin/users/:id/role", () => {
+    it("should update user role", async () => {
+      const user = { id: 2, role: "moderator" };
+      jest.spyOn(AdminService, "setUserRole").mockResolvedValueOnce(user);
+
+      const res = await request(app)
+        .put("/api/admin/users/2/role")
+        .set("X-Role", "admin")
+        .send({ role: "moderator" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(user);
+      expect(AdminService.setUserRole).toHaveBeenCalledWith(2, "moderator", 1);
+    });
+
+    it("should return 422 for unknown role", async () => {
+      const res = await request(app).put("/api/admin/users/2/role").set("X-Role", "admin").send({ role: "root" });
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("role check", () => {
+    const token = () => jwt.sign({ sub: "1", sid: "session-id", role: "admin" }, SECRET);
+
+    it("should use current role from the session instead of token claims", async () => {
+      const getUsers = jest.spyOn(AdminService, "getUsers");
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValueOnce("user");
+
+      const res = await request(authApp).get("/api/admin/users").set("Authorization", `Bearer ${token()}`);
+
+      expect(res.status).toBe(403);
+      expect(getUsers).not.toHaveBeenCalled();
+    });
+
+    it("should allow user whose current role matches", async () => {
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValueOnce("admin");
+      jest.spyOn(AdminService, "getUsers").mockResolvedValueOnce([]);
+
+      const res = await request(authApp).get("/api/admin/users").set("Authorization", `Bearer ${token()}`);
+
+      expect(res.status).toBe(200);
+    });
+  });
+});
@@ -2,12 +2,37 @@ import { expect, jest } from "@jest/globals";
 import express from "express";
 import request from "supertest";
 import { AuthController } from "../../src/controllers/authController.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { validate } from "../../src/middleware/validate.js";
 import { AuthService } from "../../src/services/authService.js";
+import { ConflictError, ForbiddenError, NotFoundError, UnauthorizedError } from "../../src/utils/errors.js";
+import { sessionParamsValidator } from "../../src/validators/authValidators.js";
+
+const otherSessionId = "6f1c2d3e-4b5a-4c6d-8e7f-9a0b1c2d3e4f";
 
 const app = express();
 app.use(express.json());
 app.post("/api/auth/login", AuthController.login);
 app.post("/api/auth/register", AuthController.register);
+app.post("/api/auth/refresh", AuthController.refresh);
+app.post("/api/auth/restore", AuthController.restore);
+app.use(errorHandler);
+
+const protectedApp = express();
+protectedApp.use(express.json());
+protectedApp.use((req, res, next) => {
+  req.user = { sub: "1", sid: "session-id" };
+  next();
+});
+protectedApp.post("/api/auth/logout", AuthController.logout);
+protectedApp.get("/api/auth/sessions", AuthController.getSessions);
+protectedApp.delete(
+  "/api/auth/sessions/:id",
+  validate(sessionParamsValidator, "params"),
+  AuthController.revokeSession
+);
+
+protectedApp.use(errorHandler);
 
 describe("AuthController", () => {
   afterEach(() => {
@@ -25,7 +50,7 @@ describe("AuthController", () => {
 
       expect(res.status).toBe(200);
       expect(res.body).toEqual(tokens);
-      expect(AuthService.login).toHaveBeenCalledWith(loginDTO);
+      expect(AuthService.login).toHaveBeenCalledWith(loginDTO, expect.any(Object));
     });
 
     it("should return 401 if login fails", async () => {
@@ -33,13 +58,27 @@ describe("AuthController", () => {
 
       jest
         .spyOn(AuthService, "login")
-        .mockRejectedValueOnce(new Error("Wrong password"));
+        .mockRejectedValueOnce(new UnauthorizedError("Wrong password", "INVALID_CREDENTIALS"));
 
       const res = await request(app).post("/api/auth/login").send(loginDTO);
 
       expect(res.status).toBe(401);
       expect(res.body.message).toBe("Wrong password");
-      expect(AuthService.login).toHaveBeenCalledWith(loginDTO);
+      expect(AuthService.login).toHaveBeenCalledWith(loginDTO, expect.any(Object));
+    });
+  });
+
+  describe("POST /api/auth/login for blocked user", () => {
+    it("should return 403 with error code", async () => {
+      const loginDTO = { user_name: "test_user", password: "test123!" };
+      jest
+        .spyOn(AuthService, "login")
+        .mockRejectedValueOnce(new ForbiddenError("User is blocked", "USER_BLOCKED"));
+
+      const res = await request(app).post("/api/auth/login").send(loginDTO);
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ code: "USER_BLOCKED", message: "User is blocked" });
     });
   });
 
@@ -62,10 +101,10 @@ describe("AuthController", () => {
 
       expect(res.status).toBe(201);
       expect(res.body).toEqual(tokens);
-      expect(AuthService.register).toHaveBeenCalledWith(registerDTO);
+      expect(AuthService.register).toHaveBeenCalledWith(registerDTO, expect.any(Object));
     });
 
-    it("should return 401 if registration fails", async () => {
+    it("should return 409 if user already exists", async () => {
       const registerDTO = {
         user_name: "test_user",
         password: "test123!",
@@ -76,15 +115,129 @@ describe("AuthController", () => {
 
       jest
         .spyOn(AuthService, "register")
-        .mockRejectedValueOnce(new Error("User already exists"));
+        .mockRejectedValueOnce(new ConflictError("User already exists", "USER_ALREADY_EXISTS"));
 
       const res = await request(app)
         .post("/api/auth/register")
         .send(registerDTO);
 
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({ code: "USER_ALREADY_EXISTS", message: "User already exists" });
+      expect(AuthService.register).toHaveBeenCalledWith(registerDTO, expect.any(Object));
+    });
+  });
+
+  describe("POST /api/auth/restore", () => {
+    const restoreDTO = { user_name: "test_user", password: "test123!" };
+
+    it("should restore deleted account", async () => {
+      const tokens = { access_token: "access", refresh_token: "refresh" };
+      jest.spyOn(AuthService, "restore").mockResolvedValueOnce(tokens);
+
+      const res = await request(app).post("/api/auth/restore").send(restoreDTO);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(tokens);
+      expect(AuthService.restore).toHaveBeenCalledWith(restoreDTO, expect.any(Object));
+    });
+
+    it("should return 409 if user name was taken", async () => {
+      jest
+        .spyOn(AuthService, "restore")
+        .mockRejectedValueOnce(new ConflictError("User name is already taken", "USER_NAME_TAKEN"));
+
+      const res = await request(app).post("/api/auth/restore").send(restoreDTO);
+
+      expect(res.status).toBe(409);
+      expect(res.body).toEqual({ code: "USER_NAME_TAKEN", message: "User name is already taken" });
+    });
+  });
+
+  describe("POST /api/auth/refresh", () => {
+    it("should successfully refresh tokens", async () => {
+      const tokens = { access_token: "access", refresh_token: "refresh" };
+      const refreshDTO = { refresh_token: "old_refresh" };
+
+      jest.spyOn(AuthService, "refresh").mockResolvedValueOnce(tokens);
+
+      const res = await request(app).post("/api/auth/refresh").send(refreshDTO);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(tokens);
+      expect(AuthService.refresh).toHaveBeenCalledWith(refreshDTO);
+    });
+
+    it("should return 401 if refresh token is reused", async () => {
+      const refreshDTO = { refresh_token: "revoked_refresh" };
+
+      jest
+        .spyOn(AuthService, "refresh")
+        .mockRejectedValueOnce(new UnauthorizedError("Refresh token reuse detected", "REFRESH_TOKEN_REUSED"));
+
+      const res = await request(app).post("/api/auth/refresh").send(refreshDTO);
+
       expect(res.status).toBe(401);
-      expect(res.body.message).toBe("User already exists");
-      expect(AuthService.register).toHaveBeenCalledWith(registerDTO);
+      expect(res.body.message).toBe("Refresh token reuse detected");
+    });
+  });
+
+  describe("POST /api/auth/logout", () => {
+    it("should logout current session", async () => {
+      jest.spyOn(AuthService, "logout").mockResolvedValueOnce();
+
+      const res = await request(protectedApp).post("/api/auth/logout");
+
+      expect(res.status).toBe(204);
+      expect(AuthService.logout).toHaveBeenCalledWith({ sub: "1", sid: "session-id" });
+    });
+
+    it("should return 404 if session is already revoked", async () => {
+      jest.spyOn(AuthService, "logout").mockRejectedValueOnce(new NotFoundError("Session not found"));
+
+      const res = await request(protectedApp).post("/api/auth/logout");
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe("Session not found");
+    });
+  });
+
+  describe("GET /api/auth/sessions", () => {
+    it("should return list of sessions", async () => {
+      const sessions = [{ id: "session-id", user_agent: "jest", current: true }];
+      jest.spyOn(AuthService, "getSessions").mockResolvedValueOnce(sessions);
+
+      const res = await request(protectedApp).get("/api/auth/sessions");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(sessions);
+    });
+  });
+
+  describe("DELETE /api/auth/sessions/:id", () => {
+    it("should revoke session", async () => {
+      jest.spyOn(AuthService, "revokeSession").mockResolvedValueOnce();
+
+      const res = await request(protectedApp).delete(`/api/auth/sessions/${otherSessionId}`);
+
+      expect(res.status).toBe(204);
+      expect(AuthService.revokeSession).toHaveBeenCalledWith(otherSessionId, "1");
+    });
+
+    it("should return 404 if session not found", async () => {
+      jest.spyOn(AuthService, "revokeSession").mockRejectedValueOnce(new NotFoundError("Session not found"));
+
+      const res = await request(protectedApp).delete(`/api/auth/sessions/${otherSessionId}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it("should return 422 if session id is not a uuid", async () => {
+      jest.spyOn(AuthService, "revokeSession");
+
+      const res = await request(protectedApp).delete("/api/auth/sessions/other-session");
+
+      expect(res.status).toBe(422);
+      expect(AuthService.revokeSession).not.toHaveBeenCalled();
     });
   });
 });
@@ -0,0 +1,180 @@
+import { expect, jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { ConversationController } from "../../src/controllers/conversationController.js";
+import { requireConversationParticipant } from "../../src/middleware/conversationAccess.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { validate } from "../../src/middleware/validate.js";
+import { ConversationRepository } from "../../src/repositories/conversationRepository.js";
+import { ConversationService } from "../../src/services/conversationService.js";
+import { NotFoundError, ValidationError } from "../../src/utils/errors.js";
+import { idParamsValidator, paginationValidator } from "../../src/validators/commonValidators.js";
+import {
+  createConversationValidator,
+  createMessageValidator,
+  markConversationReadValidator,
+  messagesQueryValidator,
+} from "../../src/validators/conversationValidators.js";
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  req.user = { sub: "1" };
+  next();
+});
+
+app.get("/api/conversations", validate(paginationValidator, "query"), ConversationController.getConversations);
+app.post("/api/conversations", validate(createConversationValidator), ConversationController.createConversation);
+app.get(
+  "/api/conversations/:id/messages",
+  validate(idParamsValidator, "params"),
+  requireConversationParticipant,
+  validate(messagesQueryValidator, "query"),
+  ConversationController.getMessages
+);
+app.post(
+  "/api/conversations/:id/messages",
+  validate(idParamsValidator, "params"),
+  requireConversationParticipant,
+  validate(createMessageValidator),
+  ConversationController.sendMessage
+);
+app.post(
+  "/api/conversations/:id/read",
+  validate(idParamsValidator, "params"),
+  requireConversationParticipant,
+  validate(markConversationReadValidator),
+  ConversationController.markRead
+);
+
+app.use(errorHandler);
+
+describe("ConversationController", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("POST /api/conversations", () => {
+    it("should return 201 for new conversation", async () => {
+      const conversation = { id: 1, participant: { id: 2 } };
+      jest.spyOn(ConversationService, "createConversation").mockResolvedValueOnce({ conversation, created: true });
+
+      const res = await request(app).post("/api/conversations").send({ user_id: 2 });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(conversation);
+      expect(ConversationService.createConversation).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("should return 200 for existing conversation", async () => {
+      jest
+        .spyOn(ConversationService, "createConversation")
+        .mockResolvedValueOnce({ conversation: { id: 1 }, created: false });
+
+      const res = await request(app).post("/api/conversations").send({ user_id: 2 });
+
+      expect(res.status).toBe(200);
+    });
+
+    it("should return 422 for conversation with yourself", async () => {
+      jest
+        .spyOn(ConversationService, "createConversation")
+        .mockRejectedValueOnce(new ValidationError("Cannot start conversation with yourself", [], "SELF_CONVERSATION"));
+
+      const res = await request(app).post("/api/conversations").send({ user_id: 1 });
+
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe("SELF_CONVERSATION");
+    });
+
+    it("should return 422 for missing user_id", async () => {
+      const res = await request(app).post("/api/conversations").send({});
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("GET /api/conversations", () => {
+    it("should return conversations", async () => {
+      const conversations = [{ id: 1, unread_count: 2 }];
+      jest.spyOn(ConversationService, "getConversations").mockResolvedValueOnce(conversations);
+
+      const res = await request(app).get("/api/conversations?limit=5");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(conversations);
+      expect(ConversationService.getConversations).toHaveBeenCalledWith(1, 5, 0);
+    });
+  });
+
+  describe("GET /api/conversations/:id/messages", () => {
+    it("should return messages to participant", async () => {
+      const page = { data: [{ id: 1 }], next_cursor: null };
+      jest.spyOn(ConversationRepository, "getParticipants").mockResolvedValueOnce([1, 2]);
+      jest.spyOn(ConversationService, "getMessages").mockResolvedValueOnce(page);
+
+      const res = await request(app).get("/api/conversations/3/messages");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(page);
+      expect(ConversationRepository.getParticipants).toHaveBeenCalledWith(3);
+      expect(ConversationService.getMessages).toHaveBeenCalledWith(3, { limit: 20, after: undefined });
+    });
+
+    it("should return 403 to non-participant", async () => {
+      jest.spyOn(ConversationRepository, "getParticipants").mockResolvedValueOnce([2, 3]);
+      const mock = jest.spyOn(ConversationService, "getMessages");
+
+      const res = await request(app).get("/api/conversations/3/messages");
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe("NOT_CONVERSATION_PARTICIPANT");
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for unknown conversation", async () => {
+      jest
+        .spyOn(ConversationRepository, "getParticipants")
+        .mockRejectedValueOnce(new NotFoundError("Conversation not found", "CONVERSATION_NOT_FOUND"));
+
+      const res = await request(app).get("/api/conversations/3/messages");
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("POST /api/conversations/:id/messages", () => {
+    it("should send message", async () => {
+      const message = { id: 1, text: "hi" };
+      jest.spyOn(ConversationRepository, "getParticipants").mockResolvedValueOnce([1, 2]);
+      jest.spyOn(ConversationService, "sendMessage").mockResolvedValueOnce(message);
+
+      const res = await request(app).post("/api/conversations/3/messages").send({ text: "hi" });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(message);
+      expect(ConversationService.sendMessage).toHaveBeenCalledWith(3, 1, "hi");
+    });
+
+    it("should return 422 for empty text", async () => {
+      jest.spyOn(ConversationRepository, "getParticipants").mockResolvedValueOnce([1, 2]);
+
+      const res = await request(app).post("/api/conversations/3/messages").send({ text: "" });
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("POST /api/conversations/:id/read", () => {
+    it("should mark messages as read", async () => {
+      jest.spyOn(ConversationRepository, "getParticipants").mockResolvedValueOnce([1, 2]);
+      jest.spyOn(ConversationService, "markRead").mockResolvedValueOnce(2);
+
+      const res = await request(app).post("/api/conversations/3/read").send({ message_id: 10 });
+
+      expect(res.status).toBe(204);
+      expect(ConversationService.markRead).toHaveBeenCalledWith(3, 1, 10);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { expect, jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { ExportController } from "../../src/controllers/exportController.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { validate } from "../../src/middleware/validate.js";
+import { ExportService } from "../../src/services/exportService.js";
+import { NotFoundError } from "../../src/utils/errors.js";
+import { idParamsValidator } from "../../src/validators/commonValidators.js";
+import { exportParamsValidator } from "../../src/validators/exportValidators.js";
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  req.user = { sub: "1" };
+  next();
+});
+
+app.post("/api/users/:id/exports", validate(idParamsValidator, "params"), ExportController.requestExport);
+app.get("/api/users/:id/exports/:export_id", validate(exportParamsValidator, "params"), ExportController.getExport);
+app.get(
+  "/api/users/:id/exports/:export_id/download",
+  validate(exportParamsValidator, "params"),
+  ExportController.downloadExport
+);
+
+app.use(errorHandler);
+
+// Тело ответа собирается как есть, без разбора
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+describe("ExportController", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("POST /api/users/:id/exports", () => {
+    it("should return archive of small export", async () => {
+      const archive = Buffer.from([0x1f, 0x8b, 1, 2, 3]);
+      jest.spyOn(ExportService, "requestExport").mockResolvedValueOnce({ archive });
+
+      const res = await request(app).post("/api/users/1/exports").buffer(true).parse(binaryParser);
+
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toBe("application/gzip");
+      expect(res.headers["content-disposition"]).toBe('attachment; filename="gophertalk-export-1.tar.gz"');
+      expect(res.body).toEqual(archive);
+      expect(ExportService.requestExport).toHaveBeenCalledWith(1);
+    });
+
+    it("should return 202 with job status for large export", async () => {
+      const job = { id: 5, user_id: 1, status: "pending" };
+      jest.spyOn(ExportService, "requestExport").mockResolvedValueOnce({ job });
+
+      const res = await request(app).post("/api/users/1/exports");
+
+      expect(res.status).toBe(202);
+      expect(res.headers.location).toBe("/api/users/1/exports/5");
+      expect(res.body).toEqual({ ...job, status_url: "/api/users/1/exports/5", download_url: null });
+    });
+  });
+
+  describe("GET /api/users/:id/exports/:export_id", () => {
+    it("should return export status with download link", async () => {
+      const job = { id: 5, user_id: 1, status: "completed" };
+      jest.spyOn(ExportService, "getExport").mockResolvedValueOnce(job);
+
+      const res = await request(app).get("/api/users/1/exports/5");
+
+      expect(res.status).toBe(200);
+      expect(res.body.download_url).toBe("/api/users/1/exports/5/download");
+      expect(ExportService.getExport).toHaveBeenCalledWith(5, 1);
+    });
+
+    it("should return 404 for export of another user", async () => {
+      jest
+        .spyOn(ExportService, "getExport")
+        .mockRejectedValueOnce(new NotFoundError("Export not found", "EXPORT_NOT_FOUND"));
+
+      const res = await request(app).get("/api/users/1/exports/6");
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("EXPORT_NOT_FOUND");
+    });
+
+    it("should return 422 for invalid export id", async () => {
+      const res = await request(app).get("/api/users/1/exports/abc");
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("GET /api/users/:id/exports/:export_id/download", () => {
+    it("should return archive", async () => {
+      const archive = Buffer.from([0x1f, 0x8b, 4, 5]);
+      jest.spyOn(ExportService, "getExportArchive").mockResolvedValueOnce(archive);
+
+      const res = await request(app).get("/api/users/1/exports/5/download").buffer(true).parse(binaryParser);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(archive);
+      expect(ExportService.getExportArchive).toHaveBeenCalledWith(5, 1);
+    });
+
+    it("should return 404 if export is not ready", async () => {
+      jest
+        .spyOn(ExportService, "getExportArchive")
+        .mockRejectedValueOnce(new NotFoundError("Export archive not found", "EXPORT_NOT_READY"));
+
+      const res = await request(app).get("/api/users/1/exports/5/download");
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("EXPORT_NOT_READY");
+    });
+  });
+});
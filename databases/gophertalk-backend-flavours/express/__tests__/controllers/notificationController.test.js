@@ -0,0 +1,81 @@
+import { expect, jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { NotificationController } from "../../src/controllers/notificationController.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { validate } from "../../src/middleware/validate.js";
+import { NotificationService } from "../../src/services/notificationService.js";
+import { markReadValidator, notificationsQueryValidator } from "../../src/validators/notificationValidators.js";
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  req.user = { sub: "1" };
+  next();
+});
+
+app.get("/api/notifications", validate(notificationsQueryValidator, "query"), NotificationController.getNotifications);
+app.post("/api/notifications/read", validate(markReadValidator), NotificationController.markRead);
+
+app.use(errorHandler);
+
+describe("NotificationController", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("GET /api/notifications", () => {
+    it("should return notifications page", async () => {
+      const page = { data: [{ id: 1, type: "like" }], next_cursor: null, unread_count: 1 };
+      jest.spyOn(NotificationService, "getNotifications").mockResolvedValueOnce(page);
+
+      const res = await request(app).get("/api/notifications?limit=5");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(page);
+      expect(NotificationService.getNotifications).toHaveBeenCalledWith(1, { limit: 5, after: undefined });
+    });
+
+    it("should return 422 for invalid limit", async () => {
+      const res = await request(app).get("/api/notifications?limit=0");
+
+      expect(res.status).toBe(422);
+    });
+
+    it("should return 500 on service error", async () => {
+      jest.spyOn(NotificationService, "getNotifications").mockRejectedValueOnce(new Error("DB error"));
+      jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+      const res = await request(app).get("/api/notifications");
+
+      expect(res.status).toBe(500);
+    });
+  });
+
+  describe("POST /api/notifications/read", () => {
+    it("should mark notifications as read", async () => {
+      jest.spyOn(NotificationService, "markRead").mockResolvedValueOnce(2);
+
+      const res = await request(app).post("/api/notifications/read").send({ ids: [1, 2] });
+
+      expect(res.status).toBe(204);
+      expect(NotificationService.markRead).toHaveBeenCalledWith(1, { ids: [1, 2] });
+    });
+
+    it("should mark all notifications as read", async () => {
+      jest.spyOn(NotificationService, "markRead").mockResolvedValueOnce(5);
+
+      const res = await request(app).post("/api/notifications/read").send({ all: true });
+
+      expect(res.status).toBe(204);
+      expect(NotificationService.markRead).toHaveBeenCalledWith(1, { all: true });
+    });
+
+    it("should return 422 when neither ids nor all given", async () => {
+      const res = await request(app).post("/api/notifications/read").send({});
+
+      expect(res.status).toBe(422);
+    });
+  });
+});
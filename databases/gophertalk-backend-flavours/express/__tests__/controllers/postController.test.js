@@ -5,9 +5,18 @@ import jwt from "jsonwebtoken";
 import request from "supertest";
 import { PostController } from "../../src/controllers/postController.js";
 import { requestAuth } from "../../src/middleware/auth.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
 import { validate } from "../../src/middleware/validate.js";
+import { SessionRepository } from "../../src/repositories/sessionRepository.js";
 import { PostService } from "../../src/services/postService.js";
-import { createPostValidator } from "../../src/validators/postValidators.js";
+import { ConflictError, ForbiddenError, NotFoundError } from "../../src/utils/errors.js";
+import { idParamsValidator } from "../../src/validators/commonValidators.js";
+import {
+  createPostValidator,
+  filterPostValidator,
+  threadQueryValidator,
+  updatePostValidator,
+} from "../../src/validators/postValidators.js";
 
 dotenv.config();
 
@@ -15,19 +24,45 @@ const app = express();
 app.use(express.json());
 
 app.use((req, res, next) => {
-  const token = jwt.sign({ sub: "1" }, process.env.ACCESS_TOKEN_SECRET);
+  const token = jwt.sign({ sub: "1", sid: "session-id" }, process.env.ACCESS_TOKEN_SECRET);
   req.headers.authorization = `Bearer ${token}`;
   requestAuth(process.env.ACCESS_TOKEN_SECRET)(req, res, next);
 });
 
-app.get("/api/posts", PostController.getAllPosts);
+app.get("/api/posts", validate(filterPostValidator, "query"), PostController.getAllPosts);
+app.get("/api/posts/:id", validate(idParamsValidator, "params"), PostController.getPostById);
+app.get(
+  "/api/posts/:id/thread",
+  validate(idParamsValidator, "params"),
+  validate(threadQueryValidator, "query"),
+  PostController.getThread
+);
 app.post("/api/posts", validate(createPostValidator), PostController.createPost);
-app.delete("/api/posts/:id", PostController.deletePost);
-app.post("/api/posts/:id/view", PostController.viewPost);
-app.post("/api/posts/:id/like", PostController.likePost);
-app.delete("/api/posts/:id/like", PostController.dislikePost);
+app.put(
+  "/api/posts/:id",
+  validate(idParamsValidator, "params"),
+  validate(updatePostValidator),
+  PostController.updatePost
+);
+app.get("/api/posts/:id/revisions", validate(idParamsValidator, "params"), PostController.getPostRevisions);
+app.delete("/api/posts/:id", validate(idParamsValidator, "params"), PostController.deletePost);
+app.post("/api/posts/:id/view", validate(idParamsValidator, "params"), PostController.viewPost);
+app.post("/api/posts/:id/like", validate(idParamsValidator, "params"), PostController.likePost);
+app.delete("/api/posts/:id/like", validate(idParamsValidator, "params"), PostController.dislikePost);
+app.post("/api/posts/:id/repost", validate(idParamsValidator, "params"), PostController.repostPost);
+app.delete("/api/posts/:id/repost", validate(idParamsValidator, "params"), PostController.undoRepost);
+
+app.use(errorHandler);
 
 describe("PostController", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.spyOn(SessionRepository, "touchSession").mockResolvedValue("user");
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
   });
@@ -44,16 +79,134 @@ describe("PostController", () => {
       expect(PostService.getAllPosts).toHaveBeenCalled();
     });
 
+    it("should pass cursor params to service", async () => {
+      const page = { data: [{ id: 1, text: "Test post" }], next_cursor: "next", prev_cursor: null };
+      jest.spyOn(PostService, "getAllPosts").mockResolvedValueOnce(page);
+
+      const res = await request(app).get("/api/posts?limit=10&after=cursor");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(page);
+      expect(PostService.getAllPosts).toHaveBeenCalledWith(
+        expect.objectContaining({ limit: 10, pagination: "offset", after: "cursor", before: undefined })
+      );
+    });
+
+    it("should return 422 when both before and after are provided", async () => {
+      jest.spyOn(PostService, "getAllPosts");
+
+      const res = await request(app).get("/api/posts?before=first&after=second");
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors[0].path).toBe("before");
+      expect(PostService.getAllPosts).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 for out of range limit", async () => {
+      jest.spyOn(PostService, "getAllPosts");
+
+      const res = await request(app).get("/api/posts?limit=100000");
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors[0].path).toBe("limit");
+      expect(PostService.getAllPosts).not.toHaveBeenCalled();
+    });
+
+    it("should return 422 for negative limit", async () => {
+      const res = await request(app).get("/api/posts?limit=-5");
+
+      expect(res.status).toBe(422);
+    });
+
+    it("should apply default pagination", async () => {
+      jest.spyOn(PostService, "getAllPosts").mockResolvedValueOnce([]);
+
+      await request(app).get("/api/posts");
+
+      expect(PostService.getAllPosts).toHaveBeenCalledWith(
+        expect.objectContaining({ limit: 10, offset: 0, feed: "global", pagination: "offset" })
+      );
+    });
+
     it("should handle service error", async () => {
       jest.spyOn(PostService, "getAllPosts").mockRejectedValueOnce(new Error("Service error"));
 
       const res = await request(app).get("/api/posts?limit=10&offset=0");
 
-      expect(res.status).toBe(400);
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({ code: "INTERNAL_ERROR", message: "Internal server error" });
       expect(PostService.getAllPosts).toHaveBeenCalled();
     });
   });
 
+  describe("GET /api/posts/:id", () => {
+    it("should fetch post successfully", async () => {
+      const post = { id: 1, text: "Test post", reply_to: null };
+      jest.spyOn(PostService, "getPostById").mockResolvedValueOnce(post);
+
+      const res = await request(app).get("/api/posts/1");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(post);
+      expect(PostService.getPostById).toHaveBeenCalledWith(1, 1);
+    });
+
+    it("should return 422 for invalid id", async () => {
+      const res = await request(app).get("/api/posts/abc");
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors[0].path).toBe("id");
+    });
+
+    it("should return 404 if post not found", async () => {
+      jest
+        .spyOn(PostService, "getPostById")
+        .mockRejectedValueOnce(new NotFoundError("Post not found", "POST_NOT_FOUND"));
+
+      const res = await request(app).get("/api/posts/2");
+
+      expect(res.status).toBe(404);
+      expect(res.body.message).toBe("Post not found");
+    });
+  });
+
+  describe("GET /api/posts/:id/thread", () => {
+    it("should fetch thread successfully", async () => {
+      const thread = { ancestors: [], post: { id: 1, replies: [] } };
+      jest.spyOn(PostService, "getThread").mockResolvedValueOnce(thread);
+
+      const res = await request(app).get("/api/posts/1/thread?depth=5&limit=20");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(thread);
+      expect(PostService.getThread).toHaveBeenCalledWith({ post_id: 1, user_id: 1, depth: 5, limit: 20 });
+    });
+
+    it("should use default depth and limit", async () => {
+      jest.spyOn(PostService, "getThread").mockResolvedValueOnce({ ancestors: [], post: null });
+
+      await request(app).get("/api/posts/1/thread");
+
+      expect(PostService.getThread).toHaveBeenCalledWith({ post_id: 1, user_id: 1, depth: 3, limit: 10 });
+    });
+
+    it("should return 422 if depth is too large", async () => {
+      const res = await request(app).get("/api/posts/1/thread?depth=100");
+
+      expect(res.status).toBe(422);
+    });
+
+    it("should return 404 if post not found", async () => {
+      jest
+        .spyOn(PostService, "getThread")
+        .mockRejectedValueOnce(new NotFoundError("Post not found", "POST_NOT_FOUND"));
+
+      const res = await request(app).get("/api/posts/2/thread");
+
+      expect(res.status).toBe(404);
+    });
+  });
+
   describe("POST /api/posts", () => {
     it("should create a post successfully", async () => {
       const post = { id: 1, text: "New post" };
@@ -66,6 +219,38 @@ describe("PostController", () => {
       expect(PostService.createPost).toHaveBeenCalled();
     });
 
+    it("should create a quote post", async () => {
+      const post = { id: 2, text: "Quote", quote_of_id: 1 };
+      jest.spyOn(PostService, "createPost").mockResolvedValueOnce(post);
+
+      const res = await request(app).post("/api/posts").send({ text: "Quote", quote_of_id: 1 });
+
+      expect(res.status).toBe(201);
+      expect(PostService.createPost).toHaveBeenCalledWith({ text: "Quote", quote_of_id: 1, user_id: 1 });
+    });
+
+    it("should treat null reply_to_id and quote_of_id as absent", async () => {
+      const post = { id: 3, text: "Post", reply_to_id: null, quote_of_id: null };
+      jest.spyOn(PostService, "createPost").mockResolvedValueOnce(post);
+
+      const res = await request(app).post("/api/posts").send({ text: "Post", reply_to_id: null, quote_of_id: null });
+
+      expect(res.status).toBe(201);
+      expect(PostService.createPost).toHaveBeenCalledWith({
+        text: "Post",
+        reply_to_id: null,
+        quote_of_id: null,
+        user_id: 1,
+      });
+    });
+
+    it("should return 422 for invalid quote_of_id", async () => {
+      const res = await request(app).post("/api/posts").send({ text: "Quote", quote_of_id: 0 });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors[0].path).toBe("quote_of_id");
+    });
+
     it("should handle validation error", async () => {
       const res = await request(app).post("/api/posts").send({});
 
@@ -77,9 +262,73 @@ describe("PostController", () => {
 
       const res = await request(app).post("/api/posts").send({ text: "New post" });
 
-      expect(res.status).toBe(400);
+      expect(res.status).toBe(500);
       expect(PostService.createPost).toHaveBeenCalled();
     });
+
+    it("should return 404 if reply post not found", async () => {
+      jest
+        .spyOn(PostService, "createPost")
+        .mockRejectedValueOnce(new NotFoundError("Reply post not found", "POST_NOT_FOUND"));
+
+      const res = await request(app).post("/api/posts").send({ text: "Reply", reply_to_id: 999 });
+
+      expect(res.status).toBe(404);
+      expect(res.body).toEqual({ code: "POST_NOT_FOUND", message: "Reply post not found" });
+    });
+  });
+
+  describe("PUT /api/posts/:id", () => {
+    it("should update post successfully", async () => {
+      const post = { id: 1, text: "Edited post" };
+      jest.spyOn(PostService, "updatePost").mockResolvedValueOnce(post);
+
+      const res = await request(app).put("/api/posts/1").send({ text: "Edited post" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(post);
+      expect(PostService.updatePost).toHaveBeenCalledWith(1, 1, { text: "Edited post" });
+    });
+
+    it("should return 422 for empty text", async () => {
+      const res = await request(app).put("/api/posts/1").send({ text: "" });
+
+      expect(res.status).toBe(422);
+    });
+
+    it("should return 403 if edit window has expired", async () => {
+      jest
+        .spyOn(PostService, "updatePost")
+        .mockRejectedValueOnce(new ForbiddenError("Edit window has expired", "EDIT_WINDOW_EXPIRED"));
+
+      const res = await request(app).put("/api/posts/1").send({ text: "Edited post" });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe("EDIT_WINDOW_EXPIRED");
+    });
+  });
+
+  describe("GET /api/posts/:id/revisions", () => {
+    it("should return revisions", async () => {
+      const revisions = [{ id: 1, text: "Original post" }];
+      jest.spyOn(PostService, "getPostRevisions").mockResolvedValueOnce(revisions);
+
+      const res = await request(app).get("/api/posts/1/revisions");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(revisions);
+      expect(PostService.getPostRevisions).toHaveBeenCalledWith(1);
+    });
+
+    it("should return 404 if post not found", async () => {
+      jest
+        .spyOn(PostService, "getPostRevisions")
+        .mockRejectedValueOnce(new NotFoundError("Post not found", "POST_NOT_FOUND"));
+
+      const res = await request(app).get("/api/posts/2/revisions");
+
+      expect(res.status).toBe(404);
+    });
   });
 
   describe("DELETE /api/posts/:id", () => {
@@ -92,10 +341,10 @@ describe("PostController", () => {
       expect(PostService.deletePost).toHaveBeenCalled();
     });
 
-    it("should handle invalid id", async () => {
+    it("should return 422 for invalid id", async () => {
       const res = await request(app).delete("/api/posts/abc");
 
-      expect(res.status).toBe(404);
+      expect(res.status).toBe(422);
     });
   });
 
@@ -109,10 +358,10 @@ describe("PostController", () => {
       expect(PostService.viewPost).toHaveBeenCalled();
     });
 
-    it("should handle invalid id", async () => {
+    it("should return 422 for invalid id", async () => {
       const res = await request(app).post("/api/posts/abc/view");
 
-      expect(res.status).toBe(404);
+      expect(res.status).toBe(422);
     });
   });
 
@@ -126,10 +375,21 @@ describe("PostController", () => {
       expect(PostService.likePost).toHaveBeenCalled();
     });
 
-    it("should handle invalid id", async () => {
+    it("should return 422 for invalid id", async () => {
       const res = await request(app).post("/api/posts/abc/like");
 
-      expect(res.status).toBe(404);
+      expect(res.status).toBe(422);
+    });
+
+    it("should return 409 if post already liked", async () => {
+      jest
+        .spyOn(PostService, "likePost")
+        .mockRejectedValueOnce(new ConflictError("Post already liked", "POST_ALREADY_LIKED"));
+
+      const res = await request(app).post("/api/posts/1/like");
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe("POST_ALREADY_LIKED");
     });
   });
 
@@ -143,9 +403,51 @@ describe("PostController", () => {
       expect(PostService.dislikePost).toHaveBeenCalled();
     });
 
-    it("should handle invalid id", async () => {
+    it("should return 422 for invalid id", async () => {
       const res = await request(app).delete("/api/posts/abc/like");
 
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("POST /api/posts/:id/repost", () => {
+    it("should repost post successfully", async () => {
+      jest.spyOn(PostService, "repostPost").mockResolvedValueOnce();
+
+      const res = await request(app).post("/api/posts/1/repost");
+
+      expect(res.status).toBe(201);
+      expect(PostService.repostPost).toHaveBeenCalledWith(1, 1);
+    });
+
+    it("should return 409 if post already reposted", async () => {
+      jest
+        .spyOn(PostService, "repostPost")
+        .mockRejectedValueOnce(new ConflictError("Post already reposted", "POST_ALREADY_REPOSTED"));
+
+      const res = await request(app).post("/api/posts/1/repost");
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe("DELETE /api/posts/:id/repost", () => {
+    it("should undo repost successfully", async () => {
+      jest.spyOn(PostService, "undoRepost").mockResolvedValueOnce();
+
+      const res = await request(app).delete("/api/posts/1/repost");
+
+      expect(res.status).toBe(204);
+      expect(PostService.undoRepost).toHaveBeenCalledWith(1, 1);
+    });
+
+    it("should return 404 if post was not reposted", async () => {
+      jest
+        .spyOn(PostService, "undoRepost")
+        .mockRejectedValueOnce(new NotFoundError("Post not reposted", "REPOST_NOT_FOUND"));
+
+      const res = await request(app).delete("/api/posts/1/repost");
+
       expect(res.status).toBe(404);
     });
   });
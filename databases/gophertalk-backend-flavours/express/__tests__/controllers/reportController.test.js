@@ -0,0 +1,81 @@
+import { expect, jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { ReportController } from "../../src/controllers/reportController.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { validate } from "../../src/middleware/validate.js";
+import { ReportService } from "../../src/services/reportService.js";
+import { ConflictError } from "../../src/utils/errors.js";
+import { idParamsValidator } from "../../src/validators/commonValidators.js";
+import { createReportValidator } from "../../src/validators/reportValidators.js";
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  req.user = { sub: "1" };
+  next();
+});
+
+app.post(
+  "/api/posts/:id/report",
+  validate(idParamsValidator, "params"),
+  validate(createReportValidator),
+  ReportController.reportPost
+);
+app.post(
+  "/api/users/:id/report",
+  validate(idParamsValidator, "params"),
+  validate(createReportValidator),
+  ReportController.reportUser
+);
+
+app.use(errorHandler);
+
+describe("ReportController", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("POST /api/posts/:id/report", () => {
+    it("should create post report", async () => {
+      const report = { id: 1, post_id: 2, reason: "spam", status: "open" };
+      jest.spyOn(ReportService, "reportPost").mockResolvedValueOnce(report);
+
+      const res = await request(app).post("/api/posts/2/report").send({ reason: "spam", comment: "ads" });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toEqual(report);
+      expect(ReportService.reportPost).toHaveBeenCalledWith(1, 2, { reason: "spam", comment: "ads" });
+    });
+
+    it("should return 422 for unknown reason", async () => {
+      const res = await request(app).post("/api/posts/2/report").send({ reason: "boring" });
+
+      expect(res.status).toBe(422);
+    });
+
+    it("should return 409 for duplicate report", async () => {
+      jest
+        .spyOn(ReportService, "reportPost")
+        .mockRejectedValueOnce(new ConflictError("Post already reported", "REPORT_ALREADY_EXISTS"));
+
+      const res = await request(app).post("/api/posts/2/report").send({ reason: "spam" });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe("REPORT_ALREADY_EXISTS");
+    });
+  });
+
+  describe("POST /api/users/:id/report", () => {
+    it("should create user report", async () => {
+      const report = { id: 1, user_id: 3, reason: "harassment", status: "open" };
+      jest.spyOn(ReportService, "reportUser").mockResolvedValueOnce(report);
+
+      const res = await request(app).post("/api/users/3/report").send({ reason: "harassment" });
+
+      expect(res.status).toBe(201);
+      expect(ReportService.reportUser).toHaveBeenCalledWith(1, 3, { reason: "harassment" });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+import { expect, jest } from "@jest/globals";
+import express from "express";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import { StreamController } from "../../src/controllers/streamController.js";
+import { requestStreamAuth } from "../../src/middleware/auth.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { SessionRepository } from "../../src/repositories/sessionRepository.js";
+import { StreamService } from "../../src/services/streamService.js";
+
+const SECRET = "stream-secret";
+
+const app = express();
+app.get("/api/stream", requestStreamAuth(SECRET), StreamController.stream);
+app.use(errorHandler);
+
+function token() {
+  return jwt.sign({ sub: "1", sid: "session-1" }, SECRET, { expiresIn: "15m" });
+}
+
+// Поток не завершается сам, поэтому читаем первое событие и закрываем соединение
+function readFirstEvent(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req
+      .buffer(false)
+      .parse((res, callback) => {
+        res.on("data", (chunk) => {
+          body += chunk;
+          if (body.includes("event:")) {
+            resolve({ res, body });
+            res.destroy();
+          }
+        });
+        res.on("close", () => callback(null, body));
+      })
+      .catch(reject)
+      .then(() => resolve({ body }));
+  });
+}
+
+describe("StreamController", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("GET /api/stream", () => {
+    it("should stream events to authenticated user", async () => {
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValueOnce("user");
+      const unsubscribe = jest.fn().mockResolvedValue();
+      jest.spyOn(StreamService, "subscribe").mockImplementationOnce(async (userId, send) => {
+        setImmediate(() => send("post_created", { post_id: 7 }));
+        return unsubscribe;
+      });
+
+      const { res, body } = await readFirstEvent(request(app).get(`/api/stream?access_token=${token()}`));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["content-type"]).toContain("text/event-stream");
+      expect(body).toContain('event: post_created\ndata: {"post_id":7}\n\n');
+      expect(StreamService.subscribe).toHaveBeenCalledWith(1, expect.any(Function), {
+        sessionId: "session-1",
+        close: expect.any(Function),
+      });
+    });
+
+    it("should accept bearer token", async () => {
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValueOnce("user");
+      jest.spyOn(StreamService, "subscribe").mockImplementationOnce(async (userId, send) => {
+        setImmediate(() => send("notification", { id: 1 }));
+        return jest.fn().mockResolvedValue();
+      });
+
+      const { res } = await readFirstEvent(
+        request(app).get("/api/stream").set("Authorization", `Bearer ${token()}`)
+      );
+
+      expect(res.statusCode).toBe(200);
+    });
+
+    it("should end stream when its session is revoked", async () => {
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValueOnce("user");
+      const unsubscribe = jest.fn().mockResolvedValue();
+      jest.spyOn(StreamService, "subscribe").mockImplementationOnce(async (userId, send, { close }) => {
+        setImmediate(close);
+        return unsubscribe;
+      });
+
+      const res = await request(app).get(`/api/stream?access_token=${token()}`);
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe("retry: 5000\n\n");
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+
+    it("should return 401 without token", async () => {
+      const subscribe = jest.spyOn(StreamService, "subscribe");
+
+      const res = await request(app).get("/api/stream");
+
+      expect(res.status).toBe(401);
+      expect(subscribe).not.toHaveBeenCalled();
+    });
+
+    it("should return 401 for revoked session", async () => {
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValueOnce(null);
+
+      const res = await request(app).get(`/api/stream?access_token=${token()}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    it("should return 500 when listener is unavailable", async () => {
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValueOnce("user");
+      jest.spyOn(StreamService, "subscribe").mockRejectedValueOnce(new Error("Connection error"));
+      jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+      const res = await request(app).get(`/api/stream?access_token=${token()}`);
+
+      expect(res.status).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { expect, jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import { TagController } from "../../src/controllers/tagController.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
+import { validate } from "../../src/middleware/validate.js";
+import { PostService } from "../../src/services/postService.js";
+import { TagService } from "../../src/services/tagService.js";
+import {
+  tagParamsValidator,
+  tagPostsQueryValidator,
+  trendingQueryValidator,
+} from "../../src/validators/tagValidators.js";
+
+const app = express();
+app.use(express.json());
+
+app.use((req, res, next) => {
+  req.user = { sub: "1" };
+  next();
+});
+
+app.get("/api/tags/trending", validate(trendingQueryValidator, "query"), TagController.getTrendingTags);
+app.get(
+  "/api/tags/:tag/posts",
+  validate(tagParamsValidator, "params"),
+  validate(tagPostsQueryValidator, "query"),
+  TagController.getTagPosts
+);
+
+app.use(errorHandler);
+
+describe("TagController", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("GET /api/tags/:tag/posts", () => {
+    it("should return posts with normalized tag", async () => {
+      const posts = [{ id: 1, text: "#Go" }];
+      jest.spyOn(PostService, "getAllPosts").mockResolvedValueOnce(posts);
+
+      const res = await request(app).get("/api/tags/Go/posts?limit=5");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(posts);
+      expect(PostService.getAllPosts).toHaveBeenCalledWith({
+        user_id: 1,
+        tag: "go",
+        limit: 5,
+        offset: 0,
+        pagination: "offset",
+        before: undefined,
+        after: undefined,
+      });
+    });
+
+    it("should return 422 for invalid tag", async () => {
+      const res = await request(app).get("/api/tags/go-lang/posts");
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors[0].path).toBe("tag");
+    });
+
+    it("should return 422 when both before and after are provided", async () => {
+      jest.spyOn(PostService, "getAllPosts");
+
+      const res = await request(app).get("/api/tags/go/posts?before=first&after=second");
+
+      expect(res.status).toBe(422);
+      expect(PostService.getAllPosts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/tags/trending", () => {
+    it("should return trending tags", async () => {
+      const tags = [{ tag: "go", posts_count: "3" }];
+      jest.spyOn(TagService, "getTrendingTags").mockResolvedValueOnce(tags);
+
+      const res = await request(app).get("/api/tags/trending");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(tags);
+      expect(TagService.getTrendingTags).toHaveBeenCalledWith(1, 24, 10);
+    });
+
+    it("should return 422 if window is too large", async () => {
+      const res = await request(app).get("/api/tags/trending?hours=1000");
+
+      expect(res.status).toBe(422);
+    });
+  });
+});
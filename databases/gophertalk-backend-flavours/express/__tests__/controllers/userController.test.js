@@ -2,19 +2,56 @@ import { expect, jest } from "@jest/globals";
 import express from "express";
 import request from "supertest";
 import { UserController } from "../../src/controllers/userController.js";
+import { errorHandler } from "../../src/middleware/errorHandler.js";
 import { validate } from "../../src/middleware/validate.js";
 import { UserService } from "../../src/services/userService.js";
-import { updateUserValidator } from "../../src/validators/userValidators.js";
+import { ConflictError, NotFoundError } from "../../src/utils/errors.js";
+import { idParamsValidator, paginationValidator } from "../../src/validators/commonValidators.js";
+import { filterUserValidator, updateUserValidator } from "../../src/validators/userValidators.js";
 
 const app = express();
 app.use(express.json());
 
-app.get("/api/users", UserController.getAllUsers);
-app.get("/api/users/:id", UserController.getUserById);
-app.put("/api/users/:id", validate(updateUserValidator), UserController.updateUser);
-app.delete("/api/users/:id", UserController.deleteUserById);
+app.use((req, res, next) => {
+  req.user = { sub: "1" };
+  next();
+});
+
+app.get("/api/users", validate(filterUserValidator, "query"), UserController.getAllUsers);
+app.get("/api/users/:id", validate(idParamsValidator, "params"), UserController.getUserById);
+app.put(
+  "/api/users/:id",
+  validate(idParamsValidator, "params"),
+  validate(updateUserValidator),
+  UserController.updateUser
+);
+app.delete("/api/users/:id", validate(idParamsValidator, "params"), UserController.deleteUserById);
+app.post("/api/users/:id/follow", validate(idParamsValidator, "params"), UserController.followUser);
+app.delete("/api/users/:id/follow", validate(idParamsValidator, "params"), UserController.unfollowUser);
+app.post("/api/users/:id/block", validate(idParamsValidator, "params"), UserController.blockUser);
+app.delete("/api/users/:id/block", validate(idParamsValidator, "params"), UserController.unblockUser);
+app.post("/api/users/:id/mute", validate(idParamsValidator, "params"), UserController.muteUser);
+app.delete("/api/users/:id/mute", validate(idParamsValidator, "params"), UserController.unmuteUser);
+app.get(
+  "/api/users/:id/followers",
+  validate(idParamsValidator, "params"),
+  validate(paginationValidator, "query"),
+  UserController.getFollowers
+);
+app.get(
+  "/api/users/:id/following",
+  validate(idParamsValidator, "params"),
+  validate(paginationValidator, "query"),
+  UserController.getFollowing
+);
+
+app.use(errorHandler);
 
 describe("UserController", () => {
+  beforeAll(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
   });
@@ -31,12 +68,42 @@ describe("UserController", () => {
       expect(UserService.getAllUsers).toHaveBeenCalled();
     });
 
-    it("should return 400 if service fails", async () => {
+    it("should pass search filters to service", async () => {
+      jest.spyOn(UserService, "getAllUsers").mockResolvedValueOnce([]);
+
+      const res = await request(app)
+        .get("/api/users?search=jo&sort=user_name_asc&created_from=2025-01-01")
+        .set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(200);
+      expect(UserService.getAllUsers).toHaveBeenCalledWith({
+        limit: 10,
+        offset: 0,
+        search: "jo",
+        sort: "user_name_asc",
+        created_from: "2025-01-01",
+        created_to: undefined,
+      });
+    });
+
+    it("should return 422 for invalid filters", async () => {
+      jest.spyOn(UserService, "getAllUsers");
+
+      const res = await request(app)
+        .get("/api/users?sort=random&created_to=yesterday")
+        .set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors.map((e) => e.path)).toEqual(["sort", "created_to"]);
+      expect(UserService.getAllUsers).not.toHaveBeenCalled();
+    });
+
+    it("should return 500 if service fails", async () => {
       jest.spyOn(UserService, "getAllUsers").mockRejectedValueOnce(new Error("Service error"));
 
       const res = await request(app).get("/api/users?limit=10&offset=0").set("Authorization", "Bearer mockToken");
 
-      expect(res.status).toBe(400);
+      expect(res.status).toBe(500);
     });
   });
 
@@ -52,14 +119,14 @@ describe("UserController", () => {
       expect(UserService.getUserById).toHaveBeenCalledWith(1);
     });
 
-    it("should return 404 if id is invalid", async () => {
+    it("should return 422 if id is invalid", async () => {
       const res = await request(app).get("/api/users/abc").set("Authorization", "Bearer mockToken");
 
-      expect(res.status).toBe(404);
+      expect(res.status).toBe(422);
     });
 
     it("should return 404 if user not found", async () => {
-      jest.spyOn(UserService, "getUserById").mockRejectedValueOnce(new Error("Not found"));
+      jest.spyOn(UserService, "getUserById").mockRejectedValueOnce(new NotFoundError("User not found"));
 
       const res = await request(app).get("/api/users/2").set("Authorization", "Bearer mockToken");
 
@@ -80,10 +147,10 @@ describe("UserController", () => {
       expect(UserService.updateUser).toHaveBeenCalledWith(1, updateDto);
     });
 
-    it("should return 404 if id is invalid", async () => {
+    it("should return 422 if id is invalid", async () => {
       const res = await request(app).put("/api/users/abc").set("Authorization", "Bearer mockToken").send({});
 
-      expect(res.status).toBe(404);
+      expect(res.status).toBe(422);
     });
 
     it("should return 422 if validation fails", async () => {
@@ -94,13 +161,13 @@ describe("UserController", () => {
       expect(res.status).toBe(422);
     });
 
-    it("should return 400 on service error", async () => {
+    it("should return 500 on service error", async () => {
       const updateDto = { first_name: "Updated", last_name: "User" };
       jest.spyOn(UserService, "updateUser").mockRejectedValueOnce(new Error("Service error"));
 
       const res = await request(app).put("/api/users/1").set("Authorization", "Bearer mockToken").send(updateDto);
 
-      expect(res.status).toBe(400);
+      expect(res.status).toBe(500);
     });
   });
 
@@ -114,18 +181,160 @@ describe("UserController", () => {
       expect(UserService.deleteUser).toHaveBeenCalledWith(1);
     });
 
-    it("should return 404 if id is invalid", async () => {
+    it("should return 422 if id is invalid", async () => {
       const res = await request(app).delete("/api/users/abc").set("Authorization", "Bearer mockToken");
 
-      expect(res.status).toBe(404);
+      expect(res.status).toBe(422);
     });
 
     it("should return 404 if user not found", async () => {
-      jest.spyOn(UserService, "deleteUser").mockRejectedValueOnce(new Error("Not found"));
+      jest.spyOn(UserService, "deleteUser").mockRejectedValueOnce(new NotFoundError("User not found"));
 
       const res = await request(app).delete("/api/users/2").set("Authorization", "Bearer mockToken");
 
       expect(res.status).toBe(404);
     });
   });
+
+  describe("POST /api/users/:id/follow", () => {
+    it("should return 201 if user followed", async () => {
+      jest.spyOn(UserService, "followUser").mockResolvedValueOnce();
+
+      const res = await request(app).post("/api/users/2/follow").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(201);
+      expect(UserService.followUser).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("should return 422 if id is invalid", async () => {
+      const res = await request(app).post("/api/users/abc/follow").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(422);
+    });
+
+    it("should return 409 if already followed", async () => {
+      jest.spyOn(UserService, "followUser").mockRejectedValueOnce(new ConflictError("User already followed"));
+
+      const res = await request(app).post("/api/users/2/follow").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe("User already followed");
+    });
+  });
+
+  describe("DELETE /api/users/:id/follow", () => {
+    it("should return 204 if user unfollowed", async () => {
+      jest.spyOn(UserService, "unfollowUser").mockResolvedValueOnce();
+
+      const res = await request(app).delete("/api/users/2/follow").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(204);
+      expect(UserService.unfollowUser).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("should return 404 if user not followed", async () => {
+      jest.spyOn(UserService, "unfollowUser").mockRejectedValueOnce(new NotFoundError("User not followed"));
+
+      const res = await request(app).delete("/api/users/2/follow").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("POST /api/users/:id/block", () => {
+    it("should return 201 if user blocked", async () => {
+      jest.spyOn(UserService, "blockUser").mockResolvedValueOnce();
+
+      const res = await request(app).post("/api/users/2/block").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(201);
+      expect(UserService.blockUser).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("should return 409 if already blocked", async () => {
+      jest
+        .spyOn(UserService, "blockUser")
+        .mockRejectedValueOnce(new ConflictError("User already blocked", "USER_ALREADY_BLOCKED"));
+
+      const res = await request(app).post("/api/users/2/block").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe("USER_ALREADY_BLOCKED");
+    });
+  });
+
+  describe("DELETE /api/users/:id/block", () => {
+    it("should return 204 if user unblocked", async () => {
+      jest.spyOn(UserService, "unblockUser").mockResolvedValueOnce();
+
+      const res = await request(app).delete("/api/users/2/block").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(204);
+      expect(UserService.unblockUser).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe("POST /api/users/:id/mute", () => {
+    it("should return 201 if user muted", async () => {
+      jest.spyOn(UserService, "muteUser").mockResolvedValueOnce();
+
+      const res = await request(app).post("/api/users/2/mute").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(201);
+      expect(UserService.muteUser).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("should return 422 if id is invalid", async () => {
+      const res = await request(app).post("/api/users/abc/mute").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(422);
+    });
+  });
+
+  describe("DELETE /api/users/:id/mute", () => {
+    it("should return 404 if user not muted", async () => {
+      jest
+        .spyOn(UserService, "unmuteUser")
+        .mockRejectedValueOnce(new NotFoundError("User not muted", "MUTE_NOT_FOUND"));
+
+      const res = await request(app).delete("/api/users/2/mute").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /api/users/:id/followers", () => {
+    it("should return 200 and list of followers", async () => {
+      const users = [{ id: 2, user_name: "jane" }];
+      jest.spyOn(UserService, "getFollowers").mockResolvedValueOnce(users);
+
+      const res = await request(app).get("/api/users/1/followers?limit=5&offset=5").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(users);
+      expect(UserService.getFollowers).toHaveBeenCalledWith(1, 5, 5);
+    });
+  });
+
+  describe("GET /api/users/:id/following", () => {
+    it("should return 200 and list of followed users", async () => {
+      const users = [{ id: 2, user_name: "jane" }];
+      jest.spyOn(UserService, "getFollowing").mockResolvedValueOnce(users);
+
+      const res = await request(app).get("/api/users/1/following").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(users);
+      expect(UserService.getFollowing).toHaveBeenCalledWith(1, 10, 0);
+    });
+
+    it("should return 422 if limit exceeds maximum", async () => {
+      jest.spyOn(UserService, "getFollowing");
+
+      const res = await request(app).get("/api/users/1/following?limit=1000").set("Authorization", "Bearer mockToken");
+
+      expect(res.status).toBe(422);
+      expect(UserService.getFollowing).not.toHaveBeenCalled();
+    });
+  });
 });
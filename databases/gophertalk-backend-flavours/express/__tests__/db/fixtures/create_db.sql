@@ -42,4 +42,4 @@ create table if not exists views (
     constraint pk__views primary key (user_id, post_id),
     constraint fk__views__user_id foreign key (user_id) references users(id),
     constraint fk__views__post_id foreign key (post_id) references posts(id)
-);
\ No newline at end of file
+);
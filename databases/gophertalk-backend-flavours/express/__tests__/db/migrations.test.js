@@ -0,0 +1,101 @@
+import { describe, expect, jest } from "@jest/globals";
+import fs from "fs";
+import path from "path";
+import pg from "pg";
+import { fileURLToPath } from "url";
+import { pool } from "../../src/config/db.js";
+import { MIGRATIONS_DIR, Migrator } from "../../src/db/migrator.js";
+
+// Проверка миграций на настоящей базе. Нужна отдельная пустая база, тест работает в своей схеме:
+// TEST_DATABASE_URL=postgres://postgres@localhost/gophertalk_test npm test
+const databaseUrl = process.env.TEST_DATABASE_URL;
+const SCHEMA = "migrations_test";
+
+// Схема, с которой создавались базы до появления миграций
+const BASELINE_SQL = fs.readFileSync(
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "create_db.sql"),
+  "utf8"
+);
+
+const versions = fs
+  .readdirSync(MIGRATIONS_DIR)
+  .filter((file) => file.endsWith(".up.sql"))
+  .map((file) => file.slice(0, 4))
+  .sort();
+
+(databaseUrl ? describe : describe.skip)("migrations", () => {
+  let testPool;
+
+  const query = async (sql) => (await testPool.query(sql)).rows;
+
+  beforeAll(() => {
+    testPool = new pg.Pool({ connectionString: databaseUrl, options: `-c search_path=${SCHEMA},public` });
+  });
+
+  beforeEach(async () => {
+    await testPool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE; CREATE SCHEMA ${SCHEMA};`);
+    jest.spyOn(pool, "connect").mockImplementation(() => testPool.connect());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await testPool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await testPool.end();
+  });
+
+  it("upgrades a database created from create_db.sql to the latest version", async () => {
+    await testPool.query(BASELINE_SQL);
+    await testPool.query(`
+      INSERT INTO users (user_name, first_name, last_name, password_hash) VALUES ('alice', 'A', 'A', 'x'), ('bob', 'B', 'B', 'x');
+      INSERT INTO posts (text, user_id) VALUES ('hello', 1);
+      INSERT INTO posts (text, user_id, reply_to_id) VALUES ('reply', 2, 1);
+      INSERT INTO likes (user_id, post_id) VALUES (2, 1);
+      INSERT INTO views (user_id, post_id) VALUES (1, 1), (2, 1);
+    `);
+
+    const applied = await Migrator.migrate();
+
+    expect(applied.map((migration) => migration.version)).toEqual(versions);
+    expect((await Migrator.status()).every((migration) => migration.state === "applied")).toBe(true);
+    expect(await query("SELECT user_name, role FROM users ORDER BY id")).toEqual([
+      { user_name: "alice", role: "user" },
+      { user_name: "bob", role: "user" },
+    ]);
+    expect(await query("SELECT post_id, likes_count, views_count, replies_count FROM post_stats ORDER BY post_id")).toEqual([
+      { post_id: "1", likes_count: "1", views_count: "2", replies_count: "1" },
+      { post_id: "2", likes_count: "0", views_count: "0", replies_count: "0" },
+    ]);
+  });
+
+  it("builds the same schema on an empty database", async () => {
+    const columns = `
+      SELECT table_name, column_name, data_type, is_nullable, column_default
+      FROM information_schema.columns
+      WHERE table_schema = '${SCHEMA}'
+      ORDER BY table_name, column_name
+    `;
+    await testPool.query(BASELINE_SQL);
+    await Migrator.migrate();
+    const upgraded = await query(columns);
+
+    await testPool.query(`DROP SCHEMA ${SCHEMA} CASCADE; CREATE SCHEMA ${SCHEMA};`);
+    await Migrator.migrate();
+
+    expect(await query(columns)).toEqual(upgraded);
+  });
+
+  it("rolls back every migration and applies them again", async () => {
+    await Migrator.migrate();
+
+    const rolledBack = await Migrator.rollback({ steps: versions.length });
+
+    expect(rolledBack.map((migration) => migration.version)).toEqual([...versions].reverse());
+    expect(await query(`SELECT tablename FROM pg_tables WHERE schemaname = '${SCHEMA}'`)).toEqual([
+      { tablename: "schema_migrations" },
+    ]);
+    expect(await Migrator.migrate()).toHaveLength(versions.length);
+  });
+});
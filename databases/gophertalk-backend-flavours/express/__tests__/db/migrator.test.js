@@ -0,0 +1,152 @@
+import { describe, expect, jest } from "@jest/globals";
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { pool } from "../../src/config/db.js";
+import { Migrator } from "../../src/db/migrator.js";
+
+function sha256(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// Клиент, который отвечает на запрос к schema_migrations заданными строками
+function mockClient(appliedRows = []) {
+  const client = {
+    query: jest.fn(async (sql) => {
+      if (sql.startsWith("SELECT version, name, checksum")) {
+        return { rows: appliedRows, rowCount: appliedRows.length };
+      }
+      return { rows: [], rowCount: 0 };
+    }),
+    release: jest.fn(),
+  };
+  jest.spyOn(pool, "connect").mockResolvedValue(client);
+  return client;
+}
+
+function executed(client) {
+  return client.query.mock.calls.map(([sql]) => sql.trim());
+}
+
+describe("Migrator", () => {
+  let dir;
+  const up1 = "create table a (id int);";
+  const up2 = "create table b (id int);";
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "migrations-"));
+    fs.writeFileSync(path.join(dir, "0001_create_a.up.sql"), up1);
+    fs.writeFileSync(path.join(dir, "0001_create_a.down.sql"), "drop table a;");
+    fs.writeFileSync(path.join(dir, "0002_create_b.up.sql"), up2);
+    fs.writeFileSync(path.join(dir, "0002_create_b.down.sql"), "drop table b;");
+    fs.writeFileSync(path.join(dir, "README.md"), "not a migration");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe("migrate", () => {
+    it("applies pending migrations in order under advisory lock", async () => {
+      const client = mockClient([{ version: "0001", name: "create_a", checksum: sha256(up1) }]);
+
+      const applied = await Migrator.migrate({ dir });
+
+      expect(applied).toEqual([{ version: "0002", name: "create_b" }]);
+      const queries = executed(client);
+      expect(queries[0]).toBe("SELECT pg_advisory_lock($1)");
+      expect(queries).toContain(up2);
+      expect(queries).not.toContain(up1);
+      expect(queries.slice(-5)).toEqual([
+        "BEGIN",
+        up2,
+        "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3);",
+        "COMMIT",
+        "SELECT pg_advisory_unlock($1)",
+      ]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining("INSERT INTO schema_migrations"), [
+        "0002",
+        "create_b",
+        sha256(up2),
+      ]);
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    it("refuses to run when applied migration was changed", async () => {
+      const client = mockClient([{ version: "0001", name: "create_a", checksum: sha256("old") }]);
+
+      await expect(Migrator.migrate({ dir })).rejects.toThrow("Checksum mismatch for applied migration 0001_create_a");
+      expect(executed(client)).not.toContain(up2);
+      expect(executed(client)).toContain("SELECT pg_advisory_unlock($1)");
+    });
+
+    it("refuses to run when applied migration file is missing", async () => {
+      mockClient([{ version: "0000", name: "legacy", checksum: "x" }]);
+
+      await expect(Migrator.migrate({ dir })).rejects.toThrow("Applied migration 0000_legacy is missing");
+    });
+
+    it("rolls back failed migration", async () => {
+      const client = mockClient();
+      client.query.mockImplementation(async (sql) => {
+        if (sql === up1) {
+          throw new Error("syntax error");
+        }
+        return { rows: [], rowCount: 0 };
+      });
+
+      await expect(Migrator.migrate({ dir })).rejects.toThrow("Migration 0001_create_a failed: syntax error");
+      const queries = executed(client);
+      expect(queries).toContain("ROLLBACK");
+      expect(queries).not.toContain("COMMIT");
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("rollback", () => {
+    it("reverts last applied migrations", async () => {
+      const client = mockClient([
+        { version: "0001", name: "create_a", checksum: sha256(up1) },
+        { version: "0002", name: "create_b", checksum: sha256(up2) },
+      ]);
+
+      const rolledBack = await Migrator.rollback({ dir, steps: 2 });
+
+      expect(rolledBack).toEqual([
+        { version: "0002", name: "create_b" },
+        { version: "0001", name: "create_a" },
+      ]);
+      const queries = executed(client);
+      expect(queries.indexOf("drop table b;")).toBeLessThan(queries.indexOf("drop table a;"));
+      expect(client.query).toHaveBeenCalledWith("DELETE FROM schema_migrations WHERE version = $1;", ["0002"]);
+    });
+
+    it("fails when migration has no down file", async () => {
+      fs.rmSync(path.join(dir, "0002_create_b.down.sql"));
+      mockClient([
+        { version: "0001", name: "create_a", checksum: sha256(up1) },
+        { version: "0002", name: "create_b", checksum: sha256(up2) },
+      ]);
+
+      await expect(Migrator.rollback({ dir })).rejects.toThrow("Migration 0002_create_b has no down file");
+    });
+  });
+
+  describe("status", () => {
+    it("reports state of every migration", async () => {
+      const appliedAt = new Date("2025-01-01");
+      mockClient([
+        { version: "0001", name: "create_a", checksum: sha256("changed"), applied_at: appliedAt },
+        { version: "0003", name: "removed", checksum: "x", applied_at: appliedAt },
+      ]);
+
+      await expect(Migrator.status({ dir })).resolves.toEqual([
+        { version: "0001", name: "create_a", state: "changed", applied_at: appliedAt },
+        { version: "0002", name: "create_b", state: "pending", applied_at: null },
+        { version: "0003", name: "removed", state: "missing", applied_at: appliedAt },
+      ]);
+    });
+  });
+});
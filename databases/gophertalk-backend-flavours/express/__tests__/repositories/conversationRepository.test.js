@@ -0,0 +1,157 @@
+import { describe, expect, jest } from "@jest/globals";
+import { pool } from "../../src/config/db.js";
+import { ConversationRepository } from "../../src/repositories/conversationRepository.js";
+import { NotFoundError } from "../../src/utils/errors.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+const conversationRow = {
+  id: 1,
+  created_at: "2025-01-01",
+  participant_id: 2,
+  user_name: "john",
+  first_name: "John",
+  last_name: "Doe",
+  last_message_id: 10,
+  last_message_sender_id: 2,
+  last_message_text: "hi",
+  last_message_created_at: "2025-01-02",
+  last_message_read_at: null,
+  unread_count: "3",
+};
+
+describe("ConversationRepository", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getOrCreateConversation", () => {
+    it("should upsert ordered pair of participants", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ id: 1, created: true }], rowCount: 1 });
+
+      const result = await ConversationRepository.getOrCreateConversation(5, 2);
+
+      expect(result).toEqual({ id: 1, created: true });
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("select least($1::bigint, u.id), greatest($1::bigint, u.id)");
+      expect(normalizedSQL).toContain("on conflict (user_low_id, user_high_id) do update");
+      expect(params).toEqual([5, 2]);
+    });
+
+    it("should throw NotFoundError when participant does not exist", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ConversationRepository.getOrCreateConversation(5, 99)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe("getConversations", () => {
+    it("should return conversations with last message and unread count", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [conversationRow], rowCount: 1 });
+
+      const result = await ConversationRepository.getConversations(1, 10, 0);
+
+      expect(result).toEqual([
+        {
+          id: 1,
+          created_at: "2025-01-01",
+          participant: { id: 2, user_name: "john", first_name: "John", last_name: "Doe" },
+          last_message: { id: 10, sender_id: 2, text: "hi", created_at: "2025-01-02", read_at: null },
+          unread_count: 3,
+        },
+      ]);
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("m.sender_id <> $1 and m.read_at is null");
+      expect(normalizedSQL).toContain("where (c.user_low_id = $1 or c.user_high_id = $1) and u.deleted_at is null");
+      expect(normalizedSQL).toContain("order by coalesce(lm.created_at, c.created_at) desc, c.id desc offset $2 limit $3");
+      expect(params).toEqual([1, 0, 10]);
+    });
+
+    it("should return null last message for empty conversation", async () => {
+      const row = { ...conversationRow, last_message_id: null, unread_count: "0" };
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [row], rowCount: 1 });
+
+      const [conversation] = await ConversationRepository.getConversations(1, 10, 0);
+
+      expect(conversation.last_message).toBeNull();
+    });
+  });
+
+  describe("getConversationById", () => {
+    it("should throw NotFoundError when conversation is not visible", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ConversationRepository.getConversationById(3, 1)).rejects.toThrow("Conversation not found");
+      expect(mock.mock.calls[0][1]).toEqual([1, 3]);
+    });
+  });
+
+  describe("getParticipants", () => {
+    it("should return participant ids as numbers", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ id: 1, user_low_id: "2", user_high_id: "5" }] });
+
+      await expect(ConversationRepository.getParticipants(1)).resolves.toEqual([2, 5]);
+    });
+
+    it("should skip conversations with deleted participant", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ConversationRepository.getParticipants(1)).rejects.toThrow(NotFoundError);
+      const normalized = normalizeSQL(mock.mock.calls[0][0]);
+      expect(normalized).toContain("join users l on l.id = c.user_low_id and l.deleted_at is null");
+      expect(normalized).toContain("join users h on h.id = c.user_high_id and h.deleted_at is null");
+    });
+
+    it("should throw NotFoundError for unknown conversation", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ConversationRepository.getParticipants(1)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe("getMessages", () => {
+    it("should return messages older than cursor", async () => {
+      const rows = [{ id: 4 }, { id: 3 }];
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows, rowCount: 2 });
+
+      await expect(ConversationRepository.getMessages(1, 21, 5)).resolves.toEqual(rows);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain(
+        "where m.conversation_id = $1 and u.deleted_at is null and m.id < $2 order by m.id desc limit $3"
+      );
+      expect(params).toEqual([1, 5, 21]);
+    });
+  });
+
+  describe("createMessage", () => {
+    it("should insert message", async () => {
+      const message = { id: 1, conversation_id: 1, sender_id: 2, text: "hi" };
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [message], rowCount: 1 });
+
+      await expect(ConversationRepository.createMessage(1, 2, "hi")).resolves.toEqual(message);
+      expect(mock.mock.calls[0][1]).toEqual([1, 2, "hi"]);
+    });
+  });
+
+  describe("markRead", () => {
+    it("should mark incoming messages up to given id", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 2 });
+
+      await expect(ConversationRepository.markRead(1, 2, 7)).resolves.toBe(2);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("sender_id <> $2 and read_at is null and id <= $3");
+      expect(params).toEqual([1, 2, 7]);
+    });
+
+    it("should mark all incoming messages", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 5 });
+
+      await expect(ConversationRepository.markRead(1, 2)).resolves.toBe(5);
+      expect(mock.mock.calls[0][1]).toEqual([1, 2]);
+    });
+  });
+});
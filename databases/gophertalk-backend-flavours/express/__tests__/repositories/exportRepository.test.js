@@ -0,0 +1,178 @@
+import { describe, expect, jest } from "@jest/globals";
+import { pool } from "../../src/config/db.js";
+import { ExportRepository } from "../../src/repositories/exportRepository.js";
+import { NotFoundError } from "../../src/utils/errors.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+describe("ExportRepository", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("countUserData", () => {
+    it("returns number of rows to export", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ rows_count: "42" }], rowCount: 1 });
+
+      await expect(ExportRepository.countUserData(1)).resolves.toBe(42);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("(select count(*) from posts where user_id = $1)");
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe("getUserData", () => {
+    it("reads profile and all sections from one snapshot", async () => {
+      const profile = { id: 1, user_name: "john" };
+      const mock = jest
+        .spyOn(pool, "query")
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [profile], rowCount: 1 })
+        .mockResolvedValue({ rows: [{ id: 10 }], rowCount: 1 });
+
+      const data = await ExportRepository.getUserData(1);
+
+      expect(data.profile).toEqual(profile);
+      expect(Object.keys(data)).toEqual([
+        "profile",
+        "posts",
+        "post_revisions",
+        "likes",
+        "views",
+        "reposts",
+        "following",
+        "followers",
+        "messages",
+      ]);
+      expect(data.posts).toEqual([{ id: 10 }]);
+
+      const queries = mock.mock.calls.map(([sql]) => normalizeSQL(sql));
+      expect(queries[0]).toBe("set transaction isolation level repeatable read read only;");
+      expect(queries[1]).toContain("where id = $1 and deleted_at is null");
+      // Удалённые посты тоже попадают в выгрузку
+      expect(queries[2]).toContain("from posts where user_id = $1 order by id");
+      expect(queries[2]).not.toContain("deleted_at is null");
+      expect(queries[9]).toContain("where c.user_low_id = $1 or c.user_high_id = $1");
+    });
+
+    it("returns error if user not found", async () => {
+      const mock = jest
+        .spyOn(pool, "query")
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ExportRepository.getUserData(1)).rejects.toThrow(NotFoundError);
+      expect(mock).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("createExport", () => {
+    it("reuses active export of user", async () => {
+      const job = { id: 5, user_id: 1, status: "pending" };
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [job], rowCount: 1 });
+
+      await expect(ExportRepository.createExport(1)).resolves.toEqual(job);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("insert into data_exports (user_id) values ($1)");
+      expect(normalizedSQL).toContain("on conflict (user_id) where status in ('pending', 'running')");
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe("getExport", () => {
+    it("returns export of user", async () => {
+      const job = { id: 5, user_id: 1, status: "running" };
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [job], rowCount: 1 });
+
+      await expect(ExportRepository.getExport(5, 1)).resolves.toEqual(job);
+      expect(normalizeSQL(mock.mock.calls[0][0])).toContain("where id = $1 and user_id = $2");
+      expect(mock.mock.calls[0][1]).toEqual([5, 1]);
+    });
+
+    it("returns error if export not found", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const err = await ExportRepository.getExport(5, 2).catch((e) => e);
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err.code).toBe("EXPORT_NOT_FOUND");
+    });
+  });
+
+  describe("getExportArchive", () => {
+    it("returns archive of completed export", async () => {
+      const archive = Buffer.from("data");
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ archive }], rowCount: 1 });
+
+      await expect(ExportRepository.getExportArchive(5, 1)).resolves.toBe(archive);
+      expect(normalizeSQL(mock.mock.calls[0][0])).toContain("and status = 'completed' and expires_at > now()");
+    });
+
+    it("returns error if export is not ready", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const err = await ExportRepository.getExportArchive(5, 1).catch((e) => e);
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err.code).toBe("EXPORT_NOT_READY");
+    });
+  });
+
+  describe("claimExport", () => {
+    it("claims next pending or stale export", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ id: 5, user_id: 1 }], rowCount: 1 });
+
+      await expect(ExportRepository.claimExport(3600)).resolves.toEqual({ id: 5, user_id: 1 });
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("update data_exports set status = 'running', started_at = now()");
+      expect(normalizedSQL).toContain("or (status = 'running' and started_at < now() - make_interval(secs => $1))");
+      expect(normalizedSQL).toContain("for update skip locked");
+      expect(params).toEqual([3600]);
+    });
+
+    it("returns null if queue is empty", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ExportRepository.claimExport(3600)).resolves.toBeNull();
+    });
+  });
+
+  describe("completeExport", () => {
+    it("stores archive with expiration", async () => {
+      const archive = Buffer.from("data");
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      await ExportRepository.completeExport(5, archive, 60);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("set status = 'completed', archive = $2");
+      expect(params).toEqual([5, archive, 60]);
+    });
+  });
+
+  describe("failExport", () => {
+    it("stores truncated error", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      await ExportRepository.failExport(5, "e".repeat(600));
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("set status = 'failed', error = $2");
+      expect(params[1]).toHaveLength(500);
+    });
+  });
+
+  describe("expireExports", () => {
+    it("drops archives past expiration", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 2 });
+
+      await expect(ExportRepository.expireExports()).resolves.toBe(2);
+      expect(normalizeSQL(mock.mock.calls[0][0])).toContain("set status = 'expired', archive = null");
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, expect, jest } from "@jest/globals";
+import { pool } from "../../src/config/db.js";
+import { NotificationRepository } from "../../src/repositories/notificationRepository.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+describe("NotificationRepository", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createForPostAuthor", () => {
+    it("should notify post author with daily group key for likes", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 1 });
+      const day = new Date().toISOString().slice(0, 10);
+
+      await NotificationRepository.createForPostAuthor("like", 2, 10);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("insert into notifications (user_id, actor_id, type, post_id, group_key)");
+      expect(normalizedSQL).toContain("p.deleted_at is null and p.user_id <> $1");
+      expect(normalizedSQL).toContain("and $1 not in ( select blocked_id from blocks where blocker_id = p.user_id");
+      expect(params).toEqual([2, "like", 10, 10, `like:10:${day}`]);
+    });
+
+    it("should not group replies", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+      await NotificationRepository.createForPostAuthor("reply", 2, 10, 11);
+
+      expect(mock.mock.calls[0][1]).toEqual([2, "reply", 10, 11, null]);
+    });
+  });
+
+  describe("createForUsers", () => {
+    it("should notify every user except the actor", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 2 });
+
+      await NotificationRepository.createForUsers("mention", 1, [2, 3], 5);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("from unnest($3::bigint[]) as recipient_id where recipient_id <> $1");
+      expect(normalizedSQL).toContain("and $1 not in ( select blocked_id from blocks where blocker_id = recipient_id");
+      expect(normalizedSQL).toContain("select muted_id from mutes where muter_id = recipient_id");
+      expect(params).toEqual([1, "mention", [2, 3], 5, null]);
+    });
+  });
+
+  describe("getNotifications", () => {
+    it("should group notifications and apply cursor", async () => {
+      const rows = [{ id: 5, type: "like", post_id: 1, read: false, actors_count: "2", actors: [] }];
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows, rowCount: 1 });
+
+      const result = await NotificationRepository.getNotifications(1, 21, 10);
+
+      expect(result).toEqual(rows);
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("where n.user_id = $1 and n.id < $2");
+      expect(normalizedSQL).toContain("where e.user_id = n.user_id and e.group_key = n.group_key and e.id < n.id");
+      expect(normalizedSQL).toContain("order by n.id desc limit $3");
+      expect(normalizedSQL).toContain("join users a on a.id = n.actor_id where a.deleted_at is null group by h.id");
+      expect(normalizedSQL).toContain("from groups g order by g.id desc");
+      expect(params).toEqual([1, 10, 21]);
+    });
+
+    it("should omit cursor condition on first page", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await NotificationRepository.getNotifications(1, 21, null);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).not.toContain("n.id <");
+      expect(normalizeSQL(sql)).toContain("order by n.id desc limit $2");
+      expect(params).toEqual([1, 21]);
+    });
+  });
+
+  describe("countUnread", () => {
+    it("should count unread groups", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ unread_count: "3" }], rowCount: 1 });
+
+      await expect(NotificationRepository.countUnread(1)).resolves.toBe(3);
+      expect(normalizeSQL(mock.mock.calls[0][0])).toContain("a.deleted_at is null");
+    });
+  });
+
+  describe("markRead", () => {
+    it("should mark notifications and their groups as read", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 4 });
+
+      await expect(NotificationRepository.markRead(1, [5, 6])).resolves.toBe(4);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("id = any($2::bigint[]) or group_key in");
+      expect(params).toEqual([1, [5, 6]]);
+    });
+  });
+
+  describe("markAllRead", () => {
+    it("should mark all unread notifications", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 7 });
+
+      await expect(NotificationRepository.markAllRead(1)).resolves.toBe(7);
+      expect(mock.mock.calls[0][1]).toEqual([1]);
+    });
+
+    it("should return error on SQL failure", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(new Error("SQL error"));
+
+      await expect(NotificationRepository.markAllRead(1)).rejects.toThrow("SQL error");
+    });
+  });
+});
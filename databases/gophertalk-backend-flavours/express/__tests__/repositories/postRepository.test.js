@@ -1,11 +1,16 @@
 import { describe, expect, jest } from "@jest/globals";
 import { pool } from "../../src/config/db.js";
 import { PostRepository } from "../../src/repositories/postRepository.js";
+import { ConflictError, NotFoundError } from "../../src/utils/errors.js";
 
 function normalizeSQL(sql) {
   return sql.toLowerCase().replace(/\s+/g, " ").trim();
 }
 
+function pgError(code, constraint) {
+  return Object.assign(new Error(`violates constraint "${constraint}"`), { code, constraint });
+}
+
 describe("PostRepository", () => {
   afterEach(() => {
     jest.clearAllMocks();
@@ -37,7 +42,36 @@ describe("PostRepository", () => {
       const [sql, params] = mock.mock.calls[0];
       const normalizedSQL = normalizeSQL(sql);
       expect(normalizedSQL).toContain("insert into posts");
-      expect(params).toEqual([dto.text, dto.user_id, dto.reply_to_id]);
+      expect(params).toEqual([dto.text, dto.user_id, dto.reply_to_id, null]);
+    });
+
+    it("should return not found error if reply post does not exist", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockRejectedValueOnce(pgError("23503", "fk__posts__reply_to_id"));
+
+      const err = await PostRepository.createPost({ text: "reply", user_id: 1, reply_to_id: 999 }).catch((e) => e);
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err.message).toBe("Reply post not found");
+    });
+
+    it("should create a quote post", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const dto = { text: "Quoting", user_id: 1, quote_of_id: 5 };
+      mock.mockResolvedValueOnce({ rows: [{ id: 6, ...dto }], rowCount: 1 });
+
+      await PostRepository.createPost(dto);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("insert into posts (text, user_id, reply_to_id, quote_of_id)");
+      expect(params).toEqual([dto.text, dto.user_id, undefined, 5]);
+    });
+
+    it("should return not found error if quoted post does not exist", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(pgError("23503", "fk__posts__quote_of_id"));
+
+      const err = await PostRepository.createPost({ text: "quote", user_id: 1, quote_of_id: 999 }).catch((e) => e);
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err.message).toBe("Quoted post not found");
     });
 
     it("should return error on insert failure", async () => {
@@ -57,7 +91,7 @@ describe("PostRepository", () => {
       const [sql, params] = mock.mock.calls[0];
       const normalizedSQL = normalizeSQL(sql);
       expect(normalizedSQL).toContain("insert into posts");
-      expect(params).toEqual([dto.text, dto.user_id, dto.reply_to_id]);
+      expect(params).toEqual([dto.text, dto.user_id, dto.reply_to_id, null]);
     });
   });
 
@@ -120,9 +154,162 @@ describe("PostRepository", () => {
       const [sql, params] = mock.mock.calls[0];
       const normalized = normalizeSQL(sql);
       expect(normalized).toContain("select");
+      expect(normalized).toContain("where p.deleted_at is null and u.deleted_at is null");
+      expect(normalized).toContain(
+        "left join users qu on qp.user_id = qu.id and qu.deleted_at is null and qp.user_id not in ( select blocked_id from blocks where blocker_id = $1"
+      );
+      expect(normalized).toContain("left join post_stats ps on ps.post_id = p.id");
+      expect(normalized).not.toContain("count(*)");
+      expect(normalized).toContain("p.user_id not in ( select blocked_id from blocks where blocker_id = $1");
       expect(params[0]).toBe(dto.user_id);
     });
 
+    it("should use full-text search ordered by relevance", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const row = {
+        id: 1,
+        text: "Программисты пишут программы",
+        headline: "<mark>Программисты</mark> пишут <mark>программы</mark>",
+        rank: 0.12,
+        user_id: 1,
+        user_name: "username",
+        first_name: "first",
+        last_name: "last",
+      };
+      mock.mockResolvedValueOnce({ rows: [row], rowCount: 1 });
+
+      const result = await PostRepository.getAllPosts({
+        user_id: 1,
+        limit: 10,
+        offset: 0,
+        search: "программ*",
+        lang: "russian",
+      });
+
+      expect(result[0].headline).toBe(row.headline);
+      expect(result[0].rank).toBe(row.rank);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalized = normalizeSQL(sql);
+      expect(normalized).toContain("and to_tsvector('russian', p.text) @@ to_tsquery('russian', $2)");
+      expect(normalized).toContain(
+        "ts_headline('russian', replace(replace(replace(replace(replace(p.text, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')"
+      );
+      expect(normalized).toContain("order by rank desc, p.created_at desc");
+      expect(params).toEqual([1, "'программ':*", 0, 10]);
+    });
+
+    it("should reject unsupported search language", async () => {
+      const mock = jest.spyOn(pool, "query");
+
+      await expect(
+        PostRepository.getAllPosts({ user_id: 1, limit: 10, offset: 0, search: "test", lang: "'; drop table posts; --" })
+      ).rejects.toThrow("Unsupported search language");
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("should filter by followed users in home feed", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await PostRepository.getAllPosts({ user_id: 1, limit: 10, offset: 0, feed: "home" });
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain(
+        "and (p.user_id = $1 or p.user_id in ( select followee_id from follows where follower_id = $1 ))"
+      );
+      expect(params).toEqual([1, 0, 10]);
+    });
+
+    it("should use keyset condition in cursor mode", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const dto = {
+        user_id: 1,
+        owner_id: 0,
+        limit: 11,
+        offset: 0,
+        reply_to_id: 0,
+        search: "",
+        cursor: { direction: "after", id: 42 },
+      };
+
+      await PostRepository.getAllPosts(dto);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalized = normalizeSQL(sql);
+      expect(normalized).toContain("and (p.created_at, p.id) < ( select created_at, id from posts where id = $2 )");
+      expect(normalized).toContain("order by p.created_at desc, p.id desc limit $3");
+      expect(normalized).not.toContain("offset");
+      expect(params).toEqual([1, 42, 11]);
+    });
+
+    it("should page through search results in chronological order in cursor mode", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const row = (id) => ({ id, text: "go", rank: id / 10, user_id: 1, user_name: "username", first_name: "first", last_name: "last" });
+      mock
+        .mockResolvedValueOnce({ rows: [row(5), row(4), row(3)], rowCount: 3 })
+        .mockResolvedValueOnce({ rows: [row(3), row(2), row(1)], rowCount: 3 })
+        .mockResolvedValueOnce({ rows: [row(1)], rowCount: 1 });
+
+      const dto = { user_id: 1, limit: 3, offset: 0, reply_to_id: 0, search: "go", pagination: "cursor", cursor: null };
+      const seen = [];
+      let page = await PostRepository.getAllPosts(dto);
+      seen.push(...page.slice(0, 2).map((post) => post.id));
+      while (page.length > 2) {
+        page = await PostRepository.getAllPosts({ ...dto, cursor: { direction: "after", id: seen.at(-1) } });
+        seen.push(...page.slice(0, 2).map((post) => post.id));
+      }
+
+      expect(seen).toEqual([5, 4, 3, 2, 1]);
+      expect(mock).toHaveBeenCalledTimes(3);
+
+      const [first, firstParams] = mock.mock.calls[0];
+      expect(normalizeSQL(first)).not.toContain("order by rank");
+      expect(normalizeSQL(first)).toContain("order by p.created_at desc, p.id desc offset $3 limit $4");
+      expect(firstParams).toEqual([1, "'go'", 0, 3]);
+      for (const [sql] of mock.mock.calls.slice(1)) {
+        expect(normalizeSQL(sql)).toContain("and (p.created_at, p.id) < ( select created_at, id from posts where id = $3 )");
+        expect(normalizeSQL(sql)).toContain("order by p.created_at desc, p.id desc limit $4");
+      }
+      expect(mock.mock.calls[1][1]).toEqual([1, "'go'", 4, 3]);
+      expect(mock.mock.calls[2][1]).toEqual([1, "'go'", 2, 3]);
+    });
+
+    it("should filter by hashtag and include replies in tag feed", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await PostRepository.getAllPosts({ user_id: 1, tag: "go", limit: 10, offset: 0 });
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalized = normalizeSQL(sql);
+      expect(normalized).toContain("join hashtags h on h.id = ph.hashtag_id where h.tag = $2");
+      expect(normalized).not.toContain("p.reply_to_id is null");
+      expect(params).toEqual([1, "go", 0, 10]);
+    });
+
+    it("should return rows in feed order when paging backwards", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const row = (id) => ({ id, text: "text", user_id: 1, user_name: "username", first_name: "first", last_name: "last" });
+      mock.mockResolvedValueOnce({ rows: [row(3), row(4)], rowCount: 2 });
+
+      const result = await PostRepository.getAllPosts({
+        user_id: 1,
+        limit: 2,
+        reply_to_id: 0,
+        cursor: { direction: "before", id: 2 },
+      });
+
+      expect(result.map((post) => post.id)).toEqual([4, 3]);
+
+      const [sql] = mock.mock.calls[0];
+      const normalized = normalizeSQL(sql);
+      expect(normalized).toContain("and (p.created_at, p.id) > (");
+      expect(normalized).toContain("order by p.created_at asc, p.id asc");
+    });
+
     it("should return error on SQL failure", async () => {
       const mock = jest.spyOn(pool, "query");
 
@@ -189,13 +376,72 @@ describe("PostRepository", () => {
           first_name: row.first_name,
           last_name: row.last_name,
         },
+        reply_to: null,
+        quote: null,
+        entities: { hashtags: [], mentions: [] },
       });
 
       const [sql, params] = mock.mock.calls[0];
-      expect(normalizeSQL(sql)).toContain("select");
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("select blocked_id from blocks where blocker_id = $1");
+      expect(normalizedSQL).toContain("select blocker_id from blocks where blocked_id = $1");
+      expect(normalizedSQL).toContain("select muted_id from mutes where muter_id = $1");
       expect(params).toEqual([userId, postId]);
     });
 
+    it("should include parent post summary for reply", async () => {
+      const now = new Date();
+
+      const row = {
+        post_id: 2,
+        text: "Reply",
+        reply_to_id: 1,
+        created_at: now,
+        user_id: 1,
+        user_name: "username",
+        first_name: "first_name",
+        last_name: "last_name",
+        likes_count: 0,
+        views_count: 0,
+        replies_count: 0,
+        user_liked: false,
+        user_viewed: false,
+        reply_to_text: "Parent",
+        reply_to_created_at: now,
+        reply_to_user_id: 2,
+        reply_to_user_name: "parent_user",
+        reply_to_first_name: "parent_first",
+        reply_to_last_name: "parent_last",
+      };
+
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [row], rowCount: 1 });
+
+      const result = await PostRepository.getPostById(2, 1);
+
+      expect(result.reply_to).toEqual({
+        id: 1,
+        text: "Parent",
+        created_at: now,
+        user: {
+          id: 2,
+          user_name: "parent_user",
+          first_name: "parent_first",
+          last_name: "parent_last",
+        },
+      });
+
+      const [sql] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("left join posts rp on rp.id = p.reply_to_id and rp.deleted_at is null");
+      expect(normalizeSQL(sql)).toContain(
+        "left join users ru on rp.user_id = ru.id and ru.deleted_at is null and rp.user_id not in ( select blocked_id from blocks where blocker_id = $1"
+      );
+      expect(normalizeSQL(sql)).toContain(
+        "left join users qu on qp.user_id = qu.id and qu.deleted_at is null and qp.user_id not in ( select blocked_id from blocks where blocker_id = $1"
+      );
+      expect(normalizeSQL(sql)).toContain("and u.deleted_at is null");
+    });
+
     it("should throw error if post not found", async () => {
       const mock = jest.spyOn(pool, "query");
       mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
@@ -208,6 +454,164 @@ describe("PostRepository", () => {
     });
   });
 
+  describe("getThread", () => {
+    it("should return ancestors and descendants of the post", async () => {
+      const now = new Date();
+      const dto = { user_id: 1, post_id: 2, depth: 3, limit: 10 };
+
+      const rows = [-1, 0, 1].map((depth) => ({
+        depth,
+        id: depth + 2,
+        text: `Post ${depth + 2}`,
+        reply_to_id: depth === -1 ? null : depth + 1,
+        created_at: now,
+        user_id: 1,
+        user_name: "username",
+        first_name: "first",
+        last_name: "last",
+        likes_count: 0,
+        views_count: 0,
+        replies_count: 1,
+        user_liked: false,
+        user_viewed: false,
+      }));
+
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows, rowCount: rows.length });
+
+      const result = await PostRepository.getThread(dto);
+
+      expect(result).toHaveLength(3);
+      expect(result.map((post) => post.depth)).toEqual([-1, 0, 1]);
+      expect(result[1].user).toEqual({
+        id: 1,
+        user_name: "username",
+        first_name: "first",
+        last_name: "last",
+      });
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("with recursive ancestors as");
+      expect(normalizedSQL).toContain("limit $4");
+      // Скрытые авторы отсекаются у корня, у ответов и у предков
+      expect(normalizedSQL.match(/select blocked_id from blocks where blocker_id = \$1/g)).toHaveLength(3);
+      expect(params).toEqual([dto.user_id, dto.post_id, dto.depth, dto.limit]);
+    });
+
+    it("should throw error if post not found", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(PostRepository.getThread({ user_id: 1, post_id: 999, depth: 3, limit: 10 })).rejects.toThrow(
+        "Post not found"
+      );
+    });
+  });
+
+  describe("savePostEntities", () => {
+    it("should save hashtags and resolve mentions", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ user_id: 2 }], rowCount: 1 });
+
+      await expect(PostRepository.savePostEntities(1, ["go"], ["john_doe"])).resolves.toEqual([2]);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("insert into hashtags (tag) select unnest($2::text[]) on conflict (tag)");
+      expect(normalizedSQL).toContain("insert into post_hashtags (post_id, hashtag_id)");
+      expect(normalizedSQL).toContain("where user_name = any($3::text[]) and deleted_at is null");
+      expect(params).toEqual([1, ["go"], ["john_doe"]]);
+    });
+  });
+
+  describe("clearPostEntities", () => {
+    it("should remove hashtags and mentions of the post", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ user_id: "2" }, { user_id: "3" }], rowCount: 2 });
+
+      await expect(PostRepository.clearPostEntities(1)).resolves.toEqual(["2", "3"]);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("delete from post_hashtags where post_id = $1");
+      expect(normalizedSQL).toContain("delete from mentions where post_id = $1 returning user_id");
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe("getPostForEdit", () => {
+    it("should return owner and edit window state", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ id: 1, user_id: 1, editable: true }], rowCount: 1 });
+
+      await expect(PostRepository.getPostForEdit(1, 900)).resolves.toEqual({ id: 1, user_id: 1, editable: true });
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("created_at > now() - make_interval(secs => $2) as editable");
+      expect(params).toEqual([1, 900]);
+    });
+
+    it("should return error if post not found", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(PostRepository.getPostForEdit(2, 900)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe("updatePost", () => {
+    it("should save previous version and update text", async () => {
+      const updated = { id: 1, text: "edited", created_at: new Date(), edited_at: new Date(), reply_to_id: null };
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [updated], rowCount: 1 });
+
+      await expect(PostRepository.updatePost(1, 1, "edited", 900)).resolves.toEqual(updated);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("insert into post_revisions (post_id, text, created_at)");
+      expect(normalizedSQL).toContain("update posts p set text = $3, edited_at = now()");
+      expect(normalizedSQL).toContain("where id = $1 and user_id = $2 and deleted_at is null");
+      expect(params).toEqual([1, 1, "edited", 900]);
+    });
+
+    it("should return error if post cannot be edited", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(PostRepository.updatePost(1, 1, "edited", 900)).rejects.toThrow("Post not found");
+    });
+  });
+
+  describe("getPostRevisions", () => {
+    it("should return revisions newest first", async () => {
+      const revisions = [
+        { id: 2, text: "second", created_at: new Date() },
+        { id: 1, text: "first", created_at: new Date() },
+      ];
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: revisions, rowCount: 2 });
+
+      await expect(PostRepository.getPostRevisions(1)).resolves.toEqual(revisions);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("order by r.created_at desc, r.id desc");
+      expect(normalizeSQL(sql)).toContain("where p.id = $1 and p.deleted_at is null and u.deleted_at is null");
+      expect(params).toEqual([1]);
+    });
+
+    it("should return empty list for post without revisions", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ id: null, text: null, created_at: null }], rowCount: 1 });
+
+      await expect(PostRepository.getPostRevisions(1)).resolves.toEqual([]);
+    });
+
+    it("should return error if post not found", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(PostRepository.getPostRevisions(2)).rejects.toThrow(NotFoundError);
+    });
+  });
+
   describe("deletePost", () => {
     it("should successfully delete post", async () => {
       const postId = 1;
@@ -241,6 +645,66 @@ describe("PostRepository", () => {
     });
   });
 
+  describe("forceDeletePost", () => {
+    it("should delete post of any user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(PostRepository.forceDeletePost(1)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("update posts set deleted_at = now()");
+      expect(normalizedSQL).toContain("where id = $1 and deleted_at is null");
+      expect(normalizedSQL).not.toContain("user_id");
+      expect(params).toEqual([1]);
+    });
+
+    it("should return error if post not found", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(PostRepository.forceDeletePost(2)).rejects.toThrow("Post not found or already deleted");
+    });
+  });
+
+  describe("getDeletedPosts", () => {
+    it("should return deleted posts with authors", async () => {
+      const now = new Date();
+      const row = {
+        id: 1,
+        text: "Deleted post",
+        reply_to_id: null,
+        created_at: now,
+        deleted_at: now,
+        user_id: 2,
+        user_name: "username",
+        first_name: "first",
+        last_name: "last",
+      };
+
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [row], rowCount: 1 });
+
+      const result = await PostRepository.getDeletedPosts(10, 0);
+
+      expect(result).toEqual([
+        {
+          id: 1,
+          text: "Deleted post",
+          reply_to_id: null,
+          created_at: now,
+          deleted_at: now,
+          user: { id: 2, user_name: "username", first_name: "first", last_name: "last" },
+        },
+      ]);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("where p.deleted_at is not null");
+      expect(params).toEqual([0, 10]);
+    });
+  });
+
   describe("viewPost", () => {
     it("should successfully register a view", async () => {
       const postId = 1;
@@ -277,9 +741,33 @@ describe("PostRepository", () => {
       const userId = 1;
 
       const mock = jest.spyOn(pool, "query");
-      mock.mockRejectedValueOnce(new Error('duplicate key value violates unique constraint "pk__views"'));
+      mock.mockRejectedValueOnce(pgError("23505", "pk__views"));
 
-      await expect(PostRepository.viewPost(postId, userId)).rejects.toThrow("Post already viewed");
+      const err = await PostRepository.viewPost(postId, userId).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.message).toBe("Post already viewed");
+    });
+
+    it("should throw not found error on foreign key violation", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockRejectedValueOnce(pgError("23503", "fk__views__post_id"));
+
+      const err = await PostRepository.viewPost(999, 1).catch((e) => e);
+      expect(err).toBeInstanceOf(NotFoundError);
+      expect(err.message).toBe("Post not found");
+    });
+  });
+
+  describe("isBlockedByAuthor", () => {
+    it("should check whether post author blocked the user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ blocked: true }], rowCount: 1 });
+
+      await expect(PostRepository.isBlockedByAuthor(3, 2)).resolves.toBe(true);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("join blocks b on b.blocker_id = p.user_id and b.blocked_id = $2");
+      expect(params).toEqual([3, 2]);
     });
   });
 
@@ -319,9 +807,26 @@ describe("PostRepository", () => {
       const userId = 1;
 
       const mock = jest.spyOn(pool, "query");
-      mock.mockRejectedValueOnce(new Error('duplicate key value violates unique constraint "pk__likes"'));
+      mock.mockRejectedValueOnce(pgError("23505", "pk__likes"));
 
-      await expect(PostRepository.likePost(postId, userId)).rejects.toThrow("Post already liked");
+      const err = await PostRepository.likePost(postId, userId).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("POST_ALREADY_LIKED");
+    });
+
+    it("should return not found error if post does not exist", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockRejectedValueOnce(pgError("23503", "fk__likes__post_id"));
+
+      await expect(PostRepository.likePost(999, 1)).rejects.toThrow(NotFoundError);
+    });
+
+    it("should pass through unrelated database errors", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const dbError = new Error("connection terminated");
+      mock.mockRejectedValueOnce(dbError);
+
+      await expect(PostRepository.likePost(1, 1)).rejects.toBe(dbError);
     });
   });
 
@@ -371,4 +876,87 @@ describe("PostRepository", () => {
       expect(params).toEqual([postId, userId]);
     });
   });
+
+  describe("repostPost", () => {
+    it("should successfully repost a post", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(PostRepository.repostPost(1, 2)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("insert into reposts (post_id, user_id)");
+      expect(normalizedSQL).toContain("where id = $1 and deleted_at is null");
+      expect(params).toEqual([1, 2]);
+    });
+
+    it("should return error if post not found", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(PostRepository.repostPost(99, 2)).rejects.toThrow(NotFoundError);
+    });
+
+    it("should return conflict error if already reposted", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(pgError("23505", "pk__reposts"));
+
+      const err = await PostRepository.repostPost(1, 2).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("POST_ALREADY_REPOSTED");
+    });
+  });
+
+  describe("undoRepost", () => {
+    it("should successfully remove a repost", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(PostRepository.undoRepost(1, 2)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("delete from reposts where post_id = $1 and user_id = $2");
+      expect(params).toEqual([1, 2]);
+    });
+
+    it("should return error if post was not reposted", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(PostRepository.undoRepost(1, 2)).rejects.toThrow("Post not reposted");
+    });
+  });
+
+  describe("createMissingPostStats", () => {
+    it("should create stats for posts without them", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rowCount: 2 });
+
+      await expect(PostRepository.createMissingPostStats()).resolves.toBe(2);
+      expect(normalizeSQL(mock.mock.calls[0][0])).toContain("insert into post_stats (post_id) select p.id from posts p");
+    });
+  });
+
+  describe("reconcilePostStats", () => {
+    it("should lock the batch and recount its stats", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ post_id: 3 }, { post_id: 5 }], rowCount: 2 });
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(PostRepository.reconcilePostStats(2, 100)).resolves.toEqual({ last_id: 5, fixed: 1 });
+
+      const [lockSql, lockParams] = mock.mock.calls[0];
+      expect(normalizeSQL(lockSql)).toContain("where post_id > $1 order by post_id limit $2 for update");
+      expect(lockParams).toEqual([2, 100]);
+
+      const [sql, params] = mock.mock.calls[1];
+      expect(normalizeSQL(sql)).toContain("update post_stats ps");
+      expect(normalizeSQL(sql)).toContain("is distinct from");
+      expect(params).toEqual([[3, 5]]);
+    });
+
+    it("should return empty result after the last batch", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(PostRepository.reconcilePostStats(5, 100)).resolves.toEqual({ last_id: null, fixed: 0 });
+      expect(mock).toHaveBeenCalledTimes(1);
+    });
+  });
 });
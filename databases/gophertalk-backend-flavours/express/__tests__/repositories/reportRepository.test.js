@@ -0,0 +1,160 @@
+import { describe, expect, jest } from "@jest/globals";
+import { pool } from "../../src/config/db.js";
+import { ReportRepository } from "../../src/repositories/reportRepository.js";
+import { ConflictError, NotFoundError } from "../../src/utils/errors.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+function pgError(code, constraint) {
+  return Object.assign(new Error(`violates constraint "${constraint}"`), { code, constraint });
+}
+
+const reportRow = {
+  id: 1,
+  reason: "spam",
+  comment: null,
+  status: "open",
+  created_at: "2025-01-01",
+  updated_at: "2025-01-01",
+  resolved_at: null,
+  post_id: 3,
+  post_text: "buy now",
+  post_deleted_at: null,
+  target_user_id: 4,
+  target_user_name: "spammer",
+  reporter_id: 2,
+  reporter_user_name: "reporter",
+  resolved_by_id: null,
+  resolved_by_user_name: null,
+};
+
+describe("ReportRepository", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("reportPost", () => {
+    it("should create report for existing post", async () => {
+      const row = { id: 1, post_id: 3, reason: "spam", comment: null, status: "open" };
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [row], rowCount: 1 });
+
+      await expect(ReportRepository.reportPost(2, 3, "spam")).resolves.toEqual(row);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("select $1, id, $3, $4 from posts where id = $2 and deleted_at is null");
+      expect(params).toEqual([2, 3, "spam", null]);
+    });
+
+    it("should throw NotFoundError for deleted post", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ReportRepository.reportPost(2, 3, "spam")).rejects.toThrow(NotFoundError);
+    });
+
+    it("should throw ConflictError for duplicate open report", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(pgError("23505", "uk__reports__open_post"));
+
+      const err = await ReportRepository.reportPost(2, 3, "spam").catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("REPORT_ALREADY_EXISTS");
+    });
+  });
+
+  describe("reportUser", () => {
+    it("should throw NotFoundError for unknown user", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ReportRepository.reportUser(2, 99, "spam", "bot")).rejects.toThrow("User not found");
+      expect(mock.mock.calls[0][1]).toEqual([2, 99, "spam", "bot"]);
+    });
+  });
+
+  describe("getReports", () => {
+    it("should filter queue and map targets", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [reportRow], rowCount: 1 });
+
+      const result = await ReportRepository.getReports({ status: "open", reason: "spam", limit: 10, offset: 0 });
+
+      expect(result).toEqual([
+        {
+          id: 1,
+          reason: "spam",
+          comment: null,
+          status: "open",
+          created_at: "2025-01-01",
+          updated_at: "2025-01-01",
+          resolved_at: null,
+          post: { id: 3, text: "buy now", deleted_at: null },
+          user: { id: 4, user_name: "spammer" },
+          reporter: { id: 2, user_name: "reporter" },
+          resolved_by: null,
+        },
+      ]);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("where r.status = $1 and r.reason = $2 order by r.id asc offset $3 limit $4");
+      expect(params).toEqual(["open", "spam", 0, 10]);
+    });
+
+    it("should return whole queue without filters", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await ReportRepository.getReports({ limit: 10, offset: 20 });
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).not.toContain("where r.");
+      expect(params).toEqual([20, 10]);
+    });
+  });
+
+  describe("getReportById", () => {
+    it("should return report with moderation actions", async () => {
+      const actions = [{ id: 1, from_status: "open", to_status: "reviewing" }];
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ ...reportRow, actions }], rowCount: 1 });
+
+      const result = await ReportRepository.getReportById(1);
+
+      expect(result.actions).toEqual(actions);
+      expect(result.post.id).toBe(3);
+    });
+
+    it("should throw NotFoundError for unknown report", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(ReportRepository.getReportById(1)).rejects.toThrow("Report not found");
+    });
+  });
+
+  describe("updateStatus", () => {
+    it("should update status and write audit record", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ report_id: 1 }], rowCount: 1 });
+
+      await ReportRepository.updateStatus(1, "open", "dismissed", 7, "duplicate");
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("where id = $1 and status = $2::text");
+      expect(normalizedSQL).toContain("insert into report_actions (report_id, moderator_id, from_status, to_status, note)");
+      expect(params).toEqual([1, "open", "dismissed", 7, "duplicate"]);
+    });
+
+    it("should throw ConflictError when status changed concurrently", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const err = await ReportRepository.updateStatus(1, "open", "dismissed", 7).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("REPORT_STATUS_CHANGED");
+    });
+  });
+
+  describe("actionOpenPostReports", () => {
+    it("should close open reports on post", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 2 });
+
+      await expect(ReportRepository.actionOpenPostReports(3, 7, "removed")).resolves.toBe(2);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("where r.post_id = $1 and r.status in ('open', 'reviewing')");
+      expect(params).toEqual([3, 7, "removed"]);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, expect, jest } from "@jest/globals";
+import { pool } from "../../src/config/db.js";
+import { SessionRepository } from "../../src/repositories/sessionRepository.js";
+import { USER_STATUS_ACTIVE } from "../../src/repositories/userRepository.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+describe("SessionRepository", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createSession", () => {
+    it("should successfully create a session", async () => {
+      const mock = jest.spyOn(pool, "query");
+
+      const dto = { id: "session-id", user_id: 1, user_agent: "jest", ip: "127.0.0.1" };
+      const expected = { ...dto, created_at: new Date(), last_used_at: new Date() };
+
+      mock.mockResolvedValueOnce({ rows: [expected], rowCount: 1 });
+
+      const result = await SessionRepository.createSession(dto);
+
+      expect(result).toEqual(expected);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("insert into sessions (id, user_id, user_agent, ip)");
+      expect(params).toEqual([dto.id, dto.user_id, dto.user_agent, dto.ip]);
+    });
+
+    it("should return error on insert failure", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockRejectedValueOnce(new Error("insert failed"));
+
+      await expect(
+        SessionRepository.createSession({ id: "session-id", user_id: 1, user_agent: null, ip: null })
+      ).rejects.toThrow("insert failed");
+    });
+  });
+
+  describe("getSessionsByUserId", () => {
+    it("should return active sessions of the user", async () => {
+      const mock = jest.spyOn(pool, "query");
+
+      const rows = [{ id: "session-id", user_agent: "jest", ip: "127.0.0.1" }];
+      mock.mockResolvedValueOnce({ rows, rowCount: rows.length });
+
+      const result = await SessionRepository.getSessionsByUserId(1);
+
+      expect(result).toEqual(rows);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("where user_id = $1 and revoked_at is null");
+      expect(params).toEqual([1]);
+    });
+  });
+
+  describe("touchSession", () => {
+    it("should return current role for active session", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ role: "moderator" }], rowCount: 1 });
+
+      await expect(SessionRepository.touchSession("session-id", "1")).resolves.toBe("moderator");
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("where s.id = $1 and s.user_id = $2 and s.revoked_at is null");
+      expect(normalizedSQL).toContain("and u.status = $3 and u.deleted_at is null");
+      expect(normalizedSQL).toContain("update sessions set last_used_at = now()");
+      expect(normalizedSQL).toContain("select id from active where last_used_at < now() - make_interval(secs => $4)");
+      expect(normalizedSQL).toContain("select role from active");
+      expect(params).toEqual(["session-id", "1", USER_STATUS_ACTIVE, 60]);
+    });
+
+    it("should return null for revoked session or blocked user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(SessionRepository.touchSession("session-id", "1")).resolves.toBeNull();
+    });
+  });
+
+  describe("revokeSession", () => {
+    it("should successfully revoke session", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(SessionRepository.revokeSession("session-id", 1)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("update sessions set revoked_at = now()");
+      expect(params).toEqual(["session-id", 1]);
+    });
+
+    it("should return error if session not found", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(SessionRepository.revokeSession("session-id", 1)).rejects.toThrow("Session not found");
+    });
+  });
+
+  describe("revokeUserSessions", () => {
+    it("should revoke all active sessions of the user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 2 });
+
+      await expect(SessionRepository.revokeUserSessions(1)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("where user_id = $1 and revoked_at is null");
+      expect(params).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, jest } from "@jest/globals";
+import { pool } from "../../src/config/db.js";
+import { TagRepository } from "../../src/repositories/tagRepository.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+describe("TagRepository", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getTrendingTags", () => {
+    it("should count posts per tag within the window", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const rows = [
+        { tag: "go", posts_count: "3" },
+        { tag: "js", posts_count: "1" },
+      ];
+      mock.mockResolvedValueOnce({ rows, rowCount: 2 });
+
+      const result = await TagRepository.getTrendingTags(1, 24, 10);
+
+      expect(result).toEqual(rows);
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("p.created_at > now() - make_interval(hours => $2)");
+      expect(normalizedSQL).toContain("and p.user_id not in ( select blocked_id from blocks where blocker_id = $1");
+      expect(normalizedSQL).toContain("order by posts_count desc, h.tag asc limit $3");
+      expect(params).toEqual([1, 24, 10]);
+    });
+
+    it("should return error on SQL failure", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(new Error("SQL error"));
+
+      await expect(TagRepository.getTrendingTags(1, 24, 10)).rejects.toThrow("SQL error");
+    });
+  });
+});
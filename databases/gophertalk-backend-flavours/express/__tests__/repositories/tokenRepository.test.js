@@ -0,0 +1,88 @@
+import { describe, expect, jest } from "@jest/globals";
+import { pool } from "../../src/config/db.js";
+import { TokenRepository } from "../../src/repositories/tokenRepository.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+describe("TokenRepository", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createRefreshToken", () => {
+    it("should successfully store a refresh token", async () => {
+      const mock = jest.spyOn(pool, "query");
+
+      const dto = { id: "token-id", user_id: 1, session_id: "session-id" };
+      const expected = { ...dto, created_at: new Date() };
+
+      mock.mockResolvedValueOnce({ rows: [expected], rowCount: 1 });
+
+      const result = await TokenRepository.createRefreshToken(dto);
+
+      expect(result).toEqual(expected);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("insert into refresh_tokens (id, user_id, session_id)");
+      expect(params).toEqual([dto.id, dto.user_id, dto.session_id]);
+    });
+
+    it("should return error on insert failure", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockRejectedValueOnce(new Error("insert failed"));
+
+      await expect(
+        TokenRepository.createRefreshToken({ id: "token-id", user_id: 1, session_id: "session-id" })
+      ).rejects.toThrow("insert failed");
+    });
+  });
+
+  describe("revokeRefreshToken", () => {
+    it("should return true if active token was revoked", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(TokenRepository.revokeRefreshToken("old-id", "new-id")).resolves.toBe(true);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("update refresh_tokens set revoked_at = now(), replaced_by = $2");
+      expect(normalizedSQL).toContain("where id = $1 and revoked_at is null");
+      expect(params).toEqual(["old-id", "new-id"]);
+    });
+
+    it("should return false if token was already revoked", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(TokenRepository.revokeRefreshToken("old-id", "new-id")).resolves.toBe(false);
+    });
+  });
+
+  describe("revokeSessionTokens", () => {
+    it("should revoke all active tokens of the session", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 3 });
+
+      await expect(TokenRepository.revokeSessionTokens("session-id")).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("where session_id = $1 and revoked_at is null");
+      expect(params).toEqual(["session-id"]);
+    });
+  });
+
+  describe("revokeUserTokens", () => {
+    it("should revoke all active tokens of the user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 2 });
+
+      await expect(TokenRepository.revokeUserTokens(1)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("update refresh_tokens set revoked_at = now() where user_id = $1");
+      expect(params).toEqual([1]);
+    });
+  });
+});
@@ -1,11 +1,16 @@
 import { expect, jest } from "@jest/globals";
 import { pool } from "../../src/config/db.js";
 import { UserRepository } from "../../src/repositories/userRepository.js";
+import { ConflictError, NotFoundError } from "../../src/utils/errors.js";
 
 function normalizeSQL(sql) {
   return sql.toLowerCase().replace(/\s+/g, " ").trim();
 }
 
+function pgError(code, constraint) {
+  return Object.assign(new Error(`violates constraint "${constraint}"`), { code, constraint });
+}
+
 describe("UserRepository", () => {
   afterEach(() => {
     jest.clearAllMocks();
@@ -41,6 +46,15 @@ describe("UserRepository", () => {
       expect(params).toEqual([dto.user_name, dto.first_name, dto.last_name, dto.password_hash]);
     });
 
+    it("returns conflict error if user name is taken", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockRejectedValueOnce(pgError("23505", "idx__users__user_name"));
+
+      const err = await UserRepository.createUser({ user_name: "john" }).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("USER_ALREADY_EXISTS");
+    });
+
     it("error on user insert", async () => {
       const mock = jest.spyOn(pool, "query");
 
@@ -92,7 +106,7 @@ describe("UserRepository", () => {
 
       mock.mockResolvedValueOnce({ rows: expectedUsers, rowCount: expectedUsers.length });
 
-      const result = await UserRepository.getAllUsers(100, 0);
+      const result = await UserRepository.getAllUsers({ limit: 100, offset: 0 });
 
       expect(result).toEqual(expectedUsers);
 
@@ -108,7 +122,7 @@ describe("UserRepository", () => {
       const mock = jest.spyOn(pool, "query");
       mock.mockRejectedValueOnce(new Error("SQL error"));
 
-      await expect(UserRepository.getAllUsers(100, 0)).rejects.toThrow("SQL error");
+      await expect(UserRepository.getAllUsers({ limit: 100, offset: 0 })).rejects.toThrow("SQL error");
 
       const [sql, params] = mock.mock.calls[0];
       const normalizedSQL = normalizeSQL(sql);
@@ -117,6 +131,51 @@ describe("UserRepository", () => {
     });
   });
 
+  describe("getAllUsers with filters", () => {
+    it("searches by prefix and trigram similarity", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await UserRepository.getAllUsers({ limit: 10, offset: 0, search: "jo_n" });
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("user_name ilike $2 or first_name ilike $2 or last_name ilike $2");
+      expect(normalizedSQL).toContain("or user_name % $1 or first_name % $1 or last_name % $1");
+      expect(normalizedSQL).toContain("order by greatest( similarity(user_name, $1)");
+      expect(params).toEqual(["jo_n", "jo\\_n%", 0, 10]);
+    });
+
+    it("filters by creation date and sorts by user name", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await UserRepository.getAllUsers({
+        limit: 10,
+        offset: 20,
+        created_from: "2025-01-01",
+        created_to: "2025-12-31",
+        sort: "user_name_asc",
+      });
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("and created_at >= $1 and created_at <= $2");
+      expect(normalizedSQL).toContain("order by user_name asc offset $3 limit $4");
+      expect(params).toEqual(["2025-01-01", "2025-12-31", 20, 10]);
+    });
+
+    it("sorts newest users first by default", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await UserRepository.getAllUsers({ limit: 10, offset: 0 });
+
+      const [sql] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("order by created_at desc, id desc");
+    });
+  });
+
   describe("getUserById", () => {
     it("successfully gets user by id", async () => {
       const mock = jest.spyOn(pool, "query");
@@ -286,4 +345,324 @@ describe("UserRepository", () => {
       expect(params).toEqual([2]);
     });
   });
+
+  describe("getDeletedUserByUserName", () => {
+    it("returns latest deleted account within retention period", async () => {
+      const user = { id: 1, user_name: "john", password_hash: "hash", status: 1, role: "user" };
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [user], rowCount: 1 });
+
+      await expect(UserRepository.getDeletedUserByUserName("john", 30)).resolves.toEqual(user);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("where user_name = $1 and purged_at is null");
+      expect(normalizedSQL).toContain("and deleted_at > now() - make_interval(days => $2)");
+      expect(normalizedSQL).toContain("order by deleted_at desc limit 1");
+      expect(params).toEqual(["john", 30]);
+    });
+
+    it("returns error if no such account", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(UserRepository.getDeletedUserByUserName("john", 30)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe("restoreUser", () => {
+    it("clears deleted_at", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(UserRepository.restoreUser(1, 30)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("update users set deleted_at = null");
+      expect(normalizedSQL).toContain("where id = $1 and purged_at is null");
+      expect(params).toEqual([1, 30]);
+    });
+
+    it("returns error if user name is taken", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(pgError("23505", "idx__users__user_name"));
+
+      const err = await UserRepository.restoreUser(1, 30).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("USER_NAME_TAKEN");
+    });
+
+    it("returns error if account can no longer be restored", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(UserRepository.restoreUser(1, 30)).rejects.toThrow("User not found");
+    });
+  });
+
+  describe("getUsersToPurge", () => {
+    it("returns ids of accounts with expired retention", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [{ id: 3 }, { id: 4 }], rowCount: 2 });
+
+      await expect(UserRepository.getUsersToPurge(30, 100)).resolves.toEqual([3, 4]);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("and deleted_at <= now() - make_interval(days => $1)");
+      expect(params).toEqual([30, 100]);
+    });
+  });
+
+  describe("purgeUser", () => {
+    it("anonymizes user and erases personal data", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValue({ rows: [], rowCount: 1 });
+
+      await expect(UserRepository.purgeUser(3, 30)).resolves.toBe(true);
+
+      const queries = mock.mock.calls.map(([sql]) => normalizeSQL(sql));
+      expect(queries[0]).toContain("set user_name = 'deleted_' || id, first_name = '', last_name = '', password_hash = ''");
+      expect(queries[0]).toContain("where id = $1 and deleted_at is not null and purged_at is null");
+      expect(queries).toContain("delete from likes where user_id = $1;");
+      expect(queries).toContain("delete from follows where follower_id = $1 or followee_id = $1;");
+      expect(queries).toContain("update posts set text = '', deleted_at = coalesce(deleted_at, now()) where user_id = $1;");
+      expect(queries).toContain("update messages set text = '' where sender_id = $1;");
+      expect(queries).toContain("delete from sessions where user_id = $1;");
+      expect(queries).toContain("delete from data_exports where user_id = $1;");
+      expect(mock.mock.calls[0][1]).toEqual([3, 30]);
+      expect(mock.mock.calls.slice(1).every(([, params]) => params[0] === 3)).toBe(true);
+    });
+
+    it("skips account that was already purged or restored", async () => {
+      const mock = jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(UserRepository.purgeUser(3, 30)).resolves.toBe(false);
+      expect(mock).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("followUser", () => {
+    it("successfully follows user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(UserRepository.followUser(1, 2)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("insert into follows (follower_id, followee_id)");
+      expect(normalizedSQL).toContain("where id = $2 and deleted_at is null");
+      expect(params).toEqual([1, 2]);
+    });
+
+    it("returns error if user not found", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(UserRepository.followUser(1, 99)).rejects.toThrow("User not found");
+    });
+
+    it("returns error if user already followed", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockRejectedValueOnce(pgError("23505", "pk__follows"));
+
+      const err = await UserRepository.followUser(1, 2).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.message).toBe("User already followed");
+    });
+  });
+
+  describe("unfollowUser", () => {
+    it("successfully unfollows user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(UserRepository.unfollowUser(1, 2)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("delete from follows where follower_id = $1 and followee_id = $2");
+      expect(params).toEqual([1, 2]);
+    });
+
+    it("returns error if user not followed", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(UserRepository.unfollowUser(1, 2)).rejects.toThrow("User not followed");
+    });
+  });
+
+  describe("blockUser", () => {
+    it("successfully blocks user and removes mutual follows", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ blocked_id: 2 }], rowCount: 1 });
+
+      await expect(UserRepository.blockUser(1, 2)).resolves.toBeUndefined();
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("insert into blocks (blocker_id, blocked_id)");
+      expect(normalizedSQL).toContain("delete from follows f using blocked b");
+      expect(params).toEqual([1, 2]);
+    });
+
+    it("returns error if user not found", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(UserRepository.blockUser(1, 99)).rejects.toThrow("User not found");
+    });
+
+    it("returns error if user already blocked", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(pgError("23505", "pk__blocks"));
+
+      const err = await UserRepository.blockUser(1, 2).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("USER_ALREADY_BLOCKED");
+    });
+  });
+
+  describe("unblockUser", () => {
+    it("returns error if user not blocked", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(UserRepository.unblockUser(1, 2)).rejects.toThrow("User not blocked");
+      expect(normalizeSQL(mock.mock.calls[0][0])).toContain("delete from blocks where blocker_id = $1 and blocked_id = $2");
+    });
+  });
+
+  describe("isBlocked", () => {
+    it("checks block between users", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [{ blocked: true }], rowCount: 1 });
+
+      await expect(UserRepository.isBlocked(2, 1)).resolves.toBe(true);
+      expect(mock.mock.calls[0][1]).toEqual([2, 1]);
+    });
+  });
+
+  describe("muteUser", () => {
+    it("successfully mutes user", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rowCount: 1 });
+
+      await expect(UserRepository.muteUser(1, 2)).resolves.toBeUndefined();
+      expect(normalizeSQL(mock.mock.calls[0][0])).toContain("insert into mutes (muter_id, muted_id)");
+    });
+
+    it("returns error if user already muted", async () => {
+      jest.spyOn(pool, "query").mockRejectedValueOnce(pgError("23505", "pk__mutes"));
+
+      const err = await UserRepository.muteUser(1, 2).catch((e) => e);
+      expect(err).toBeInstanceOf(ConflictError);
+      expect(err.code).toBe("USER_ALREADY_MUTED");
+    });
+  });
+
+  describe("unmuteUser", () => {
+    it("returns error if user not muted", async () => {
+      jest.spyOn(pool, "query").mockResolvedValueOnce({ rowCount: 0 });
+
+      await expect(UserRepository.unmuteUser(1, 2)).rejects.toThrow("User not muted");
+    });
+  });
+
+  describe("getFollowers", () => {
+    it("successfully gets followers", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const rows = [{ id: 2, user_name: "jane", first_name: "Jane", last_name: "Smith", followed_at: new Date() }];
+      mock.mockResolvedValueOnce({ rows, rowCount: rows.length });
+
+      const result = await UserRepository.getFollowers(1, 10, 0);
+
+      expect(result).toEqual(rows);
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("join users u on u.id = f.follower_id");
+      expect(normalizedSQL).toContain("where f.followee_id = $1");
+      expect(params).toEqual([1, 0, 10]);
+    });
+  });
+
+  describe("getFollowing", () => {
+    it("successfully gets following", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const rows = [{ id: 2, user_name: "jane", first_name: "Jane", last_name: "Smith", followed_at: new Date() }];
+      mock.mockResolvedValueOnce({ rows, rowCount: rows.length });
+
+      const result = await UserRepository.getFollowing(1, 10, 0);
+
+      expect(result).toEqual(rows);
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("join users u on u.id = f.followee_id");
+      expect(normalizedSQL).toContain("where f.follower_id = $1");
+      expect(params).toEqual([1, 0, 10]);
+    });
+  });
+
+  describe("setUserStatus", () => {
+    it("successfully updates user status", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const user = { id: 1, user_name: "john", status: 0, role: "user" };
+      mock.mockResolvedValueOnce({ rows: [user], rowCount: 1 });
+
+      await expect(UserRepository.setUserStatus(1, 0)).resolves.toEqual(user);
+
+      const [sql, params] = mock.mock.calls[0];
+      const normalizedSQL = normalizeSQL(sql);
+      expect(normalizedSQL).toContain("update users set status = $2, updated_at = now()");
+      expect(normalizedSQL).toContain("where id = $1 and deleted_at is null");
+      expect(params).toEqual([1, 0]);
+    });
+
+    it("returns error if user not found", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(UserRepository.setUserStatus(2, 0)).rejects.toThrow("User not found");
+    });
+  });
+
+  describe("setUserRole", () => {
+    it("successfully updates user role", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const user = { id: 1, user_name: "john", status: 1, role: "moderator" };
+      mock.mockResolvedValueOnce({ rows: [user], rowCount: 1 });
+
+      await expect(UserRepository.setUserRole(1, "moderator")).resolves.toEqual(user);
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("update users set role = $2, updated_at = now()");
+      expect(params).toEqual([1, "moderator"]);
+    });
+
+    it("returns error if user not found", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await expect(UserRepository.setUserRole(2, "admin")).rejects.toThrow("User not found");
+    });
+  });
+
+  describe("getAllUsersForAdmin", () => {
+    it("filters users by status", async () => {
+      const mock = jest.spyOn(pool, "query");
+      const rows = [{ id: 1, user_name: "john", status: 0, role: "user" }];
+      mock.mockResolvedValueOnce({ rows, rowCount: rows.length });
+
+      const result = await UserRepository.getAllUsersForAdmin({ status: 0, limit: 10, offset: 0 });
+
+      expect(result).toEqual(rows);
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).toContain("where deleted_at is null and status = $1");
+      expect(params).toEqual([0, 0, 10]);
+    });
+
+    it("returns users with any status without filter", async () => {
+      const mock = jest.spyOn(pool, "query");
+      mock.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await UserRepository.getAllUsersForAdmin({ limit: 10, offset: 0 });
+
+      const [sql, params] = mock.mock.calls[0];
+      expect(normalizeSQL(sql)).not.toContain("status =");
+      expect(params).toEqual([0, 10]);
+    });
+  });
 });
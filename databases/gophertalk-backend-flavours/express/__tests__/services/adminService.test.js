@@ -0,0 +1,158 @@
+import { describe, expect, jest } from "@jest/globals";
+import { db } from "../../src/config/db.js";
+import { PostRepository } from "../../src/repositories/postRepository.js";
+import { ReportRepository } from "../../src/repositories/reportRepository.js";
+import { SessionRepository } from "../../src/repositories/sessionRepository.js";
+import { TokenRepository } from "../../src/repositories/tokenRepository.js";
+import { UserRepository } from "../../src/repositories/userRepository.js";
+import { AdminService } from "../../src/services/adminService.js";
+
+describe("AdminService", () => {
+  beforeEach(() => {
+    jest.spyOn(db, "transaction").mockImplementation(async (fn) => await fn());
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getUsers", () => {
+    it("returns filtered users", async () => {
+      const users = [{ id: 1, status: 0 }];
+      const mock = jest.spyOn(UserRepository, "getAllUsersForAdmin").mockResolvedValue(users);
+
+      await expect(AdminService.getUsers({ status: 0, limit: 10, offset: 0 })).resolves.toEqual(users);
+      expect(mock).toHaveBeenCalledWith({ status: 0, limit: 10, offset: 0 });
+    });
+  });
+
+  describe("blockUser", () => {
+    it("sets blocked status and revokes sessions", async () => {
+      const user = { id: 1, status: 0 };
+      const mock = jest.spyOn(UserRepository, "setUserStatus").mockResolvedValue(user);
+      jest.spyOn(SessionRepository, "revokeUserSessions").mockResolvedValue();
+      jest.spyOn(TokenRepository, "revokeUserTokens").mockResolvedValue();
+
+      await expect(AdminService.blockUser(1, 7)).resolves.toEqual(user);
+      expect(db.transaction).toHaveBeenCalled();
+      expect(mock).toHaveBeenCalledWith(1, 0);
+      expect(SessionRepository.revokeUserSessions).toHaveBeenCalledWith(1);
+      expect(TokenRepository.revokeUserTokens).toHaveBeenCalledWith(1);
+    });
+
+    it("throws error if user not found", async () => {
+      jest.spyOn(UserRepository, "setUserStatus").mockRejectedValue(new Error("User not found"));
+      jest.spyOn(SessionRepository, "revokeUserSessions").mockResolvedValue();
+
+      await expect(AdminService.blockUser(2, 7)).rejects.toThrow("User not found");
+      expect(SessionRepository.revokeUserSessions).not.toHaveBeenCalled();
+    });
+
+    it("forbids blocking yourself", async () => {
+      const mock = jest.spyOn(UserRepository, "setUserStatus");
+
+      await expect(AdminService.blockUser("7", 7)).rejects.toMatchObject({ status: 403, code: "CANNOT_BLOCK_SELF" });
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("unblockUser", () => {
+    it("sets active status", async () => {
+      const user = { id: 1, status: 1 };
+      const mock = jest.spyOn(UserRepository, "setUserStatus").mockResolvedValue(user);
+
+      await expect(AdminService.unblockUser(1)).resolves.toEqual(user);
+      expect(mock).toHaveBeenCalledWith(1, 1);
+    });
+  });
+
+  describe("setUserRole", () => {
+    it("updates user role", async () => {
+      const user = { id: 1, role: "moderator" };
+      const mock = jest.spyOn(UserRepository, "setUserRole").mockResolvedValue(user);
+
+      await expect(AdminService.setUserRole(1, "moderator", 7)).resolves.toEqual(user);
+      expect(mock).toHaveBeenCalledWith(1, "moderator");
+    });
+
+    it("forbids changing your own role", async () => {
+      const mock = jest.spyOn(UserRepository, "setUserRole");
+
+      await expect(AdminService.setUserRole(7, "user", 7)).rejects.toMatchObject({
+        status: 403,
+        code: "CANNOT_CHANGE_OWN_ROLE",
+      });
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("deletePost", () => {
+    it("force deletes post and closes its open reports", async () => {
+      const mock = jest.spyOn(PostRepository, "forceDeletePost").mockResolvedValue();
+      const reports = jest.spyOn(ReportRepository, "actionOpenPostReports").mockResolvedValue(2);
+
+      await expect(AdminService.deletePost(1, 7)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1);
+      expect(reports).toHaveBeenCalledWith(1, 7, "Post removed by moderator");
+    });
+  });
+
+  describe("updateReportStatus", () => {
+    it("moves report to allowed status", async () => {
+      const report = { id: 1, status: "open", post: null };
+      jest.spyOn(ReportRepository, "getReportById").mockResolvedValueOnce(report);
+      jest.spyOn(ReportRepository, "getReportById").mockResolvedValueOnce({ ...report, status: "reviewing" });
+      const mock = jest.spyOn(ReportRepository, "updateStatus").mockResolvedValueOnce();
+
+      const result = await AdminService.updateReportStatus(1, 7, { status: "reviewing" });
+
+      expect(result.status).toBe("reviewing");
+      expect(mock).toHaveBeenCalledWith(1, "open", "reviewing", 7, undefined);
+    });
+
+    it("rejects transition from final status", async () => {
+      jest.spyOn(ReportRepository, "getReportById").mockResolvedValueOnce({ id: 1, status: "dismissed", post: null });
+      const mock = jest.spyOn(ReportRepository, "updateStatus");
+
+      await expect(AdminService.updateReportStatus(1, 7, { status: "open" })).rejects.toThrow(
+        "Cannot change report status from dismissed to open"
+      );
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("deletes reported post when report is actioned", async () => {
+      const report = { id: 1, status: "reviewing", post: { id: 3, deleted_at: null } };
+      jest.spyOn(ReportRepository, "getReportById").mockResolvedValue(report);
+      jest.spyOn(ReportRepository, "updateStatus").mockResolvedValueOnce();
+      const remove = jest.spyOn(PostRepository, "forceDeletePost").mockResolvedValueOnce();
+      const others = jest.spyOn(ReportRepository, "actionOpenPostReports").mockResolvedValueOnce(1);
+
+      await AdminService.updateReportStatus(1, 7, { status: "actioned", note: "spam" });
+
+      expect(remove).toHaveBeenCalledWith(3);
+      expect(others).toHaveBeenCalledWith(3, 7, "Post removed by report #1");
+    });
+
+    it("does not delete already deleted post", async () => {
+      const report = { id: 1, status: "open", post: { id: 3, deleted_at: "2025-01-01" } };
+      jest.spyOn(ReportRepository, "getReportById").mockResolvedValue(report);
+      jest.spyOn(ReportRepository, "updateStatus").mockResolvedValueOnce();
+      const remove = jest.spyOn(PostRepository, "forceDeletePost");
+      jest.spyOn(ReportRepository, "actionOpenPostReports").mockResolvedValueOnce(0);
+
+      await AdminService.updateReportStatus(1, 7, { status: "actioned" });
+
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getDeletedPosts", () => {
+    it("returns deleted posts", async () => {
+      const posts = [{ id: 1, text: "deleted" }];
+      const mock = jest.spyOn(PostRepository, "getDeletedPosts").mockResolvedValue(posts);
+
+      await expect(AdminService.getDeletedPosts(10, 0)).resolves.toEqual(posts);
+      expect(mock).toHaveBeenCalledWith(10, 0);
+    });
+  });
+});
@@ -1,10 +1,18 @@
 import { describe, expect, jest } from "@jest/globals";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import { db } from "../../src/config/db.js";
+import { SessionRepository } from "../../src/repositories/sessionRepository.js";
+import { TokenRepository } from "../../src/repositories/tokenRepository.js";
 import { UserRepository } from "../../src/repositories/userRepository.js";
 import { AuthService } from "../../src/services/authService.js";
+import { NotFoundError, UnauthorizedError } from "../../src/utils/errors.js";
 
 describe("AuthService", () => {
+  beforeEach(() => {
+    jest.spyOn(db, "transaction").mockImplementation(async (fn) => await fn());
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
   });
@@ -28,8 +36,10 @@ describe("AuthService", () => {
       jest.spyOn(UserRepository, "getUserByUserName").mockResolvedValue(user);
       jest.spyOn(bcrypt, "compare").mockResolvedValue(true);
       jest.spyOn(jwt, "sign").mockReturnValue("mocked_token");
+      jest.spyOn(TokenRepository, "createRefreshToken").mockResolvedValue({});
+      jest.spyOn(SessionRepository, "createSession").mockResolvedValue({ id: "session-id" });
 
-      const result = await AuthService.login(dto);
+      const result = await AuthService.login(dto, { user_agent: "jest", ip: "127.0.0.1" });
 
       expect(result).toEqual({
         access_token: "mocked_token",
@@ -40,6 +50,9 @@ describe("AuthService", () => {
         dto.password,
         user.password_hash
       );
+      expect(SessionRepository.createSession).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: user.id, user_agent: "jest", ip: "127.0.0.1" })
+      );
     });
 
     it("throws error if user not found", async () => {
@@ -48,11 +61,33 @@ describe("AuthService", () => {
         password: "password123",
       };
 
-      jest.spyOn(UserRepository, "getUserByUserName").mockResolvedValue(null);
+      jest
+        .spyOn(UserRepository, "getUserByUserName")
+        .mockRejectedValue(new NotFoundError("User not found", "USER_NOT_FOUND"));
 
-      await expect(AuthService.login(dto, {})).rejects.toThrow(
-        "User not found"
-      );
+      const err = await AuthService.login(dto, {}).catch((e) => e);
+      expect(err).toBeInstanceOf(UnauthorizedError);
+      expect(err.message).toBe("User not found");
+      expect(err.code).toBe("INVALID_CREDENTIALS");
+    });
+
+    it("throws error if user is blocked", async () => {
+      const user = {
+        id: 1,
+        user_name: "testuser",
+        password_hash: "hashed_password",
+        status: 0,
+      };
+
+      jest.spyOn(UserRepository, "getUserByUserName").mockResolvedValue(user);
+      jest.spyOn(bcrypt, "compare").mockResolvedValue(true);
+      jest.spyOn(SessionRepository, "createSession");
+
+      await expect(AuthService.login({ user_name: "testuser", password: "password123" })).rejects.toMatchObject({
+        message: "User is blocked",
+        code: "USER_BLOCKED",
+      });
+      expect(SessionRepository.createSession).not.toHaveBeenCalled();
     });
 
     it("throws error if password is wrong", async () => {
@@ -96,6 +131,8 @@ describe("AuthService", () => {
       jest.spyOn(bcrypt, "hash").mockResolvedValue("hashed_password");
       jest.spyOn(UserRepository, "createUser").mockResolvedValue(user);
       jest.spyOn(jwt, "sign").mockReturnValue("mocked_token");
+      jest.spyOn(TokenRepository, "createRefreshToken").mockResolvedValue({});
+      jest.spyOn(SessionRepository, "createSession").mockResolvedValue({ id: "session-id" });
 
       const result = await AuthService.register(dto);
 
@@ -105,7 +142,234 @@ describe("AuthService", () => {
       });
 
       expect(bcrypt.hash).toHaveBeenCalledWith(dto.password, 10);
+      expect(db.transaction).toHaveBeenCalled();
       expect(UserRepository.createUser).toHaveBeenCalled();
+      expect(TokenRepository.createRefreshToken).toHaveBeenCalledWith(
+        expect.objectContaining({ user_id: user.id, session_id: "session-id" })
+      );
+    });
+  });
+
+  describe("restore", () => {
+    const dto = { user_name: "testuser", password: "password123" };
+    const user = { id: 1, user_name: "testuser", password_hash: "hashed_password", status: 1 };
+
+    it("restores deleted account and starts session", async () => {
+      jest.spyOn(UserRepository, "getDeletedUserByUserName").mockResolvedValue(user);
+      jest.spyOn(UserRepository, "restoreUser").mockResolvedValue();
+      jest.spyOn(bcrypt, "compare").mockResolvedValue(true);
+      jest.spyOn(jwt, "sign").mockReturnValue("mocked_token");
+      jest.spyOn(TokenRepository, "createRefreshToken").mockResolvedValue({});
+      jest.spyOn(SessionRepository, "createSession").mockResolvedValue({ id: "session-id" });
+
+      await expect(AuthService.restore(dto, {})).resolves.toEqual({
+        access_token: "mocked_token",
+        refresh_token: "mocked_token",
+      });
+      expect(UserRepository.getDeletedUserByUserName).toHaveBeenCalledWith("testuser", 30);
+      expect(UserRepository.restoreUser).toHaveBeenCalledWith(1, 30);
+      expect(db.transaction).toHaveBeenCalled();
+      expect(SessionRepository.createSession).toHaveBeenCalledWith(expect.objectContaining({ user_id: 1 }));
+    });
+
+    it("throws error if no restorable account found", async () => {
+      jest
+        .spyOn(UserRepository, "getDeletedUserByUserName")
+        .mockRejectedValue(new NotFoundError("User not found", "USER_NOT_FOUND"));
+      jest.spyOn(UserRepository, "restoreUser");
+
+      const err = await AuthService.restore(dto, {}).catch((e) => e);
+      expect(err).toBeInstanceOf(UnauthorizedError);
+      expect(err.code).toBe("INVALID_CREDENTIALS");
+      expect(UserRepository.restoreUser).not.toHaveBeenCalled();
+    });
+
+    it("does not restore account with wrong password", async () => {
+      jest.spyOn(UserRepository, "getDeletedUserByUserName").mockResolvedValue(user);
+      jest.spyOn(UserRepository, "restoreUser");
+      jest.spyOn(bcrypt, "compare").mockResolvedValue(false);
+
+      await expect(AuthService.restore(dto, {})).rejects.toThrow("Wrong password");
+      expect(UserRepository.restoreUser).not.toHaveBeenCalled();
+    });
+
+    it("does not restore blocked account", async () => {
+      jest.spyOn(UserRepository, "getDeletedUserByUserName").mockResolvedValue({ ...user, status: 0 });
+      jest.spyOn(UserRepository, "restoreUser");
+      jest.spyOn(bcrypt, "compare").mockResolvedValue(true);
+
+      await expect(AuthService.restore(dto, {})).rejects.toThrow("User is blocked");
+      expect(UserRepository.restoreUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("refresh", () => {
+    const claims = { sub: "1", sid: "session-id", jti: "old-token-id" };
+
+    it("successfully rotates a refresh token", async () => {
+      jest.spyOn(jwt, "verify").mockReturnValue(claims);
+      jest.spyOn(jwt, "sign").mockReturnValue("mocked_token");
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValue("user");
+      jest.spyOn(SessionRepository, "revokeSession").mockResolvedValue();
+      jest.spyOn(TokenRepository, "revokeRefreshToken").mockResolvedValue(true);
+      jest.spyOn(TokenRepository, "createRefreshToken").mockResolvedValue({});
+      jest.spyOn(UserRepository, "getUserById").mockResolvedValue({ id: 1, role: "moderator" });
+
+      const result = await AuthService.refresh({ refresh_token: "refresh" });
+
+      expect(result).toEqual({
+        access_token: "mocked_token",
+        refresh_token: "mocked_token",
+      });
+
+      const [revokedId, replacedBy] = TokenRepository.revokeRefreshToken.mock.calls[0];
+      expect(revokedId).toBe(claims.jti);
+      expect(TokenRepository.createRefreshToken).toHaveBeenCalledWith({
+        id: replacedBy,
+        user_id: 1,
+        session_id: claims.sid,
+      });
+      expect(jwt.sign).toHaveBeenCalledWith(
+        { sub: "1", sid: claims.sid, role: "moderator" },
+        process.env.ACCESS_TOKEN_SECRET,
+        expect.any(Object)
+      );
+      expect(SessionRepository.revokeSession).not.toHaveBeenCalled();
+    });
+
+    it("reports blocked user before checking the session", async () => {
+      jest.spyOn(jwt, "verify").mockReturnValue(claims);
+      // Блокировка уже отозвала сессию
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValue(null);
+      jest.spyOn(TokenRepository, "revokeRefreshToken");
+      jest.spyOn(TokenRepository, "createRefreshToken").mockResolvedValue({});
+      jest.spyOn(UserRepository, "getUserById").mockResolvedValue({ id: 1, role: "user", status: 0 });
+
+      await expect(AuthService.refresh({ refresh_token: "refresh" })).rejects.toMatchObject({
+        code: "USER_BLOCKED",
+      });
+      expect(SessionRepository.touchSession).not.toHaveBeenCalled();
+      expect(TokenRepository.revokeRefreshToken).not.toHaveBeenCalled();
+      expect(TokenRepository.createRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it("treats session of deleted user as revoked", async () => {
+      jest.spyOn(jwt, "verify").mockReturnValue(claims);
+      jest.spyOn(UserRepository, "getUserById").mockRejectedValue(new NotFoundError("User not found", "USER_NOT_FOUND"));
+      jest.spyOn(SessionRepository, "touchSession");
+
+      await expect(AuthService.refresh({ refresh_token: "refresh" })).rejects.toMatchObject({
+        code: "SESSION_REVOKED",
+      });
+      expect(SessionRepository.touchSession).not.toHaveBeenCalled();
+    });
+
+    it("keeps the old token if new pair cannot be issued", async () => {
+      let inTransaction = false;
+      jest.spyOn(db, "transaction").mockImplementation(async (fn) => {
+        inTransaction = true;
+        try {
+          return await fn();
+        } finally {
+          inTransaction = false;
+        }
+      });
+      jest.spyOn(jwt, "verify").mockReturnValue(claims);
+      jest.spyOn(jwt, "sign").mockReturnValue("mocked_token");
+      jest.spyOn(UserRepository, "getUserById").mockResolvedValue({ id: 1, role: "user", status: 1 });
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValue("user");
+      jest.spyOn(SessionRepository, "revokeSession").mockResolvedValue();
+      const revoke = jest.spyOn(TokenRepository, "revokeRefreshToken").mockImplementation(async () => inTransaction);
+      const create = jest.spyOn(TokenRepository, "createRefreshToken").mockImplementation(async () => {
+        expect(inTransaction).toBe(true);
+        throw new Error("insert failed");
+      });
+
+      await expect(AuthService.refresh({ refresh_token: "refresh" })).rejects.toThrow("insert failed");
+      // Отзыв и выдача в одной транзакции, ошибка откатывает отзыв
+      expect(revoke).toHaveBeenCalled();
+      expect(create).toHaveBeenCalled();
+      expect(SessionRepository.revokeSession).not.toHaveBeenCalled();
+    });
+
+    it("throws error if refresh token is invalid", async () => {
+      jest.spyOn(jwt, "verify").mockImplementation(() => {
+        throw new Error("jwt malformed");
+      });
+      jest.spyOn(TokenRepository, "revokeRefreshToken");
+
+      await expect(AuthService.refresh({ refresh_token: "garbage" })).rejects.toThrow(
+        "Invalid refresh token"
+      );
+      expect(TokenRepository.revokeRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it("throws error if session was revoked", async () => {
+      jest.spyOn(jwt, "verify").mockReturnValue(claims);
+      jest.spyOn(UserRepository, "getUserById").mockResolvedValue({ id: 1, role: "user", status: 1 });
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValue(null);
+      jest.spyOn(TokenRepository, "revokeRefreshToken");
+
+      await expect(AuthService.refresh({ refresh_token: "refresh" })).rejects.toThrow(
+        "Session revoked"
+      );
+      expect(TokenRepository.revokeRefreshToken).not.toHaveBeenCalled();
+    });
+
+    it("revokes session if revoked token is reused", async () => {
+      jest.spyOn(jwt, "verify").mockReturnValue(claims);
+      jest.spyOn(UserRepository, "getUserById").mockResolvedValue({ id: 1, role: "user", status: 1 });
+      jest.spyOn(SessionRepository, "touchSession").mockResolvedValue("user");
+      jest.spyOn(SessionRepository, "revokeSession").mockResolvedValue();
+      jest.spyOn(TokenRepository, "revokeRefreshToken").mockResolvedValue(false);
+      jest.spyOn(TokenRepository, "revokeSessionTokens").mockResolvedValue();
+      jest.spyOn(TokenRepository, "createRefreshToken").mockResolvedValue({});
+
+      await expect(AuthService.refresh({ refresh_token: "refresh" })).rejects.toThrow(
+        "Refresh token reuse detected"
+      );
+      expect(SessionRepository.revokeSession).toHaveBeenCalledWith(claims.sid, claims.sub);
+      expect(TokenRepository.revokeSessionTokens).toHaveBeenCalledWith(claims.sid);
+      expect(TokenRepository.createRefreshToken).not.toHaveBeenCalled();
+      // Сессия завершается отдельной транзакцией после транзакции ротации
+      expect(db.transaction).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("logout", () => {
+    it("revokes current session and its refresh tokens", async () => {
+      jest.spyOn(SessionRepository, "revokeSession").mockResolvedValue();
+      jest.spyOn(TokenRepository, "revokeSessionTokens").mockResolvedValue();
+
+      await expect(AuthService.logout({ sub: "1", sid: "session-id" })).resolves.toBeUndefined();
+
+      expect(SessionRepository.revokeSession).toHaveBeenCalledWith("session-id", "1");
+      expect(TokenRepository.revokeSessionTokens).toHaveBeenCalledWith("session-id");
+    });
+
+    it("throws error if session not found", async () => {
+      jest.spyOn(SessionRepository, "revokeSession").mockRejectedValue(new Error("Session not found"));
+      jest.spyOn(TokenRepository, "revokeSessionTokens").mockResolvedValue();
+
+      await expect(AuthService.logout({ sub: "1", sid: "session-id" })).rejects.toThrow(
+        "Session not found"
+      );
+      expect(TokenRepository.revokeSessionTokens).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getSessions", () => {
+    it("marks current session", async () => {
+      const sessions = [{ id: "session-1" }, { id: "session-2" }];
+      jest.spyOn(SessionRepository, "getSessionsByUserId").mockResolvedValue(sessions);
+
+      const result = await AuthService.getSessions({ sub: "1", sid: "session-2" });
+
+      expect(result).toEqual([
+        { id: "session-1", current: false },
+        { id: "session-2", current: true },
+      ]);
+      expect(SessionRepository.getSessionsByUserId).toHaveBeenCalledWith("1");
     });
   });
 });
@@ -0,0 +1,122 @@
+import { describe, expect, jest } from "@jest/globals";
+import { ConversationRepository } from "../../src/repositories/conversationRepository.js";
+import { UserRepository } from "../../src/repositories/userRepository.js";
+import { ConversationService } from "../../src/services/conversationService.js";
+import { encodeCursor } from "../../src/utils/cursor.js";
+import { ForbiddenError, NotFoundError } from "../../src/utils/errors.js";
+
+describe("ConversationService", () => {
+  beforeEach(() => {
+    jest.spyOn(UserRepository, "isBlocked").mockResolvedValue(false);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createConversation", () => {
+    it("creates conversation and returns it", async () => {
+      const conversation = { id: 1, participant: { id: 2 } };
+      const mock = jest
+        .spyOn(ConversationRepository, "getOrCreateConversation")
+        .mockResolvedValueOnce({ id: 1, created: true });
+      jest.spyOn(ConversationRepository, "getConversationById").mockResolvedValueOnce(conversation);
+
+      const result = await ConversationService.createConversation(1, 2);
+
+      expect(result).toEqual({ conversation, created: true });
+      expect(mock).toHaveBeenCalledWith(1, 2);
+      expect(ConversationRepository.getConversationById).toHaveBeenCalledWith(1, 1);
+    });
+
+    it("rejects conversation with yourself", async () => {
+      const mock = jest.spyOn(ConversationRepository, "getOrCreateConversation");
+
+      await expect(ConversationService.createConversation(1, 1)).rejects.toThrow(
+        "Cannot start conversation with yourself"
+      );
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("rejects conversation when participant blocked the user", async () => {
+      const blocked = jest.spyOn(UserRepository, "isBlocked").mockResolvedValueOnce(true);
+      const mock = jest.spyOn(ConversationRepository, "getOrCreateConversation");
+
+      await expect(ConversationService.createConversation(1, 2)).rejects.toThrow("You are blocked by this user");
+      expect(blocked).toHaveBeenCalledWith(2, 1);
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("rejects conversation with user blocked by the user", async () => {
+      jest.spyOn(UserRepository, "isBlocked").mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+      const mock = jest.spyOn(ConversationRepository, "getOrCreateConversation");
+
+      await expect(ConversationService.createConversation(1, 2)).rejects.toThrow("You have blocked this user");
+      expect(UserRepository.isBlocked).toHaveBeenLastCalledWith(1, 2);
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getMessages", () => {
+    it("returns page with next cursor", async () => {
+      const mock = jest
+        .spyOn(ConversationRepository, "getMessages")
+        .mockResolvedValueOnce([{ id: "9" }, { id: "8" }, { id: "7" }]);
+
+      const result = await ConversationService.getMessages(1, { limit: 2 });
+
+      expect(mock).toHaveBeenCalledWith(1, 3, null);
+      expect(result).toEqual({ data: [{ id: "9" }, { id: "8" }], next_cursor: encodeCursor({ id: 8 }) });
+    });
+
+    it("decodes cursor and returns null cursor on last page", async () => {
+      const mock = jest.spyOn(ConversationRepository, "getMessages").mockResolvedValueOnce([{ id: 3 }]);
+
+      const result = await ConversationService.getMessages(1, { limit: 2, after: encodeCursor({ id: 4 }) });
+
+      expect(mock).toHaveBeenCalledWith(1, 3, 4);
+      expect(result.next_cursor).toBeNull();
+    });
+  });
+
+  describe("sendMessage", () => {
+    it("creates message", async () => {
+      const message = { id: 1, text: "hi" };
+      jest.spyOn(ConversationRepository, "getParticipants").mockResolvedValueOnce([2, 3]);
+      const mock = jest.spyOn(ConversationRepository, "createMessage").mockResolvedValueOnce(message);
+
+      await expect(ConversationService.sendMessage(1, 2, "hi")).resolves.toEqual(message);
+      expect(mock).toHaveBeenCalledWith(1, 2, "hi");
+      expect(UserRepository.isBlocked).toHaveBeenCalledWith(3, 2);
+    });
+
+    it("refuses message when one of participants blocked the other", async () => {
+      jest.spyOn(ConversationRepository, "getParticipants").mockResolvedValueOnce([2, 3]);
+      jest.spyOn(UserRepository, "isBlocked").mockResolvedValueOnce(true);
+      const mock = jest.spyOn(ConversationRepository, "createMessage");
+
+      await expect(ConversationService.sendMessage(1, 3, "hi")).rejects.toThrow(ForbiddenError);
+      expect(UserRepository.isBlocked).toHaveBeenCalledWith(2, 3);
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("refuses message when participant was deleted", async () => {
+      jest
+        .spyOn(ConversationRepository, "getParticipants")
+        .mockRejectedValueOnce(new NotFoundError("Conversation not found", "CONVERSATION_NOT_FOUND"));
+      const mock = jest.spyOn(ConversationRepository, "createMessage");
+
+      await expect(ConversationService.sendMessage(1, 2, "hi")).rejects.toThrow(NotFoundError);
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("markRead", () => {
+    it("marks messages as read", async () => {
+      const mock = jest.spyOn(ConversationRepository, "markRead").mockResolvedValueOnce(2);
+
+      await expect(ConversationService.markRead(1, 2, 5)).resolves.toBe(2);
+      expect(mock).toHaveBeenCalledWith(1, 2, 5);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, expect, jest } from "@jest/globals";
+import zlib from "zlib";
+import { db } from "../../src/config/db.js";
+import { ExportRepository } from "../../src/repositories/exportRepository.js";
+import { ExportService } from "../../src/services/exportService.js";
+import { NotFoundError } from "../../src/utils/errors.js";
+
+const userData = {
+  profile: { id: 1, user_name: "john", first_name: "John", last_name: "Doe", role: "user" },
+  posts: [{ id: 10, text: "hello, world", deleted_at: null }],
+  post_revisions: [],
+  likes: [{ post_id: 11, created_at: new Date("2025-01-01T00:00:00Z") }],
+  views: [],
+  reposts: [],
+  following: [],
+  followers: [],
+  messages: [{ id: 1, conversation_id: 2, sender_id: 1, text: "hi" }],
+};
+
+// Имена и содержимое файлов из tar.gz
+function unpack(archive) {
+  const tar = zlib.gunzipSync(archive);
+  const files = {};
+  let offset = 0;
+  while (tar[offset] !== 0) {
+    const name = tar.toString("utf8", offset, offset + 100).replace(/\0.*$/s, "");
+    const size = parseInt(tar.toString("ascii", offset + 124, offset + 135), 8);
+    files[name] = tar.toString("utf8", offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+describe("ExportService", () => {
+  beforeEach(() => {
+    jest.spyOn(db, "transaction").mockImplementation(async (fn) => await fn());
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    delete process.env.EXPORT_SYNC_MAX_ROWS;
+  });
+
+  describe("requestExport", () => {
+    it("builds small export immediately", async () => {
+      jest.spyOn(ExportRepository, "countUserData").mockResolvedValueOnce(10);
+      jest.spyOn(ExportRepository, "getUserData").mockResolvedValueOnce(userData);
+      jest.spyOn(ExportRepository, "createExport");
+
+      const result = await ExportService.requestExport(1);
+
+      expect(Object.keys(unpack(result.archive))).toContain("export.json");
+      expect(ExportRepository.createExport).not.toHaveBeenCalled();
+    });
+
+    it("queues large export as background job", async () => {
+      process.env.EXPORT_SYNC_MAX_ROWS = "5";
+      const job = { id: 5, user_id: 1, status: "pending" };
+      jest.spyOn(ExportRepository, "countUserData").mockResolvedValueOnce(10);
+      jest.spyOn(ExportRepository, "createExport").mockResolvedValueOnce(job);
+      const processQueue = jest.spyOn(ExportService, "processPendingExports").mockResolvedValueOnce(0);
+
+      await expect(ExportService.requestExport(1)).resolves.toEqual({ job });
+      expect(ExportRepository.createExport).toHaveBeenCalledWith(1);
+      expect(processQueue).toHaveBeenCalled();
+      await new Promise(setImmediate);
+      processQueue.mockRestore();
+    });
+
+    it("runs a single background worker for concurrent requests", async () => {
+      process.env.EXPORT_SYNC_MAX_ROWS = "5";
+      jest.spyOn(ExportRepository, "countUserData").mockResolvedValue(10);
+      jest.spyOn(ExportRepository, "createExport").mockImplementation(async (userId) => ({ id: userId }));
+      let finishPass;
+      const processQueue = jest
+        .spyOn(ExportService, "processPendingExports")
+        .mockImplementation(() => new Promise((resolve) => (finishPass = resolve)));
+
+      await ExportService.requestExport(1);
+      await ExportService.requestExport(2);
+      await ExportService.requestExport(3);
+      expect(processQueue).toHaveBeenCalledTimes(1);
+
+      // Задачи, поставленные во время прохода, разбираются ещё одним проходом того же обработчика
+      finishPass(1);
+      await new Promise(setImmediate);
+      expect(processQueue).toHaveBeenCalledTimes(2);
+      finishPass(0);
+      await new Promise(setImmediate);
+      expect(processQueue).toHaveBeenCalledTimes(2);
+
+      processQueue.mockRestore();
+      ExportRepository.countUserData.mockRestore();
+      ExportRepository.createExport.mockRestore();
+    });
+  });
+
+  describe("buildArchive", () => {
+    it("packs json and csv of every section", async () => {
+      jest.spyOn(ExportRepository, "getUserData").mockResolvedValueOnce(userData);
+
+      const files = unpack(await ExportService.buildArchive(1));
+
+      expect(db.transaction).toHaveBeenCalled();
+      expect(Object.keys(files)).toEqual([
+        "export.json",
+        "profile.csv",
+        "posts.csv",
+        "post_revisions.csv",
+        "likes.csv",
+        "views.csv",
+        "reposts.csv",
+        "following.csv",
+        "followers.csv",
+        "messages.csv",
+      ]);
+      const json = JSON.parse(files["export.json"]);
+      expect(json.profile.user_name).toBe("john");
+      expect(json.exported_at).toEqual(expect.any(String));
+      expect(files["profile.csv"]).toBe(
+        "id,user_name,first_name,last_name,role,created_at,updated_at\r\n1,john,John,Doe,user,,\r\n"
+      );
+      expect(files["posts.csv"]).toContain('10,"hello, world",');
+      expect(files["likes.csv"]).toBe("post_id,created_at\r\n11,2025-01-01T00:00:00.000Z\r\n");
+      expect(files["views.csv"]).toBe("post_id,created_at\r\n");
+    });
+  });
+
+  describe("processPendingExports", () => {
+    it("completes queued exports until queue is empty", async () => {
+      jest.spyOn(ExportRepository, "expireExports").mockResolvedValueOnce(0);
+      jest
+        .spyOn(ExportRepository, "claimExport")
+        .mockResolvedValueOnce({ id: 5, user_id: 1 })
+        .mockResolvedValueOnce(null);
+      jest.spyOn(ExportRepository, "getUserData").mockResolvedValueOnce(userData);
+      jest.spyOn(ExportRepository, "completeExport").mockResolvedValueOnce();
+
+      await expect(ExportService.processPendingExports()).resolves.toBe(1);
+      expect(ExportRepository.expireExports).toHaveBeenCalled();
+      expect(ExportRepository.claimExport).toHaveBeenCalledWith(3600);
+      expect(ExportRepository.completeExport).toHaveBeenCalledWith(5, expect.any(Buffer), 7 * 24 * 3600);
+    });
+
+    it("marks export as failed and continues", async () => {
+      jest.spyOn(ExportRepository, "expireExports").mockResolvedValueOnce(0);
+      jest
+        .spyOn(ExportRepository, "claimExport")
+        .mockResolvedValueOnce({ id: 5, user_id: 1 })
+        .mockResolvedValueOnce({ id: 6, user_id: 2 })
+        .mockResolvedValueOnce(null);
+      jest
+        .spyOn(ExportRepository, "getUserData")
+        .mockRejectedValueOnce(new NotFoundError("User not found", "USER_NOT_FOUND"))
+        .mockResolvedValueOnce(userData);
+      jest.spyOn(ExportRepository, "failExport").mockResolvedValueOnce();
+      jest.spyOn(ExportRepository, "completeExport").mockResolvedValueOnce();
+
+      await expect(ExportService.processPendingExports()).resolves.toBe(2);
+      expect(ExportRepository.failExport).toHaveBeenCalledWith(5, "User not found");
+      expect(ExportRepository.completeExport).toHaveBeenCalledWith(6, expect.any(Buffer), expect.any(Number));
+    });
+  });
+});
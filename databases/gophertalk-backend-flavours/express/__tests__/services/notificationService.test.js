@@ -0,0 +1,53 @@
+import { describe, expect, jest } from "@jest/globals";
+import { NotificationRepository } from "../../src/repositories/notificationRepository.js";
+import { NotificationService } from "../../src/services/notificationService.js";
+import { encodeCursor } from "../../src/utils/cursor.js";
+
+describe("NotificationService", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getNotifications", () => {
+    it("returns page with next cursor and unread count", async () => {
+      const groups = [{ id: "9" }, { id: "7" }, { id: "4" }];
+      const mock = jest.spyOn(NotificationRepository, "getNotifications").mockResolvedValueOnce(groups);
+      jest.spyOn(NotificationRepository, "countUnread").mockResolvedValueOnce(5);
+
+      const result = await NotificationService.getNotifications(1, { limit: 2 });
+
+      expect(mock).toHaveBeenCalledWith(1, 3, null);
+      expect(result).toEqual({
+        data: [{ id: "9" }, { id: "7" }],
+        next_cursor: encodeCursor({ id: 7 }),
+        unread_count: 5,
+      });
+    });
+
+    it("decodes cursor and returns null cursor on last page", async () => {
+      const mock = jest.spyOn(NotificationRepository, "getNotifications").mockResolvedValueOnce([{ id: 3 }]);
+      jest.spyOn(NotificationRepository, "countUnread").mockResolvedValueOnce(0);
+
+      const result = await NotificationService.getNotifications(1, { limit: 2, after: encodeCursor({ id: 7 }) });
+
+      expect(mock).toHaveBeenCalledWith(1, 3, 7);
+      expect(result.next_cursor).toBeNull();
+    });
+  });
+
+  describe("markRead", () => {
+    it("marks given notifications", async () => {
+      const mock = jest.spyOn(NotificationRepository, "markRead").mockResolvedValueOnce(2);
+
+      await expect(NotificationService.markRead(1, { ids: [4, 5] })).resolves.toBe(2);
+      expect(mock).toHaveBeenCalledWith(1, [4, 5]);
+    });
+
+    it("marks all notifications", async () => {
+      const mock = jest.spyOn(NotificationRepository, "markAllRead").mockResolvedValueOnce(6);
+
+      await expect(NotificationService.markRead(1, { all: true })).resolves.toBe(6);
+      expect(mock).toHaveBeenCalledWith(1);
+    });
+  });
+});
@@ -1,8 +1,16 @@
 import { describe, expect, jest } from "@jest/globals";
+import { db } from "../../src/config/db.js";
+import { NotificationRepository } from "../../src/repositories/notificationRepository.js";
 import { PostRepository } from "../../src/repositories/postRepository.js";
 import { PostService } from "../../src/services/postService.js";
+import { encodeCursor } from "../../src/utils/cursor.js";
+import { ForbiddenError } from "../../src/utils/errors.js";
 
 describe("PostService", () => {
+  beforeEach(() => {
+    jest.spyOn(db, "transaction").mockImplementation(async (fn) => await fn());
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
   });
@@ -28,16 +36,180 @@ describe("PostService", () => {
     });
   });
 
+  describe("getAllPosts with cursor", () => {
+    const posts = (...ids) => ids.map((id) => ({ id, text: `post${id}` }));
+
+    it("returns first page with next cursor", async () => {
+      const mock = jest.spyOn(PostRepository, "getAllPosts").mockResolvedValue(posts(5, 4, 3));
+
+      const result = await PostService.getAllPosts({ user_id: 1, limit: 2, pagination: "cursor" });
+
+      expect(result).toEqual({
+        data: posts(5, 4),
+        next_cursor: encodeCursor({ id: 4 }),
+        prev_cursor: null,
+      });
+      expect(mock).toHaveBeenCalledWith(expect.objectContaining({ cursor: null, limit: 3 }));
+    });
+
+    it("returns next page after cursor", async () => {
+      const mock = jest.spyOn(PostRepository, "getAllPosts").mockResolvedValue(posts(3, 2));
+
+      const result = await PostService.getAllPosts({ user_id: 1, limit: 2, after: encodeCursor({ id: 4 }) });
+
+      expect(result).toEqual({
+        data: posts(3, 2),
+        next_cursor: null,
+        prev_cursor: encodeCursor({ id: 3 }),
+      });
+      expect(mock).toHaveBeenCalledWith(expect.objectContaining({ cursor: { direction: "after", id: 4 } }));
+    });
+
+    it("returns previous page before cursor", async () => {
+      const mock = jest.spyOn(PostRepository, "getAllPosts").mockResolvedValue(posts(6, 5, 4));
+
+      const result = await PostService.getAllPosts({ user_id: 1, limit: 2, before: encodeCursor({ id: 3 }) });
+
+      expect(result).toEqual({
+        data: posts(5, 4),
+        next_cursor: encodeCursor({ id: 4 }),
+        prev_cursor: encodeCursor({ id: 5 }),
+      });
+      expect(mock).toHaveBeenCalledWith(expect.objectContaining({ cursor: { direction: "before", id: 3 } }));
+    });
+
+    it("throws error on malformed cursor", async () => {
+      const mock = jest.spyOn(PostRepository, "getAllPosts");
+
+      await expect(PostService.getAllPosts({ user_id: 1, limit: 2, after: "garbage" })).rejects.toThrow(
+        "Invalid cursor"
+      );
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getPostById", () => {
+    it("successfully gets a post", async () => {
+      const post = { id: 1, text: "post1" };
+      const mock = jest.spyOn(PostRepository, "getPostById").mockResolvedValue(post);
+
+      const result = await PostService.getPostById(1, 2);
+      expect(result).toEqual(post);
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("throws error if post not found", async () => {
+      const mock = jest.spyOn(PostRepository, "getPostById").mockRejectedValue(new Error("Post not found"));
+
+      await expect(PostService.getPostById(1, 2)).rejects.toThrow("Post not found");
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe("getThread", () => {
+    it("builds reply tree around the post", async () => {
+      const posts = [
+        { id: 1, reply_to_id: null, depth: -1 },
+        { id: 2, reply_to_id: 1, depth: 0 },
+        { id: 3, reply_to_id: 2, depth: 1 },
+        { id: 4, reply_to_id: 2, depth: 1 },
+        { id: 5, reply_to_id: 3, depth: 2 },
+      ];
+      jest.spyOn(PostRepository, "getThread").mockResolvedValue(posts);
+
+      const result = await PostService.getThread({ post_id: 2, user_id: 1, depth: 3, limit: 10 });
+
+      expect(result.ancestors).toEqual([posts[0]]);
+      expect(result.post.id).toBe(2);
+      expect(result.post.replies.map((post) => post.id)).toEqual([3, 4]);
+      expect(result.post.replies[0].replies.map((post) => post.id)).toEqual([5]);
+      expect(result.post.replies[1].replies).toEqual([]);
+    });
+
+    it("limits depth and replies per post", async () => {
+      const mock = jest.spyOn(PostRepository, "getThread").mockResolvedValue([{ id: 1, reply_to_id: null, depth: 0 }]);
+
+      await PostService.getThread({ post_id: 1, user_id: 1, depth: 1000, limit: 1000 });
+
+      expect(mock).toHaveBeenCalledWith({ post_id: 1, user_id: 1, depth: 10, limit: 50 });
+    });
+
+    it("throws error if post not found", async () => {
+      jest.spyOn(PostRepository, "getThread").mockRejectedValue(new Error("Post not found"));
+
+      await expect(PostService.getThread({ post_id: 1, user_id: 1, depth: 3, limit: 10 })).rejects.toThrow(
+        "Post not found"
+      );
+    });
+  });
+
   describe("createPost", () => {
     it("successfully creates a post", async () => {
       const post = { id: 1, text: "new post" };
       const mock = jest.spyOn(PostRepository, "createPost").mockResolvedValue(post);
+      jest.spyOn(PostRepository, "savePostEntities").mockResolvedValue([]);
 
       const result = await PostService.createPost({ text: "new post", user_id: 1 });
-      expect(result).toEqual(post);
+      expect(result).toEqual({ ...post, entities: { hashtags: [], mentions: [] } });
       expect(mock).toHaveBeenCalledTimes(1);
     });
 
+    it("saves parsed hashtags and mentions", async () => {
+      const post = { id: 1, text: "#Go #go with @john_doe" };
+      jest.spyOn(PostRepository, "createPost").mockResolvedValue(post);
+      const mock = jest.spyOn(PostRepository, "savePostEntities").mockResolvedValue([2]);
+      const notify = jest.spyOn(NotificationRepository, "createForUsers").mockResolvedValue();
+
+      const result = await PostService.createPost({ text: post.text, user_id: 1 });
+
+      expect(mock).toHaveBeenCalledWith(1, ["go"], ["john_doe"]);
+      expect(notify).toHaveBeenCalledWith("mention", 1, [2], 1);
+      expect(result.entities.hashtags).toEqual([
+        { tag: "go", start: 0, end: 3 },
+        { tag: "go", start: 4, end: 7 },
+      ]);
+      expect(result.entities.mentions).toEqual([{ user_name: "john_doe", start: 13, end: 22 }]);
+    });
+
+    it("notifies authors of replied and quoted posts", async () => {
+      const post = { id: 3, text: "reply", reply_to_id: 1, quote_of_id: 2 };
+      jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(false);
+      jest.spyOn(PostRepository, "createPost").mockResolvedValue(post);
+      jest.spyOn(PostRepository, "savePostEntities").mockResolvedValue([]);
+      const notify = jest.spyOn(NotificationRepository, "createForPostAuthor").mockResolvedValue();
+      const mentions = jest.spyOn(NotificationRepository, "createForUsers").mockResolvedValue();
+
+      await PostService.createPost({ text: "reply", user_id: 5, reply_to_id: 1, quote_of_id: 2 });
+
+      expect(notify).toHaveBeenCalledWith("reply", 5, 1, 3);
+      expect(notify).toHaveBeenCalledWith("quote", 5, 2, 3);
+      expect(mentions).not.toHaveBeenCalled();
+    });
+
+    it("rejects reply to author who blocked the user", async () => {
+      const blocked = jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(true);
+      const mock = jest.spyOn(PostRepository, "createPost");
+
+      await expect(PostService.createPost({ text: "reply", user_id: 5, reply_to_id: 1 })).rejects.toThrow(
+        ForbiddenError
+      );
+      expect(blocked).toHaveBeenCalledWith(1, 5);
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("rejects quote of author who blocked the user", async () => {
+      const blocked = jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(true);
+      const mock = jest.spyOn(PostRepository, "createPost");
+      const notify = jest.spyOn(NotificationRepository, "createForPostAuthor");
+
+      await expect(PostService.createPost({ text: "quote", user_id: 5, quote_of_id: 2 })).rejects.toThrow(
+        "You are blocked by the post author"
+      );
+      expect(blocked).toHaveBeenCalledWith(2, 5);
+      expect(mock).not.toHaveBeenCalled();
+      expect(notify).not.toHaveBeenCalled();
+    });
+
     it("throws error on insert failure", async () => {
       const mock = jest.spyOn(PostRepository, "createPost").mockRejectedValue(new Error("Insert error"));
 
@@ -46,6 +218,90 @@ describe("PostService", () => {
     });
   });
 
+  describe("updatePost", () => {
+    it("successfully updates own post within edit window", async () => {
+      const updated = { id: 1, text: "edited", edited_at: new Date() };
+      jest.spyOn(PostRepository, "getPostForEdit").mockResolvedValue({ id: 1, user_id: "1", editable: true });
+      const mock = jest.spyOn(PostRepository, "updatePost").mockResolvedValue(updated);
+      jest.spyOn(PostRepository, "clearPostEntities").mockResolvedValue([]);
+      jest.spyOn(PostRepository, "savePostEntities").mockResolvedValue([]);
+
+      await expect(PostService.updatePost(1, 1, { text: "edited" })).resolves.toEqual({
+        ...updated,
+        entities: { hashtags: [], mentions: [] },
+      });
+      expect(PostRepository.clearPostEntities).toHaveBeenCalledWith(1);
+      expect(PostRepository.getPostForEdit).toHaveBeenCalledWith(1, 900);
+      expect(mock).toHaveBeenCalledWith(1, 1, "edited", 900);
+    });
+
+    it("notifies only users newly mentioned in the edit", async () => {
+      jest.spyOn(PostRepository, "getPostForEdit").mockResolvedValue({ id: 1, user_id: "1", editable: true });
+      jest.spyOn(PostRepository, "updatePost").mockResolvedValue({ id: 1, text: "@bob @carol @dave" });
+      jest.spyOn(PostRepository, "clearPostEntities").mockResolvedValue(["2", "3"]);
+      jest.spyOn(PostRepository, "savePostEntities").mockResolvedValue(["2", "3", "4"]);
+      const notify = jest.spyOn(NotificationRepository, "createForUsers").mockResolvedValue();
+
+      await PostService.updatePost(1, 1, { text: "@bob @carol @dave" });
+
+      expect(notify).toHaveBeenCalledWith("mention", 1, ["4"], 1);
+    });
+
+    it("does not notify when mentions are unchanged", async () => {
+      jest.spyOn(PostRepository, "getPostForEdit").mockResolvedValue({ id: 1, user_id: "1", editable: true });
+      jest.spyOn(PostRepository, "updatePost").mockResolvedValue({ id: 1, text: "@bob edited" });
+      jest.spyOn(PostRepository, "clearPostEntities").mockResolvedValue(["2"]);
+      jest.spyOn(PostRepository, "savePostEntities").mockResolvedValue(["2"]);
+      const notify = jest.spyOn(NotificationRepository, "createForUsers");
+
+      await PostService.updatePost(1, 1, { text: "@bob edited" });
+
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it("uses edit window from environment", async () => {
+      process.env.POST_EDIT_WINDOW_SECONDS = "60";
+      jest.spyOn(PostRepository, "getPostForEdit").mockResolvedValue({ id: 1, user_id: "1", editable: true });
+      jest.spyOn(PostRepository, "updatePost").mockResolvedValue({ id: 1, text: "edited" });
+      jest.spyOn(PostRepository, "clearPostEntities").mockResolvedValue([]);
+      jest.spyOn(PostRepository, "savePostEntities").mockResolvedValue([]);
+
+      await PostService.updatePost(1, 1, { text: "edited" });
+      delete process.env.POST_EDIT_WINDOW_SECONDS;
+
+      expect(PostRepository.updatePost).toHaveBeenCalledWith(1, 1, "edited", 60);
+    });
+
+    it("throws forbidden error for another user's post", async () => {
+      jest.spyOn(PostRepository, "getPostForEdit").mockResolvedValue({ id: 1, user_id: "2", editable: true });
+      const mock = jest.spyOn(PostRepository, "updatePost");
+
+      const err = await PostService.updatePost(1, 1, { text: "edited" }).catch((e) => e);
+      expect(err).toBeInstanceOf(ForbiddenError);
+      expect(err.code).toBe("NOT_POST_OWNER");
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("throws forbidden error when edit window has expired", async () => {
+      jest.spyOn(PostRepository, "getPostForEdit").mockResolvedValue({ id: 1, user_id: "1", editable: false });
+      const mock = jest.spyOn(PostRepository, "updatePost");
+
+      const err = await PostService.updatePost(1, 1, { text: "edited" }).catch((e) => e);
+      expect(err.code).toBe("EDIT_WINDOW_EXPIRED");
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getPostRevisions", () => {
+    it("successfully gets revisions", async () => {
+      const revisions = [{ id: 1, text: "first", created_at: new Date() }];
+      const mock = jest.spyOn(PostRepository, "getPostRevisions").mockResolvedValue(revisions);
+
+      await expect(PostService.getPostRevisions(1)).resolves.toEqual(revisions);
+      expect(mock).toHaveBeenCalledWith(1);
+    });
+  });
+
   describe("deletePost", () => {
     it("successfully deletes a post", async () => {
       const mock = jest.spyOn(PostRepository, "deletePost").mockResolvedValue();
@@ -80,17 +336,31 @@ describe("PostService", () => {
 
   describe("likePost", () => {
     it("successfully likes a post", async () => {
+      jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(false);
       const mock = jest.spyOn(PostRepository, "likePost").mockResolvedValue();
+      const notify = jest.spyOn(NotificationRepository, "createForPostAuthor").mockResolvedValue();
 
       await expect(PostService.likePost(1, 0)).resolves.toBeUndefined();
       expect(mock).toHaveBeenCalledWith(1, 0);
+      expect(notify).toHaveBeenCalledWith("like", 0, 1);
+    });
+
+    it("refuses like from blocked user", async () => {
+      jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(true);
+      const mock = jest.spyOn(PostRepository, "likePost");
+
+      await expect(PostService.likePost(1, 2)).rejects.toThrow("You are blocked by the post author");
+      expect(mock).not.toHaveBeenCalled();
     });
 
     it("throws error on like failure", async () => {
+      jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(false);
       const mock = jest.spyOn(PostRepository, "likePost").mockRejectedValue(new Error("Like error"));
+      const notify = jest.spyOn(NotificationRepository, "createForPostAuthor");
 
       await expect(PostService.likePost(2, 0)).rejects.toThrow("Like error");
       expect(mock).toHaveBeenCalledWith(2, 0);
+      expect(notify).not.toHaveBeenCalled();
     });
   });
 
@@ -109,4 +379,51 @@ describe("PostService", () => {
       expect(mock).toHaveBeenCalledWith(2, 0);
     });
   });
+
+  describe("repostPost", () => {
+    it("successfully reposts a post", async () => {
+      jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(false);
+      const mock = jest.spyOn(PostRepository, "repostPost").mockResolvedValue();
+      const notify = jest.spyOn(NotificationRepository, "createForPostAuthor").mockResolvedValue();
+
+      await expect(PostService.repostPost(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+      expect(notify).toHaveBeenCalledWith("repost", 2, 1);
+    });
+
+    it("refuses repost from blocked user", async () => {
+      const blocked = jest.spyOn(PostRepository, "isBlockedByAuthor").mockResolvedValue(true);
+      const mock = jest.spyOn(PostRepository, "repostPost");
+      const notify = jest.spyOn(NotificationRepository, "createForPostAuthor");
+
+      await expect(PostService.repostPost(1, 2)).rejects.toThrow(ForbiddenError);
+      expect(blocked).toHaveBeenCalledWith(1, 2);
+      expect(mock).not.toHaveBeenCalled();
+      expect(notify).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("undoRepost", () => {
+    it("successfully removes a repost", async () => {
+      const mock = jest.spyOn(PostRepository, "undoRepost").mockResolvedValue();
+
+      await expect(PostService.undoRepost(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe("reconcilePostStats", () => {
+    it("recounts stats in batches and sums fixed rows", async () => {
+      jest.spyOn(PostRepository, "createMissingPostStats").mockResolvedValue(1);
+      const mock = jest
+        .spyOn(PostRepository, "reconcilePostStats")
+        .mockResolvedValueOnce({ last_id: 1000, fixed: 2 })
+        .mockResolvedValueOnce({ last_id: 1500, fixed: 0 })
+        .mockResolvedValueOnce({ last_id: null, fixed: 0 });
+
+      await expect(PostService.reconcilePostStats()).resolves.toBe(3);
+      expect(mock.mock.calls.map(([afterId]) => afterId)).toEqual([0, 1000, 1500]);
+      expect(db.transaction).toHaveBeenCalledTimes(3);
+    });
+  });
 });
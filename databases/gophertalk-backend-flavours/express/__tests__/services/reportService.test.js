@@ -0,0 +1,38 @@
+import { describe, expect, jest } from "@jest/globals";
+import { ReportRepository } from "../../src/repositories/reportRepository.js";
+import { ReportService } from "../../src/services/reportService.js";
+
+describe("ReportService", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("reportPost", () => {
+    it("creates post report", async () => {
+      const report = { id: 1, post_id: 2, reason: "spam", status: "open" };
+      const mock = jest.spyOn(ReportRepository, "reportPost").mockResolvedValueOnce(report);
+
+      await expect(ReportService.reportPost(1, 2, { reason: "spam" })).resolves.toEqual(report);
+      expect(mock).toHaveBeenCalledWith(1, 2, "spam", undefined);
+    });
+  });
+
+  describe("reportUser", () => {
+    it("creates user report", async () => {
+      const report = { id: 1, user_id: 2, reason: "impersonation", status: "open" };
+      const mock = jest.spyOn(ReportRepository, "reportUser").mockResolvedValueOnce(report);
+
+      await expect(ReportService.reportUser(1, 2, { reason: "impersonation", comment: "fake" })).resolves.toEqual(
+        report
+      );
+      expect(mock).toHaveBeenCalledWith(1, 2, "impersonation", "fake");
+    });
+
+    it("rejects reporting yourself", async () => {
+      const mock = jest.spyOn(ReportRepository, "reportUser");
+
+      await expect(ReportService.reportUser(1, 1, { reason: "spam" })).rejects.toThrow("Cannot report yourself");
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+});
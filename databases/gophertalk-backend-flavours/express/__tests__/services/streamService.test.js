@@ -0,0 +1,117 @@
+import { describe, expect, jest } from "@jest/globals";
+import { EventEmitter } from "events";
+import { pool } from "../../src/config/db.js";
+import { EVENTS_CHANNEL, StreamService } from "../../src/services/streamService.js";
+
+function mockListenerClient() {
+  const client = new EventEmitter();
+  client.query = jest.fn().mockResolvedValue({ rows: [], rowCount: 0 });
+  client.release = jest.fn();
+  return client;
+}
+
+function notify(client, payload) {
+  client.emit("notification", { channel: EVENTS_CHANNEL, payload: JSON.stringify(payload) });
+}
+
+describe("StreamService", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("subscribe", () => {
+    it("listens once and delivers broadcast events to all subscribers", async () => {
+      const client = mockListenerClient();
+      const connect = jest.spyOn(pool, "connect").mockResolvedValue(client);
+      const first = jest.fn();
+      const second = jest.fn();
+
+      const unsubscribeFirst = await StreamService.subscribe(1, first);
+      const unsubscribeSecond = await StreamService.subscribe(2, second);
+      notify(client, { event: "post_likes", post_id: 5, likes_count: 3 });
+
+      expect(connect).toHaveBeenCalledTimes(1);
+      expect(client.query).toHaveBeenCalledWith(`LISTEN ${EVENTS_CHANNEL}`);
+      expect(first).toHaveBeenCalledWith("post_likes", { post_id: 5, likes_count: 3 });
+      expect(second).toHaveBeenCalledWith("post_likes", { post_id: 5, likes_count: 3 });
+
+      await unsubscribeFirst();
+      await unsubscribeSecond();
+    });
+
+    it("delivers notifications only to recipient", async () => {
+      const client = mockListenerClient();
+      jest.spyOn(pool, "connect").mockResolvedValue(client);
+      const recipient = jest.fn();
+      const other = jest.fn();
+
+      const unsubscribeRecipient = await StreamService.subscribe(1, recipient);
+      const unsubscribeOther = await StreamService.subscribe(2, other);
+      notify(client, { event: "notification", recipient_id: 1, id: 10, type: "like" });
+
+      expect(recipient).toHaveBeenCalledWith("notification", { id: 10, type: "like" });
+      expect(other).not.toHaveBeenCalled();
+
+      await unsubscribeRecipient();
+      await unsubscribeOther();
+    });
+
+    it("releases connection after last subscriber leaves", async () => {
+      const client = mockListenerClient();
+      jest.spyOn(pool, "connect").mockResolvedValue(client);
+
+      const unsubscribe = await StreamService.subscribe(1, jest.fn());
+      await unsubscribe();
+
+      expect(client.query).toHaveBeenLastCalledWith(`UNLISTEN ${EVENTS_CHANNEL}`);
+      expect(client.release).toHaveBeenCalledTimes(1);
+    });
+
+    it("closes streams of revoked session without forwarding the event", async () => {
+      const client = mockListenerClient();
+      jest.spyOn(pool, "connect").mockResolvedValue(client);
+      const revoked = { send: jest.fn(), close: jest.fn() };
+      const other = { send: jest.fn(), close: jest.fn() };
+
+      const unsubscribeRevoked = await StreamService.subscribe(1, revoked.send, { sessionId: "s-1", close: revoked.close });
+      const unsubscribeOther = await StreamService.subscribe(1, other.send, { sessionId: "s-2", close: other.close });
+      notify(client, { event: "session_revoked", session_id: "s-1", user_id: 1 });
+
+      expect(revoked.close).toHaveBeenCalledTimes(1);
+      expect(other.close).not.toHaveBeenCalled();
+      expect(revoked.send).not.toHaveBeenCalled();
+      expect(other.send).not.toHaveBeenCalled();
+
+      await unsubscribeRevoked();
+      await unsubscribeOther();
+    });
+
+    it("releases connection when last subscriber leaves during reconnect", async () => {
+      jest.useFakeTimers();
+      jest.spyOn(console, "error").mockImplementation(() => {});
+      const broken = mockListenerClient();
+      const client = mockListenerClient();
+      let resolveListen;
+      client.query.mockImplementationOnce(() => new Promise((resolve) => (resolveListen = resolve)));
+      jest.spyOn(pool, "connect").mockResolvedValueOnce(broken).mockResolvedValueOnce(client);
+
+      const unsubscribe = await StreamService.subscribe(1, jest.fn());
+      broken.emit("error", new Error("Connection terminated"));
+      await jest.advanceTimersByTimeAsync(5000);
+      // Подписчик уходит, пока переподключение ждёт LISTEN
+      await unsubscribe();
+      resolveListen({ rows: [], rowCount: 0 });
+      await jest.advanceTimersByTimeAsync(0);
+
+      expect(client.query).toHaveBeenLastCalledWith(`UNLISTEN ${EVENTS_CHANNEL}`);
+      expect(client.release).toHaveBeenCalledTimes(1);
+      jest.useRealTimers();
+    });
+
+    it("throws error when listener cannot connect", async () => {
+      jest.spyOn(pool, "connect").mockRejectedValueOnce(new Error("Connection error"));
+
+      await expect(StreamService.subscribe(1, jest.fn())).rejects.toThrow("Connection error");
+    });
+  });
+});
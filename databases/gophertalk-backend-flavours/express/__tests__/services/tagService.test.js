@@ -0,0 +1,19 @@
+import { describe, expect, jest } from "@jest/globals";
+import { TagRepository } from "../../src/repositories/tagRepository.js";
+import { TagService } from "../../src/services/tagService.js";
+
+describe("TagService", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getTrendingTags", () => {
+    it("successfully gets trending tags", async () => {
+      const tags = [{ tag: "go", posts_count: "3" }];
+      const mock = jest.spyOn(TagRepository, "getTrendingTags").mockResolvedValue(tags);
+
+      await expect(TagService.getTrendingTags(1, 24, 10)).resolves.toEqual(tags);
+      expect(mock).toHaveBeenCalledWith(1, 24, 10);
+    });
+  });
+});
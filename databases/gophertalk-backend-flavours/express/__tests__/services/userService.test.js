@@ -1,8 +1,16 @@
 import { expect, jest } from "@jest/globals";
+import { db } from "../../src/config/db.js";
+import { NotificationRepository } from "../../src/repositories/notificationRepository.js";
+import { SessionRepository } from "../../src/repositories/sessionRepository.js";
+import { TokenRepository } from "../../src/repositories/tokenRepository.js";
 import { UserRepository } from "../../src/repositories/userRepository.js";
 import { UserService } from "../../src/services/userService.js";
 
 describe("UserService", () => {
+  beforeEach(() => {
+    jest.spyOn(db, "transaction").mockImplementation(async (fn) => await fn());
+  });
+
   afterEach(() => {
     jest.clearAllMocks();
   });
@@ -35,10 +43,10 @@ describe("UserService", () => {
 
       mock.mockResolvedValueOnce(expectedUsers);
 
-      const result = await UserService.getAllUsers(100, 0);
+      const result = await UserService.getAllUsers({ limit: 100, offset: 0, search: "jo" });
 
       expect(result).toEqual(expectedUsers);
-      expect(mock).toHaveBeenCalledWith(100, 0);
+      expect(mock).toHaveBeenCalledWith({ limit: 100, offset: 0, search: "jo" });
     });
 
     it("returns error on getAllUsers failure", async () => {
@@ -46,8 +54,8 @@ describe("UserService", () => {
 
       mock.mockRejectedValueOnce(new Error("SQL error"));
 
-      await expect(UserService.getAllUsers(100, 0)).rejects.toThrow("SQL error");
-      expect(mock).toHaveBeenCalledWith(100, 0);
+      await expect(UserService.getAllUsers({ limit: 100, offset: 0 })).rejects.toThrow("SQL error");
+      expect(mock).toHaveBeenCalledWith({ limit: 100, offset: 0 });
     });
   });
 
@@ -125,13 +133,18 @@ describe("UserService", () => {
   });
 
   describe("deleteUser", () => {
-    it("successfully deletes user", async () => {
+    it("successfully deletes user and revokes sessions", async () => {
       const mockDelete = jest.spyOn(UserRepository, "deleteUser");
+      jest.spyOn(SessionRepository, "revokeUserSessions").mockResolvedValueOnce();
+      jest.spyOn(TokenRepository, "revokeUserTokens").mockResolvedValueOnce();
 
       mockDelete.mockResolvedValueOnce(undefined);
 
       await expect(UserService.deleteUser(1)).resolves.toBeUndefined();
       expect(mockDelete).toHaveBeenCalledWith(1);
+      expect(db.transaction).toHaveBeenCalled();
+      expect(SessionRepository.revokeUserSessions).toHaveBeenCalledWith(1);
+      expect(TokenRepository.revokeUserTokens).toHaveBeenCalledWith(1);
     });
 
     it("returns error if delete fails", async () => {
@@ -143,4 +156,139 @@ describe("UserService", () => {
       expect(mockDelete).toHaveBeenCalledWith(2);
     });
   });
+
+  describe("purgeDeletedUsers", () => {
+    afterEach(() => {
+      delete process.env.ACCOUNT_RETENTION_DAYS;
+    });
+
+    it("purges each expired account in its own transaction", async () => {
+      jest.spyOn(UserRepository, "getUsersToPurge").mockResolvedValueOnce([3, 4]);
+      jest.spyOn(UserRepository, "purgeUser").mockResolvedValueOnce(true).mockResolvedValueOnce(false);
+
+      await expect(UserService.purgeDeletedUsers()).resolves.toBe(1);
+      expect(UserRepository.getUsersToPurge).toHaveBeenCalledWith(30, 100);
+      expect(UserRepository.purgeUser).toHaveBeenNthCalledWith(1, 3, 30);
+      expect(UserRepository.purgeUser).toHaveBeenNthCalledWith(2, 4, 30);
+      expect(db.transaction).toHaveBeenCalledTimes(2);
+    });
+
+    it("continues while batches are full", async () => {
+      process.env.ACCOUNT_RETENTION_DAYS = "7";
+      const batch = Array.from({ length: 100 }, (_, i) => i + 1);
+      jest.spyOn(UserRepository, "getUsersToPurge").mockResolvedValueOnce(batch).mockResolvedValueOnce([101]);
+      jest.spyOn(UserRepository, "purgeUser").mockResolvedValue(true);
+
+      await expect(UserService.purgeDeletedUsers()).resolves.toBe(101);
+      expect(UserRepository.getUsersToPurge).toHaveBeenCalledTimes(2);
+      expect(UserRepository.getUsersToPurge).toHaveBeenCalledWith(7, 100);
+    });
+  });
+
+  describe("followUser", () => {
+    it("successfully follows user", async () => {
+      jest.spyOn(UserRepository, "isBlocked").mockResolvedValueOnce(false);
+      const mock = jest.spyOn(UserRepository, "followUser").mockResolvedValueOnce();
+      const notify = jest.spyOn(NotificationRepository, "createForUsers").mockResolvedValueOnce();
+
+      await expect(UserService.followUser(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+      expect(notify).toHaveBeenCalledWith("follow", 1, [2]);
+    });
+
+    it("returns error when following yourself", async () => {
+      const mock = jest.spyOn(UserRepository, "followUser");
+
+      await expect(UserService.followUser(1, 1)).rejects.toThrow("Cannot follow yourself");
+      expect(mock).not.toHaveBeenCalled();
+    });
+
+    it("returns error when followee blocked the follower", async () => {
+      const blocked = jest.spyOn(UserRepository, "isBlocked").mockResolvedValueOnce(true);
+      const mock = jest.spyOn(UserRepository, "followUser");
+
+      await expect(UserService.followUser(1, 2)).rejects.toThrow("You are blocked by this user");
+      expect(blocked).toHaveBeenCalledWith(2, 1);
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("blockUser", () => {
+    it("successfully blocks user", async () => {
+      const mock = jest.spyOn(UserRepository, "blockUser").mockResolvedValueOnce();
+
+      await expect(UserService.blockUser(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("returns error when blocking yourself", async () => {
+      const mock = jest.spyOn(UserRepository, "blockUser");
+
+      await expect(UserService.blockUser(1, 1)).rejects.toThrow("Cannot block yourself");
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("unblockUser", () => {
+    it("successfully unblocks user", async () => {
+      const mock = jest.spyOn(UserRepository, "unblockUser").mockResolvedValueOnce();
+
+      await expect(UserService.unblockUser(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe("muteUser", () => {
+    it("successfully mutes user", async () => {
+      const mock = jest.spyOn(UserRepository, "muteUser").mockResolvedValueOnce();
+
+      await expect(UserService.muteUser(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+
+    it("returns error when muting yourself", async () => {
+      const mock = jest.spyOn(UserRepository, "muteUser");
+
+      await expect(UserService.muteUser(1, 1)).rejects.toThrow("Cannot mute yourself");
+      expect(mock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("unmuteUser", () => {
+    it("successfully unmutes user", async () => {
+      const mock = jest.spyOn(UserRepository, "unmuteUser").mockResolvedValueOnce();
+
+      await expect(UserService.unmuteUser(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe("unfollowUser", () => {
+    it("successfully unfollows user", async () => {
+      const mock = jest.spyOn(UserRepository, "unfollowUser").mockResolvedValueOnce();
+
+      await expect(UserService.unfollowUser(1, 2)).resolves.toBeUndefined();
+      expect(mock).toHaveBeenCalledWith(1, 2);
+    });
+  });
+
+  describe("getFollowers", () => {
+    it("successfully gets followers", async () => {
+      const users = [{ id: 2, user_name: "jane" }];
+      const mock = jest.spyOn(UserRepository, "getFollowers").mockResolvedValueOnce(users);
+
+      await expect(UserService.getFollowers(1, 10, 0)).resolves.toEqual(users);
+      expect(mock).toHaveBeenCalledWith(1, 10, 0);
+    });
+  });
+
+  describe("getFollowing", () => {
+    it("successfully gets following", async () => {
+      const users = [{ id: 2, user_name: "jane" }];
+      const mock = jest.spyOn(UserRepository, "getFollowing").mockResolvedValueOnce(users);
+
+      await expect(UserService.getFollowing(1, 10, 0)).resolves.toEqual(users);
+      expect(mock).toHaveBeenCalledWith(1, 10, 0);
+    });
+  });
 });
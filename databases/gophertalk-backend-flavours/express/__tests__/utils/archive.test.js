@@ -0,0 +1,53 @@
+import { describe, expect } from "@jest/globals";
+import zlib from "zlib";
+import { createTarGz } from "../../src/utils/archive.js";
+
+// Разбирает tar обратно в список файлов
+function readTar(buffer) {
+  const files = [];
+  let offset = 0;
+  while (offset < buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const name = header.toString("utf8", 0, 100).replace(/\0.*$/s, "");
+    const size = parseInt(header.toString("ascii", 124, 135), 8);
+    const checksum = parseInt(header.toString("ascii", 148, 154), 8);
+    let sum = 0;
+    header.forEach((byte, i) => {
+      sum += i >= 148 && i < 156 ? 0x20 : byte;
+    });
+    files.push({
+      name,
+      content: buffer.toString("utf8", offset + 512, offset + 512 + size),
+      magic: header.toString("ascii", 257, 262),
+      checksumValid: checksum === sum,
+    });
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return { files, length: buffer.length };
+}
+
+describe("archive", () => {
+  describe("createTarGz", () => {
+    it("packs files into gzipped ustar archive", async () => {
+      const archive = await createTarGz([
+        { name: "export.json", content: '{"text":"привет"}' },
+        { name: "posts.csv", content: Buffer.from("x".repeat(600)) },
+      ]);
+
+      const { files, length } = readTar(zlib.gunzipSync(archive));
+      expect(files).toEqual([
+        { name: "export.json", content: '{"text":"привет"}', magic: "ustar", checksumValid: true },
+        { name: "posts.csv", content: "x".repeat(600), magic: "ustar", checksumValid: true },
+      ]);
+      // Заголовки, данные с выравниванием по 512 байт и два завершающих блока
+      expect(length).toBe(512 + 512 + 512 + 1024 + 1024);
+    });
+
+    it("rejects too long file names", async () => {
+      await expect(createTarGz([{ name: "a".repeat(101), content: "" }])).rejects.toThrow("File name is too long");
+    });
+  });
+});
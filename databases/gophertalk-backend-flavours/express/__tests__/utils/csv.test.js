@@ -0,0 +1,28 @@
+import { describe, expect } from "@jest/globals";
+import { toCsv } from "../../src/utils/csv.js";
+
+describe("csv", () => {
+  describe("toCsv", () => {
+    it("writes header and rows in given column order", () => {
+      const rows = [{ text: "hello", id: 1 }];
+
+      expect(toCsv(rows, ["id", "text"])).toBe("id,text\r\n1,hello\r\n");
+    });
+
+    it("writes only header for empty rows", () => {
+      expect(toCsv([], ["post_id", "created_at"])).toBe("post_id,created_at\r\n");
+    });
+
+    it("quotes values with separators, quotes and line breaks", () => {
+      const rows = [{ a: "x, y", b: 'say "hi"', c: "two\nlines" }];
+
+      expect(toCsv(rows, ["a", "b", "c"])).toBe('a,b,c\r\n"x, y","say ""hi""","two\nlines"\r\n');
+    });
+
+    it("formats nulls, dates and objects", () => {
+      const rows = [{ a: null, b: new Date("2025-01-02T03:04:05Z"), c: { k: 1 } }];
+
+      expect(toCsv(rows, ["a", "b", "c", "missing"])).toBe('a,b,c,missing\r\n,2025-01-02T03:04:05.000Z,"{""k"":1}",\r\n');
+    });
+  });
+});
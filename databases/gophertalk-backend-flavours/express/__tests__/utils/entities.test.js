@@ -0,0 +1,36 @@
+import { describe, expect } from "@jest/globals";
+import { parseEntities, uniqueTags, uniqueUserNames } from "../../src/utils/entities.js";
+
+describe("entities", () => {
+  describe("parseEntities", () => {
+    it("extracts hashtags with offsets", () => {
+      expect(parseEntities("Привет #Мир и #go_lang!").hashtags).toEqual([
+        { tag: "мир", start: 7, end: 11 },
+        { tag: "go_lang", start: 14, end: 22 },
+      ]);
+    });
+
+    it("extracts mentions with offsets", () => {
+      expect(parseEntities("hi @john_doe, @Ann").mentions).toEqual([
+        { user_name: "john_doe", start: 3, end: 12 },
+        { user_name: "Ann", start: 14, end: 18 },
+      ]);
+    });
+
+    it("ignores emails, numeric tags and glued markers", () => {
+      const entities = parseEntities("mail a@b.com #1 ##x #tag#other @1abc");
+
+      expect(entities.hashtags.map((hashtag) => hashtag.tag)).toEqual(["tag"]);
+      expect(entities.mentions).toEqual([]);
+    });
+  });
+
+  describe("unique values", () => {
+    it("removes duplicates", () => {
+      const entities = parseEntities("#go #Go @john_doe @john_doe");
+
+      expect(uniqueTags(entities)).toEqual(["go"]);
+      expect(uniqueUserNames(entities)).toEqual(["john_doe"]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, expect } from "@jest/globals";
+import { ConflictError, NotFoundError, ValidationError, mapDbError } from "../../src/utils/errors.js";
+
+function pgError(code, constraint) {
+  return Object.assign(new Error(`violates constraint "${constraint}"`), { code, constraint });
+}
+
+describe("errors", () => {
+  describe("domain errors", () => {
+    it("carry status and code", () => {
+      const err = new NotFoundError("Post not found", "POST_NOT_FOUND");
+
+      expect(err).toBeInstanceOf(Error);
+      expect(err.status).toBe(404);
+      expect(err.code).toBe("POST_NOT_FOUND");
+      expect(err.message).toBe("Post not found");
+    });
+
+    it("keeps validation details", () => {
+      const err = new ValidationError("Validation failed", [{ path: "id", message: "Required" }]);
+
+      expect(err.status).toBe(422);
+      expect(err.code).toBe("VALIDATION_ERROR");
+      expect(err.errors).toEqual([{ path: "id", message: "Required" }]);
+    });
+  });
+
+  describe("mapDbError", () => {
+    it("maps known constraint to given error", () => {
+      const mapped = new ConflictError("Post already liked");
+
+      expect(mapDbError(pgError("23505", "pk__likes"), { pk__likes: mapped })).toBe(mapped);
+    });
+
+    it("maps unknown unique violation to conflict", () => {
+      expect(mapDbError(pgError("23505", "uk__other"))).toBeInstanceOf(ConflictError);
+    });
+
+    it("maps unknown foreign key violation to not found", () => {
+      expect(mapDbError(pgError("23503", "fk__other"))).toBeInstanceOf(NotFoundError);
+    });
+
+    it("returns other errors unchanged", () => {
+      const err = new Error("connection terminated");
+
+      expect(mapDbError(err)).toBe(err);
+    });
+  });
+});
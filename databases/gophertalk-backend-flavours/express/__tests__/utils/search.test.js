@@ -0,0 +1,40 @@
+import { describe, expect } from "@jest/globals";
+import { buildTsQuery, searchLanguage } from "../../src/utils/search.js";
+
+describe("search", () => {
+  describe("buildTsQuery", () => {
+    it("joins words with AND", () => {
+      expect(buildTsQuery("кошки собаки")).toBe("'кошки' & 'собаки'");
+    });
+
+    it("supports prefix search", () => {
+      expect(buildTsQuery("прог*")).toBe("'прог':*");
+    });
+
+    it("supports phrase search", () => {
+      expect(buildTsQuery('"hello big world" go')).toBe("('hello' <-> 'big' <-> 'world') & 'go'");
+    });
+
+    it("strips tsquery operators from input", () => {
+      expect(buildTsQuery("a'|b & !c")).toBe("'ab' & 'c'");
+    });
+
+    it("throws error if nothing to search", () => {
+      expect(() => buildTsQuery("!!! &")).toThrow("Invalid search query");
+    });
+  });
+
+  describe("searchLanguage", () => {
+    it("accepts supported language", () => {
+      expect(searchLanguage("english")).toBe("english");
+    });
+
+    it("falls back to russian", () => {
+      expect(searchLanguage(undefined)).toBe(process.env.SEARCH_LANGUAGE || "russian");
+    });
+
+    it("rejects unsupported language", () => {
+      expect(() => searchLanguage("klingon")).toThrow("Unsupported search language");
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, expect } from "@jest/globals";
+import { visibleAuthorCondition } from "../../src/utils/visibility.js";
+
+function normalizeSQL(sql) {
+  return sql.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+describe("visibility", () => {
+  describe("visibleAuthorCondition", () => {
+    it("excludes blocked, blocking and muted authors", () => {
+      expect(normalizeSQL(visibleAuthorCondition("p.user_id", "$1"))).toBe(
+        "p.user_id not in ( select blocked_id from blocks where blocker_id = $1 union all " +
+          "select blocker_id from blocks where blocked_id = $1 union all " +
+          "select muted_id from mutes where muter_id = $1 )"
+      );
+    });
+
+    it("accepts column as viewer", () => {
+      expect(normalizeSQL(visibleAuthorCondition("$1", "recipient_id"))).toContain(
+        "$1 not in ( select blocked_id from blocks where blocker_id = recipient_id"
+      );
+    });
+  });
+});
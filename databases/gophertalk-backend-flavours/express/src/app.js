@@ -1,8 +1,15 @@
 import dotenv from "dotenv";
 import express from "express";
 import { pool } from "./config/db.js";
+import { Migrator } from "./db/migrator.js";
+import { errorHandler, notFoundHandler } from "./middleware/errorHandler.js";
+import adminRoutes from "./routes/adminRoutes.js";
 import authRoutes from "./routes/authRoutes.js";
+import conversationRoutes from "./routes/conversationRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
 import postRoutes from "./routes/postRoutes.js";
+import streamRoutes from "./routes/streamRoutes.js";
+import tagRoutes from "./routes/tagRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 
 dotenv.config();
@@ -15,6 +22,11 @@ app.use(express.json());
 app.use("/api/auth", authRoutes);
 app.use("/api/posts", postRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/conversations", conversationRoutes);
 
 app.get("/api/health-check", async (req, res) => {
   try {
@@ -25,6 +37,14 @@ app.get("/api/health-check", async (req, res) => {
   }
 });
 
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Схему можно обновлять при старте: параллельно запущенные экземпляры дождутся друг друга на блокировке
+if (process.env.MIGRATE_ON_START === "true") {
+  await Migrator.migrate();
+}
+
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from "async_hooks";
 import dotenv from "dotenv";
 import pg from "pg";
 
@@ -12,3 +13,55 @@ export const pool = new Pool({
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
 });
+
+// Соединение открытой транзакции хранится в асинхронном контексте, поэтому репозиториям
+// не нужно передавать клиента явно: все их запросы внутри db.transaction идут через него
+const transactionStorage = new AsyncLocalStorage();
+
+export const db = {
+  async query(text, params) {
+    const tx = transactionStorage.getStore();
+    if (tx) {
+      return await tx.client.query(text, params);
+    }
+    return await pool.query(text, params);
+  },
+
+  // Выполняет fn в транзакции: COMMIT при успехе, ROLLBACK при любой ошибке.
+  // Вложенный вызов присоединяется к внешней транзакции через точку сохранения,
+  // чтобы его ошибку можно было перехватить, не теряя уже сделанную работу
+  async transaction(fn) {
+    const tx = transactionStorage.getStore();
+    if (tx) {
+      const savepoint = `sp_${++tx.savepoints}`;
+      await tx.client.query(`SAVEPOINT ${savepoint}`);
+      try {
+        const result = await fn();
+        await tx.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+        return result;
+      } catch (err) {
+        await tx.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+        throw err;
+      }
+    }
+
+    const client = await pool.connect();
+    let releaseError;
+    try {
+      await client.query("BEGIN");
+      const result = await transactionStorage.run({ client, savepoints: 0 }, fn);
+      await client.query("COMMIT");
+      return result;
+    } catch (err) {
+      try {
+        await client.query("ROLLBACK");
+      } catch (rollbackErr) {
+        // Соединение в неизвестном состоянии не возвращается в пул
+        releaseError = rollbackErr;
+      }
+      throw err;
+    } finally {
+      client.release(releaseError);
+    }
+  },
+};
@@ -0,0 +1,95 @@
+import { AdminService } from "../services/adminService.js";
+
+export class AdminController {
+  static async getUsers(req, res, next) {
+    try {
+      const { limit, offset, status } = req.query;
+      const filterDTO = { limit, offset, status };
+      const users = await AdminService.getUsers(filterDTO);
+      res.status(200).json(users);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async blockUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      const user = await AdminService.blockUser(id, Number(req.user.sub));
+      res.status(200).json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async unblockUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      const user = await AdminService.unblockUser(id);
+      res.status(200).json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async setUserRole(req, res, next) {
+    try {
+      const id = req.params.id;
+      const user = await AdminService.setUserRole(id, req.body.role, Number(req.user.sub));
+      res.status(200).json(user);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async deletePost(req, res, next) {
+    try {
+      const id = req.params.id;
+      await AdminService.deletePost(id, Number(req.user.sub));
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getDeletedPosts(req, res, next) {
+    try {
+      const { limit, offset } = req.query;
+      const posts = await AdminService.getDeletedPosts(limit, offset);
+      res.status(200).json(posts);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getReports(req, res, next) {
+    try {
+      const { limit, offset, status, reason } = req.query;
+      const filterDTO = { limit, offset, status, reason };
+      const reports = await AdminService.getReports(filterDTO);
+      res.status(200).json(reports);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getReportById(req, res, next) {
+    try {
+      const id = req.params.id;
+      const report = await AdminService.getReportById(id);
+      res.status(200).json(report);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async updateReportStatus(req, res, next) {
+    try {
+      const id = req.params.id;
+      const report = await AdminService.updateReportStatus(id, Number(req.user.sub), req.body);
+      res.status(200).json(report);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
@@ -1,23 +1,77 @@
 import { AuthService } from "../services/authService.js";
 
+function sessionMeta(req) {
+  return {
+    user_agent: req.get("user-agent"),
+    ip: req.ip,
+  };
+}
+
 export class AuthController {
-  static async login(req, res) {
+  static async login(req, res, next) {
     try {
       const dto = req.body;
-      const tokens = await AuthService.login(dto);
+      const tokens = await AuthService.login(dto, sessionMeta(req));
       res.status(200).json(tokens);
     } catch (err) {
-      res.status(401).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async register(req, res) {
+  static async register(req, res, next) {
     try {
       const dto = req.body;
-      const tokens = await AuthService.register(dto);
+      const tokens = await AuthService.register(dto, sessionMeta(req));
       res.status(201).json(tokens);
     } catch (err) {
-      res.status(401).json({ message: err.message });
+      next(err);
+    }
+  }
+
+  static async restore(req, res, next) {
+    try {
+      const dto = req.body;
+      const tokens = await AuthService.restore(dto, sessionMeta(req));
+      res.status(200).json(tokens);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async refresh(req, res, next) {
+    try {
+      const dto = req.body;
+      const tokens = await AuthService.refresh(dto);
+      res.status(200).json(tokens);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async logout(req, res, next) {
+    try {
+      await AuthService.logout(req.user);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getSessions(req, res, next) {
+    try {
+      const sessions = await AuthService.getSessions(req.user);
+      res.status(200).json(sessions);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async revokeSession(req, res, next) {
+    try {
+      await AuthService.revokeSession(req.params.id, req.user.sub);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
     }
   }
 }
@@ -0,0 +1,62 @@
+import { ConversationService } from "../services/conversationService.js";
+
+export class ConversationController {
+  static async createConversation(req, res, next) {
+    try {
+      const { conversation, created } = await ConversationService.createConversation(
+        Number(req.user.sub),
+        req.body.user_id
+      );
+      res.status(created ? 201 : 200).json(conversation);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getConversations(req, res, next) {
+    try {
+      const { limit, offset } = req.query;
+      const conversations = await ConversationService.getConversations(Number(req.user.sub), limit, offset);
+      res.status(200).json(conversations);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getConversationById(req, res, next) {
+    try {
+      const conversation = await ConversationService.getConversationById(req.params.id, Number(req.user.sub));
+      res.status(200).json(conversation);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getMessages(req, res, next) {
+    try {
+      const { limit, after } = req.query;
+      const messages = await ConversationService.getMessages(req.params.id, { limit, after });
+      res.status(200).json(messages);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async sendMessage(req, res, next) {
+    try {
+      const message = await ConversationService.sendMessage(req.params.id, Number(req.user.sub), req.body.text);
+      res.status(201).json(message);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async markRead(req, res, next) {
+    try {
+      await ConversationService.markRead(req.params.id, Number(req.user.sub), req.body.message_id);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+}
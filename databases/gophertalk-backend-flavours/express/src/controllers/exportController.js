@@ -0,0 +1,62 @@
+import { ExportService } from "../services/exportService.js";
+
+function exportUrl(userId, exportId) {
+  return `/api/users/${userId}/exports/${exportId}`;
+}
+
+function exportStatus(userId, job) {
+  return {
+    ...job,
+    status_url: exportUrl(userId, job.id),
+    download_url: job.status === "completed" ? `${exportUrl(userId, job.id)}/download` : null,
+  };
+}
+
+function sendArchive(res, userId, archive) {
+  res
+    .status(200)
+    .set({
+      "Content-Type": "application/gzip",
+      "Content-Disposition": `attachment; filename="gophertalk-export-${userId}.tar.gz"`,
+    })
+    .send(archive);
+}
+
+export class ExportController {
+  static async requestExport(req, res, next) {
+    try {
+      const userId = req.params.id;
+      const result = await ExportService.requestExport(userId);
+      if (result.archive) {
+        return sendArchive(res, userId, result.archive);
+      }
+      // Большая выгрузка собирается в фоне, её состояние доступно по status_url
+      res
+        .status(202)
+        .location(exportUrl(userId, result.job.id))
+        .json(exportStatus(userId, result.job));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getExport(req, res, next) {
+    try {
+      const { id, export_id } = req.params;
+      const job = await ExportService.getExport(export_id, id);
+      res.status(200).json(exportStatus(id, job));
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async downloadExport(req, res, next) {
+    try {
+      const { id, export_id } = req.params;
+      const archive = await ExportService.getExportArchive(export_id, id);
+      sendArchive(res, id, archive);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
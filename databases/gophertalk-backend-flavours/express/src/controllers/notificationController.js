@@ -0,0 +1,22 @@
+import { NotificationService } from "../services/notificationService.js";
+
+export class NotificationController {
+  static async getNotifications(req, res, next) {
+    try {
+      const { limit, after } = req.query;
+      const notifications = await NotificationService.getNotifications(Number(req.user.sub), { limit, after });
+      res.status(200).json(notifications);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async markRead(req, res, next) {
+    try {
+      await NotificationService.markRead(Number(req.user.sub), req.body);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+}
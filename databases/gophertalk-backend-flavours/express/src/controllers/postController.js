@@ -1,28 +1,74 @@
 import { PostService } from "../services/postService.js";
 
 export class PostController {
-  static async getAllPosts(req, res) {
+  static async getAllPosts(req, res, next) {
     try {
       const userId = req.user.sub;
-      const { limit = 10, offset = 0, reply_to_id = 0, owner_id = 0, search = "" } = req.query;
+      const {
+        limit,
+        offset,
+        reply_to_id = 0,
+        owner_id = 0,
+        search = "",
+        lang,
+        feed,
+        pagination,
+        before,
+        after,
+      } = req.query;
 
       const filterDTO = {
         user_id: Number(userId),
-        limit: Number(limit),
-        offset: Number(offset),
-        reply_to_id: Number(reply_to_id),
-        owner_id: Number(owner_id),
+        limit,
+        offset,
+        reply_to_id,
+        owner_id,
         search,
+        lang,
+        feed,
+        pagination,
+        before,
+        after,
       };
 
       const posts = await PostService.getAllPosts(filterDTO);
       res.status(200).json(posts);
     } catch (err) {
-      res.status(400).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async createPost(req, res) {
+  static async getPostById(req, res, next) {
+    try {
+      const postId = req.params.id;
+      const userId = Number(req.user.sub);
+
+      const post = await PostService.getPostById(postId, userId);
+      res.status(200).json(post);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getThread(req, res, next) {
+    try {
+      const { depth, limit } = req.query;
+
+      const threadDTO = {
+        post_id: req.params.id,
+        user_id: Number(req.user.sub),
+        depth,
+        limit,
+      };
+
+      const thread = await PostService.getThread(threadDTO);
+      res.status(200).json(thread);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async createPost(req, res, next) {
     try {
       const userId = req.user.sub;
       const dto = req.body;
@@ -31,55 +77,100 @@ export class PostController {
       const post = await PostService.createPost(dto);
       res.status(201).json(post);
     } catch (err) {
-      res.status(400).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async deletePost(req, res) {
+  static async updatePost(req, res, next) {
     try {
-      const postId = Number(req.params.id);
+      const postId = req.params.id;
+      const userId = Number(req.user.sub);
+
+      const post = await PostService.updatePost(postId, userId, req.body);
+      res.status(200).json(post);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getPostRevisions(req, res, next) {
+    try {
+      const revisions = await PostService.getPostRevisions(req.params.id);
+      res.status(200).json(revisions);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async deletePost(req, res, next) {
+    try {
+      const postId = req.params.id;
       const userId = Number(req.user.sub);
 
       await PostService.deletePost(postId, userId);
       res.status(204).send();
     } catch (err) {
-      res.status(404).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async viewPost(req, res) {
+  static async viewPost(req, res, next) {
     try {
-      const postId = Number(req.params.id);
+      const postId = req.params.id;
       const userId = Number(req.user.sub);
 
       await PostService.viewPost(postId, userId);
       res.status(201).send();
     } catch (err) {
-      res.status(404).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async likePost(req, res) {
+  static async likePost(req, res, next) {
     try {
-      const postId = Number(req.params.id);
+      const postId = req.params.id;
       const userId = Number(req.user.sub);
 
       await PostService.likePost(postId, userId);
       res.status(201).send();
     } catch (err) {
-      res.status(404).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async dislikePost(req, res) {
+  static async dislikePost(req, res, next) {
     try {
-      const postId = Number(req.params.id);
+      const postId = req.params.id;
       const userId = Number(req.user.sub);
 
       await PostService.dislikePost(postId, userId);
       res.status(204).send();
     } catch (err) {
-      res.status(404).json({ message: err.message });
+      next(err);
+    }
+  }
+
+  static async repostPost(req, res, next) {
+    try {
+      const postId = req.params.id;
+      const userId = Number(req.user.sub);
+
+      await PostService.repostPost(postId, userId);
+      res.status(201).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async undoRepost(req, res, next) {
+    try {
+      const postId = req.params.id;
+      const userId = Number(req.user.sub);
+
+      await PostService.undoRepost(postId, userId);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
     }
   }
 }
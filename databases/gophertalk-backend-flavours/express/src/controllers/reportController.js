@@ -0,0 +1,23 @@
+import { ReportService } from "../services/reportService.js";
+
+export class ReportController {
+  static async reportPost(req, res, next) {
+    try {
+      const id = req.params.id;
+      const report = await ReportService.reportPost(Number(req.user.sub), id, req.body);
+      res.status(201).json(report);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async reportUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      const report = await ReportService.reportUser(Number(req.user.sub), id, req.body);
+      res.status(201).json(report);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
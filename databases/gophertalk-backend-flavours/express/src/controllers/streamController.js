@@ -0,0 +1,44 @@
+import { StreamService } from "../services/streamService.js";
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+export class StreamController {
+  static async stream(req, res, next) {
+    let unsubscribe;
+    try {
+      unsubscribe = await StreamService.subscribe(
+        Number(req.user.sub),
+        (event, data) => {
+          res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        // После выхода или блокировки поток закрывается, а переподключиться с тем же токеном уже нельзя
+        { sessionId: req.user.sid, close: () => res.end() }
+      );
+    } catch (err) {
+      return next(err);
+    }
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    // Комментарий раз в 25 секунд не даёт прокси закрыть неактивное соединение
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+    // Поток закрывается, когда истекает access-токен: клиент переподключится с новым
+    const expiry = req.user.exp
+      ? setTimeout(() => res.end(), Math.min(Math.max(req.user.exp * 1000 - Date.now(), 0), MAX_TIMEOUT_MS))
+      : null;
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      unsubscribe().catch((err) => console.error("Stream unsubscribe failed", err));
+    });
+  }
+}
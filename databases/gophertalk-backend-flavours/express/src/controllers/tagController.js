@@ -0,0 +1,35 @@
+import { PostService } from "../services/postService.js";
+import { TagService } from "../services/tagService.js";
+
+export class TagController {
+  static async getTagPosts(req, res, next) {
+    try {
+      const { limit, offset, pagination, before, after } = req.query;
+
+      const filterDTO = {
+        user_id: Number(req.user.sub),
+        tag: req.params.tag,
+        limit,
+        offset,
+        pagination,
+        before,
+        after,
+      };
+
+      const posts = await PostService.getAllPosts(filterDTO);
+      res.status(200).json(posts);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getTrendingTags(req, res, next) {
+    try {
+      const { hours, limit } = req.query;
+      const tags = await TagService.getTrendingTags(Number(req.user.sub), hours, limit);
+      res.status(200).json(tags);
+    } catch (err) {
+      next(err);
+    }
+  }
+}
@@ -1,54 +1,127 @@
 import { UserService } from "../services/userService.js";
 
 export class UserController {
-  static async getAllUsers(req, res) {
+  static async getAllUsers(req, res, next) {
     try {
-      const limit = parseInt(req.query.limit, 10) || 10;
-      const offset = parseInt(req.query.offset, 10) || 0;
-      const users = await UserService.getAllUsers(limit, offset);
+      const { limit, offset, search, sort, created_from, created_to } = req.query;
+      const filterDTO = { limit, offset, search, sort, created_from, created_to };
+      const users = await UserService.getAllUsers(filterDTO);
       res.status(200).json(users);
     } catch (err) {
-      res.status(400).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async getUserById(req, res) {
+  static async getUserById(req, res, next) {
     try {
-      const id = parseInt(req.params.id, 10);
-      if (isNaN(id)) {
-        return res.status(404).json({ message: "Invalid ID" });
-      }
+      const id = req.params.id;
       const user = await UserService.getUserById(id);
       res.status(200).json(user);
     } catch (err) {
-      res.status(404).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async updateUser(req, res) {
+  static async updateUser(req, res, next) {
     try {
-      const id = parseInt(req.params.id, 10);
-      if (isNaN(id)) {
-        return res.status(404).json({ message: "Invalid ID" });
-      }
+      const id = req.params.id;
       const dto = req.body;
       const updatedUser = await UserService.updateUser(id, dto);
       res.status(200).json(updatedUser);
     } catch (err) {
-      res.status(400).json({ message: err.message });
+      next(err);
     }
   }
 
-  static async deleteUserById(req, res) {
+  static async deleteUserById(req, res, next) {
     try {
-      const id = parseInt(req.params.id, 10);
-      if (isNaN(id)) {
-        return res.status(404).json({ message: "Invalid ID" });
-      }
+      const id = req.params.id;
       await UserService.deleteUser(id);
       res.status(204).send();
     } catch (err) {
-      res.status(404).json({ message: err.message });
+      next(err);
+    }
+  }
+
+  static async followUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      await UserService.followUser(Number(req.user.sub), id);
+      res.status(201).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async unfollowUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      await UserService.unfollowUser(Number(req.user.sub), id);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async blockUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      await UserService.blockUser(Number(req.user.sub), id);
+      res.status(201).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async unblockUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      await UserService.unblockUser(Number(req.user.sub), id);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async muteUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      await UserService.muteUser(Number(req.user.sub), id);
+      res.status(201).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async unmuteUser(req, res, next) {
+    try {
+      const id = req.params.id;
+      await UserService.unmuteUser(Number(req.user.sub), id);
+      res.status(204).send();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getFollowers(req, res, next) {
+    try {
+      const id = req.params.id;
+      const { limit, offset } = req.query;
+      const users = await UserService.getFollowers(id, limit, offset);
+      res.status(200).json(users);
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  static async getFollowing(req, res, next) {
+    try {
+      const id = req.params.id;
+      const { limit, offset } = req.query;
+      const users = await UserService.getFollowing(id, limit, offset);
+      res.status(200).json(users);
+    } catch (err) {
+      next(err);
     }
   }
 }
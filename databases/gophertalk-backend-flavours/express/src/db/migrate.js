@@ -0,0 +1,48 @@
+import { pool } from "../config/db.js";
+import { Migrator } from "./migrator.js";
+
+// Использование: node src/db/migrate.js [up | down [шагов] | status]
+const [command = "up", arg] = process.argv.slice(2);
+
+try {
+  switch (command) {
+    case "up": {
+      const applied = await Migrator.migrate();
+      if (applied.length === 0) {
+        console.log("No pending migrations");
+      }
+      for (const { version, name } of applied) {
+        console.log(`Applied ${version}_${name}`);
+      }
+      break;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid number of steps: ${arg}`);
+      }
+      const rolledBack = await Migrator.rollback({ steps });
+      if (rolledBack.length === 0) {
+        console.log("No migrations to roll back");
+      }
+      for (const { version, name } of rolledBack) {
+        console.log(`Rolled back ${version}_${name}`);
+      }
+      break;
+    }
+    case "status": {
+      for (const { version, name, state, applied_at } of await Migrator.status()) {
+        const appliedAt = applied_at ? new Date(applied_at).toISOString() : "";
+        console.log(`${state.padEnd(8)} ${version}_${name} ${appliedAt}`.trimEnd());
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
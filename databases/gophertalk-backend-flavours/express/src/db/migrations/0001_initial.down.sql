@@ -0,0 +1,4 @@
+drop table if exists views;
+drop table if exists likes;
+drop table if exists posts;
+drop table if exists users;
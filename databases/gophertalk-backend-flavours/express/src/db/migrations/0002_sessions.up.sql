@@ -0,0 +1,27 @@
+create table if not exists sessions (
+    id uuid,
+    user_id bigint not null,
+    user_agent text,
+    ip varchar(45),
+    created_at timestamp not null default now(),
+    last_used_at timestamp not null default now(),
+    revoked_at timestamp,
+    constraint pk__sessions primary key(id),
+    constraint fk__sessions__user_id foreign key(user_id) references users(id)
+);
+
+create index idx__sessions__user_id on sessions(user_id) where (revoked_at is null);
+
+create table if not exists refresh_tokens (
+    id uuid,
+    user_id bigint not null,
+    session_id uuid not null,
+    created_at timestamp not null default now(),
+    revoked_at timestamp,
+    replaced_by uuid,
+    constraint pk__refresh_tokens primary key(id),
+    constraint fk__refresh_tokens__user_id foreign key(user_id) references users(id),
+    constraint fk__refresh_tokens__session_id foreign key(session_id) references sessions(id)
+);
+
+create index idx__refresh_tokens__session_id on refresh_tokens(session_id);
@@ -0,0 +1,11 @@
+create table if not exists follows (
+    follower_id bigint,
+    followee_id bigint,
+    created_at timestamp not null default now(),
+    constraint pk__follows primary key (follower_id, followee_id),
+    constraint fk__follows__follower_id foreign key (follower_id) references users(id),
+    constraint fk__follows__followee_id foreign key (followee_id) references users(id),
+    constraint chk__follows__self check (follower_id <> followee_id)
+);
+
+create index idx__follows__followee_id on follows(followee_id);
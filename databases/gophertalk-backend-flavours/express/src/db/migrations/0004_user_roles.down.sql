@@ -0,0 +1,2 @@
+alter table users drop constraint if exists chk__users__role;
+alter table users drop column if exists role;
@@ -0,0 +1,2 @@
+alter table users add column role varchar(16) not null default 'user';
+alter table users add constraint chk__users__role check(role in ('user', 'moderator', 'admin'));
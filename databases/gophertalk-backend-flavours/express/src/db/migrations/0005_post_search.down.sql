@@ -0,0 +1,2 @@
+drop index if exists idx__posts__text_english;
+drop index if exists idx__posts__text_russian;
@@ -0,0 +1,2 @@
+create index idx__posts__text_russian on posts using gin (to_tsvector('russian', text)) where (deleted_at is null);
+create index idx__posts__text_english on posts using gin (to_tsvector('english', text)) where (deleted_at is null);
@@ -0,0 +1,5 @@
+drop index if exists idx__users__last_name_trgm;
+drop index if exists idx__users__first_name_trgm;
+drop index if exists idx__users__user_name_trgm;
+
+-- Расширение pg_trgm не удаляется: им могут пользоваться и другие схемы базы
@@ -0,0 +1,3 @@
+drop table if exists post_revisions;
+
+alter table posts drop column if exists edited_at;
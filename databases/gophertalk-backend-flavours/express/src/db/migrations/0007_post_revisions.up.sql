@@ -0,0 +1,12 @@
+alter table posts add column edited_at timestamp;
+
+create table if not exists post_revisions (
+    id bigserial,
+    post_id bigint not null,
+    text varchar(280) not null,
+    created_at timestamp not null,
+    constraint pk__post_revisions primary key(id),
+    constraint fk__post_revisions__post_id foreign key(post_id) references posts(id)
+);
+
+create index idx__post_revisions__post_id on post_revisions(post_id);
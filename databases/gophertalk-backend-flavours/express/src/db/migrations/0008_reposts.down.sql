@@ -0,0 +1,5 @@
+drop table if exists reposts;
+
+drop index if exists idx__posts__quote_of_id;
+alter table posts drop constraint if exists fk__posts__quote_of_id;
+alter table posts drop column if exists quote_of_id;
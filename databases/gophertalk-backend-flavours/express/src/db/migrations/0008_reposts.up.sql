@@ -0,0 +1,15 @@
+alter table posts add column quote_of_id bigint;
+alter table posts add constraint fk__posts__quote_of_id foreign key(quote_of_id) references posts(id);
+
+create index idx__posts__quote_of_id on posts(quote_of_id) where (quote_of_id is not null);
+
+create table if not exists reposts (
+    user_id bigint,
+    post_id bigint,
+    created_at timestamp not null default now(),
+    constraint pk__reposts primary key (user_id, post_id),
+    constraint fk__reposts__user_id foreign key (user_id) references users(id),
+    constraint fk__reposts__post_id foreign key (post_id) references posts(id)
+);
+
+create index idx__reposts__post_id on reposts(post_id);
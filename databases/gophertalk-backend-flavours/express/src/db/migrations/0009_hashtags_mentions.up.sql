@@ -0,0 +1,26 @@
+create table if not exists hashtags (
+    id bigserial,
+    tag varchar(100) not null,
+    constraint pk__hashtags primary key(id),
+    constraint uk__hashtags__tag unique(tag)
+);
+
+create table if not exists post_hashtags (
+    post_id bigint,
+    hashtag_id bigint,
+    constraint pk__post_hashtags primary key (post_id, hashtag_id),
+    constraint fk__post_hashtags__post_id foreign key (post_id) references posts(id),
+    constraint fk__post_hashtags__hashtag_id foreign key (hashtag_id) references hashtags(id)
+);
+
+create index idx__post_hashtags__hashtag_id on post_hashtags(hashtag_id);
+
+create table if not exists mentions (
+    post_id bigint,
+    user_id bigint,
+    constraint pk__mentions primary key (post_id, user_id),
+    constraint fk__mentions__post_id foreign key (post_id) references posts(id),
+    constraint fk__mentions__user_id foreign key (user_id) references users(id)
+);
+
+create index idx__mentions__user_id on mentions(user_id);
@@ -0,0 +1,18 @@
+create table if not exists notifications (
+    id bigserial,
+    user_id bigint not null,
+    actor_id bigint not null,
+    type varchar(16) not null,
+    post_id bigint,
+    group_key varchar(64),
+    created_at timestamp not null default now(),
+    read_at timestamp,
+    constraint pk__notifications primary key(id),
+    constraint fk__notifications__user_id foreign key(user_id) references users(id),
+    constraint fk__notifications__actor_id foreign key(actor_id) references users(id),
+    constraint fk__notifications__post_id foreign key(post_id) references posts(id),
+    constraint chk__notifications__type check(type in ('like', 'repost', 'reply', 'quote', 'mention', 'follow'))
+);
+
+create index idx__notifications__user_id on notifications(user_id, id);
+create index idx__notifications__group_key on notifications(user_id, group_key) where (group_key is not null);
@@ -0,0 +1,7 @@
+drop trigger if exists trg__notifications__notify_created on notifications;
+drop trigger if exists trg__likes__notify_count on likes;
+drop trigger if exists trg__posts__notify_created on posts;
+
+drop function if exists notify_notification_created();
+drop function if exists notify_post_likes();
+drop function if exists notify_post_created();
@@ -0,0 +1,53 @@
+-- События для потока /api/stream: отправляются через NOTIFY после фиксации транзакции,
+-- поэтому их получают все экземпляры приложения
+create or replace function notify_post_created() returns trigger as $$
+begin
+    perform pg_notify('gophertalk_events', json_build_object(
+        'event', 'post_created',
+        'post_id', new.id,
+        'user_id', new.user_id,
+        'reply_to_id', new.reply_to_id,
+        'quote_of_id', new.quote_of_id
+    )::text);
+    return null;
+end;
+$$ language plpgsql;
+
+create trigger trg__posts__notify_created
+    after insert on posts
+    for each row execute function notify_post_created();
+
+create or replace function notify_post_likes() returns trigger as $$
+declare
+    target_post_id bigint := coalesce(new.post_id, old.post_id);
+begin
+    perform pg_notify('gophertalk_events', json_build_object(
+        'event', 'post_likes',
+        'post_id', target_post_id,
+        'likes_count', (select count(*) from likes where post_id = target_post_id)
+    )::text);
+    return null;
+end;
+$$ language plpgsql;
+
+create trigger trg__likes__notify_count
+    after insert or delete on likes
+    for each row execute function notify_post_likes();
+
+create or replace function notify_notification_created() returns trigger as $$
+begin
+    perform pg_notify('gophertalk_events', json_build_object(
+        'event', 'notification',
+        'recipient_id', new.user_id,
+        'id', new.id,
+        'type', new.type,
+        'actor_id', new.actor_id,
+        'post_id', new.post_id
+    )::text);
+    return null;
+end;
+$$ language plpgsql;
+
+create trigger trg__notifications__notify_created
+    after insert on notifications
+    for each row execute function notify_notification_created();
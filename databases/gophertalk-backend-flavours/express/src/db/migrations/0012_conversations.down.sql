@@ -0,0 +1,4 @@
+drop table if exists messages;
+drop table if exists conversations;
+
+drop function if exists notify_message_created();
@@ -0,0 +1,52 @@
+-- Переписка один на один: пара участников хранится упорядоченной, чтобы на двоих был один диалог
+create table if not exists conversations (
+    id bigserial,
+    user_low_id bigint not null,
+    user_high_id bigint not null,
+    created_at timestamp not null default now(),
+    constraint pk__conversations primary key(id),
+    constraint fk__conversations__user_low_id foreign key(user_low_id) references users(id),
+    constraint fk__conversations__user_high_id foreign key(user_high_id) references users(id),
+    constraint uk__conversations__users unique(user_low_id, user_high_id),
+    constraint chk__conversations__users check (user_low_id < user_high_id)
+);
+
+create index idx__conversations__user_high_id on conversations(user_high_id);
+
+create table if not exists messages (
+    id bigserial,
+    conversation_id bigint not null,
+    sender_id bigint not null,
+    text varchar(1000) not null,
+    created_at timestamp not null default now(),
+    read_at timestamp,
+    constraint pk__messages primary key(id),
+    constraint fk__messages__conversation_id foreign key(conversation_id) references conversations(id),
+    constraint fk__messages__sender_id foreign key(sender_id) references users(id)
+);
+
+create index idx__messages__conversation_id on messages(conversation_id, id);
+create index idx__messages__unread on messages(conversation_id) where (read_at is null);
+
+create or replace function notify_message_created() returns trigger as $$
+begin
+    perform pg_notify('gophertalk_events', json_build_object(
+        'event', 'message',
+        'recipient_id', (
+            select case when c.user_low_id = new.sender_id then c.user_high_id else c.user_low_id end
+            from conversations c
+            where c.id = new.conversation_id
+        ),
+        'id', new.id,
+        'conversation_id', new.conversation_id,
+        'sender_id', new.sender_id,
+        'text', new.text,
+        'created_at', new.created_at
+    )::text);
+    return null;
+end;
+$$ language plpgsql;
+
+create trigger trg__messages__notify_created
+    after insert on messages
+    for each row execute function notify_message_created();
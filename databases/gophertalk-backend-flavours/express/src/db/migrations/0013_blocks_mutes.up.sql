@@ -0,0 +1,23 @@
+-- Заблокированный пользователь не видит посты заблокировавшего, не может отвечать на них и ставить лайки
+create table if not exists blocks (
+    blocker_id bigint,
+    blocked_id bigint,
+    created_at timestamp not null default now(),
+    constraint pk__blocks primary key (blocker_id, blocked_id),
+    constraint fk__blocks__blocker_id foreign key (blocker_id) references users(id),
+    constraint fk__blocks__blocked_id foreign key (blocked_id) references users(id),
+    constraint chk__blocks__self check (blocker_id <> blocked_id)
+);
+
+create index idx__blocks__blocked_id on blocks(blocked_id);
+
+-- Скрытые пользователи просто пропадают из ленты, ничего не узнавая об этом
+create table if not exists mutes (
+    muter_id bigint,
+    muted_id bigint,
+    created_at timestamp not null default now(),
+    constraint pk__mutes primary key (muter_id, muted_id),
+    constraint fk__mutes__muter_id foreign key (muter_id) references users(id),
+    constraint fk__mutes__muted_id foreign key (muted_id) references users(id),
+    constraint chk__mutes__self check (muter_id <> muted_id)
+);
@@ -0,0 +1,2 @@
+drop table if exists report_actions;
+drop table if exists reports;
@@ -0,0 +1,48 @@
+-- Жалоба относится либо к посту, либо к аккаунту
+create table if not exists reports (
+    id bigserial,
+    reporter_id bigint not null,
+    post_id bigint,
+    user_id bigint,
+    reason varchar(32) not null,
+    comment varchar(500),
+    status varchar(16) not null default 'open',
+    created_at timestamp not null default now(),
+    updated_at timestamp not null default now(),
+    resolved_by bigint,
+    resolved_at timestamp,
+    constraint pk__reports primary key(id),
+    constraint fk__reports__reporter_id foreign key(reporter_id) references users(id),
+    constraint fk__reports__post_id foreign key(post_id) references posts(id),
+    constraint fk__reports__user_id foreign key(user_id) references users(id),
+    constraint fk__reports__resolved_by foreign key(resolved_by) references users(id),
+    constraint chk__reports__target check ((post_id is null) <> (user_id is null)),
+    constraint chk__reports__reason check (reason in (
+        'spam', 'harassment', 'hate_speech', 'violence', 'sexual_content', 'misinformation', 'impersonation', 'other'
+    )),
+    constraint chk__reports__status check (status in ('open', 'reviewing', 'actioned', 'dismissed'))
+);
+
+-- Пока жалоба не рассмотрена, повторно пожаловаться на то же нельзя
+create unique index uk__reports__open_post on reports(reporter_id, post_id)
+    where (post_id is not null and status in ('open', 'reviewing'));
+create unique index uk__reports__open_user on reports(reporter_id, user_id)
+    where (user_id is not null and status in ('open', 'reviewing'));
+create index idx__reports__status on reports(status, id);
+create index idx__reports__post_id on reports(post_id) where (post_id is not null);
+
+-- Журнал действий модераторов: каждая смена статуса жалобы
+create table if not exists report_actions (
+    id bigserial,
+    report_id bigint not null,
+    moderator_id bigint not null,
+    from_status varchar(16) not null,
+    to_status varchar(16) not null,
+    note varchar(500),
+    created_at timestamp not null default now(),
+    constraint pk__report_actions primary key(id),
+    constraint fk__report_actions__report_id foreign key(report_id) references reports(id),
+    constraint fk__report_actions__moderator_id foreign key(moderator_id) references users(id)
+);
+
+create index idx__report_actions__report_id on report_actions(report_id);
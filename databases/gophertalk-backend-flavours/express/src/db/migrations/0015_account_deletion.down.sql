@@ -0,0 +1,3 @@
+drop index if exists idx__users__pending_purge;
+
+alter table users drop column if exists purged_at;
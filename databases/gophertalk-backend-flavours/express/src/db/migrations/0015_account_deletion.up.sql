@@ -0,0 +1,5 @@
+-- Удалённый аккаунт можно восстановить в течение срока хранения; после него персональные
+-- данные стираются, а обезличенная запись остаётся, чтобы не ломать ссылки на пользователя
+alter table users add column purged_at timestamp;
+
+create index idx__users__pending_purge on users(deleted_at) where (deleted_at is not null and purged_at is null);
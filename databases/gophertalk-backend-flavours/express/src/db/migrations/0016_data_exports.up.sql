@@ -0,0 +1,20 @@
+-- Выгрузка персональных данных пользователя. Большие выгрузки собираются фоновой задачей,
+-- готовый архив хранится здесь до expires_at
+create table if not exists data_exports (
+    id bigserial,
+    user_id bigint not null,
+    status varchar(16) not null default 'pending',
+    error varchar(500),
+    archive bytea,
+    created_at timestamp not null default now(),
+    started_at timestamp,
+    completed_at timestamp,
+    expires_at timestamp,
+    constraint pk__data_exports primary key(id),
+    constraint fk__data_exports__user_id foreign key(user_id) references users(id),
+    constraint chk__data_exports__status check (status in ('pending', 'running', 'completed', 'failed', 'expired'))
+);
+
+-- У пользователя одновременно собирается не больше одной выгрузки
+create unique index uk__data_exports__active on data_exports(user_id) where (status in ('pending', 'running'));
+create index idx__data_exports__pending on data_exports(id) where (status = 'pending');
@@ -0,0 +1,30 @@
+create or replace function notify_post_likes() returns trigger as $$
+declare
+    target_post_id bigint := coalesce(new.post_id, old.post_id);
+begin
+    perform pg_notify('gophertalk_events', json_build_object(
+        'event', 'post_likes',
+        'post_id', target_post_id,
+        'likes_count', (select count(*) from likes where post_id = target_post_id)
+    )::text);
+    return null;
+end;
+$$ language plpgsql;
+
+drop trigger if exists trg__post_revisions__count_stats on post_revisions;
+drop trigger if exists trg__reposts__count_stats on reposts;
+drop trigger if exists trg__views__count_stats on views;
+drop trigger if exists trg__likes__count_stats on likes;
+drop trigger if exists trg__posts__count_quotes on posts;
+drop trigger if exists trg__posts__count_replies on posts;
+drop trigger if exists trg__posts__create_stats on posts;
+
+drop function if exists create_post_stats();
+drop function if exists count_post_stats();
+drop function if exists adjust_post_stats(bigint, text, integer);
+
+drop index if exists idx__posts__reply_to_id;
+drop index if exists idx__views__post_id;
+drop index if exists idx__likes__post_id;
+
+drop table if exists post_stats;
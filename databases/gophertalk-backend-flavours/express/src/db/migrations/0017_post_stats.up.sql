@@ -0,0 +1,105 @@
+-- Счётчики поста хранятся отдельно и поддерживаются триггерами, чтобы лента не пересчитывала
+-- COUNT(*) по всем лайкам и просмотрам. Расхождения исправляет npm run stats:reconcile
+create table if not exists post_stats (
+    post_id bigint,
+    likes_count bigint not null default 0,
+    views_count bigint not null default 0,
+    replies_count bigint not null default 0,
+    reposts_count bigint not null default 0,
+    quotes_count bigint not null default 0,
+    revisions_count bigint not null default 0,
+    constraint pk__post_stats primary key(post_id),
+    constraint fk__post_stats__post_id foreign key(post_id) references posts(id)
+);
+
+-- Индексы для пересчёта счётчиков по посту
+create index if not exists idx__likes__post_id on likes(post_id);
+create index if not exists idx__views__post_id on views(post_id);
+create index if not exists idx__posts__reply_to_id on posts(reply_to_id) where (reply_to_id is not null);
+
+create or replace function adjust_post_stats(target_post_id bigint, counter text, delta integer) returns void as $$
+begin
+    execute format(
+        'insert into post_stats (post_id, %1$I) values ($1, greatest($2, 0))
+         on conflict (post_id) do update set %1$I = post_stats.%1$I + $2',
+        counter
+    ) using target_post_id, delta;
+end;
+$$ language plpgsql;
+
+-- Аргументы триггера: имя счётчика и столбец строки со ссылкой на пост
+create or replace function count_post_stats() returns trigger as $$
+declare
+    counter text := tg_argv[0];
+    post_column text := tg_argv[1];
+begin
+    if tg_op = 'INSERT' and to_jsonb(new) ->> post_column is not null then
+        perform adjust_post_stats((to_jsonb(new) ->> post_column)::bigint, counter, 1);
+    elsif tg_op = 'DELETE' and to_jsonb(old) ->> post_column is not null then
+        perform adjust_post_stats((to_jsonb(old) ->> post_column)::bigint, counter, -1);
+    end if;
+    return null;
+end;
+$$ language plpgsql;
+
+create or replace function create_post_stats() returns trigger as $$
+begin
+    insert into post_stats (post_id) values (new.id) on conflict (post_id) do nothing;
+    return null;
+end;
+$$ language plpgsql;
+
+create trigger trg__posts__create_stats
+    after insert on posts
+    for each row execute function create_post_stats();
+
+create trigger trg__posts__count_replies
+    after insert or delete on posts
+    for each row execute function count_post_stats('replies_count', 'reply_to_id');
+
+create trigger trg__posts__count_quotes
+    after insert or delete on posts
+    for each row execute function count_post_stats('quotes_count', 'quote_of_id');
+
+-- Имя триггера подобрано так, чтобы счётчик обновлялся раньше trg__likes__notify_count
+create trigger trg__likes__count_stats
+    after insert or delete on likes
+    for each row execute function count_post_stats('likes_count', 'post_id');
+
+create trigger trg__views__count_stats
+    after insert or delete on views
+    for each row execute function count_post_stats('views_count', 'post_id');
+
+create trigger trg__reposts__count_stats
+    after insert or delete on reposts
+    for each row execute function count_post_stats('reposts_count', 'post_id');
+
+create trigger trg__post_revisions__count_stats
+    after insert or delete on post_revisions
+    for each row execute function count_post_stats('revisions_count', 'post_id');
+
+-- Событие об изменении лайков берёт готовый счётчик
+create or replace function notify_post_likes() returns trigger as $$
+declare
+    target_post_id bigint := coalesce(new.post_id, old.post_id);
+begin
+    perform pg_notify('gophertalk_events', json_build_object(
+        'event', 'post_likes',
+        'post_id', target_post_id,
+        'likes_count', coalesce((select likes_count from post_stats where post_id = target_post_id), 0)
+    )::text);
+    return null;
+end;
+$$ language plpgsql;
+
+insert into post_stats (post_id, likes_count, views_count, replies_count, reposts_count, quotes_count, revisions_count)
+select
+    p.id,
+    (select count(*) from likes where post_id = p.id),
+    (select count(*) from views where post_id = p.id),
+    (select count(*) from posts where reply_to_id = p.id),
+    (select count(*) from reposts where post_id = p.id),
+    (select count(*) from posts where quote_of_id = p.id),
+    (select count(*) from post_revisions where post_id = p.id)
+from posts p
+on conflict (post_id) do nothing;
@@ -0,0 +1,3 @@
+drop trigger if exists trg__sessions__notify_revoked on sessions;
+
+drop function if exists notify_session_revoked();
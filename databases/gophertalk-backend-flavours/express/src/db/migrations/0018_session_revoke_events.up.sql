@@ -0,0 +1,18 @@
+-- Отзыв сессии (выход, блокировка, удаление аккаунта) закрывает её открытые потоки /api/stream.
+-- Событие служебное: клиентам оно не пересылается
+create or replace function notify_session_revoked() returns trigger as $$
+begin
+    perform pg_notify('gophertalk_events', json_build_object(
+        'event', 'session_revoked',
+        'session_id', new.id,
+        'user_id', new.user_id
+    )::text);
+    return null;
+end;
+$$ language plpgsql;
+
+create trigger trg__sessions__notify_revoked
+    after update of revoked_at on sessions
+    for each row
+    when (old.revoked_at is null and new.revoked_at is not null)
+    execute function notify_session_revoked();
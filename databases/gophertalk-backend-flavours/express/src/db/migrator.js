@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { pool } from "../config/db.js";
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+
+// Постоянный ключ рекомендательной блокировки: одновременно запущенные экземпляры
+// приложения применяют миграции по очереди
+const MIGRATIONS_LOCK_KEY = 4210921;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// Миграция — пара файлов NNNN_name.up.sql и NNNN_name.down.sql; down необязателен
+async function loadMigrations(dir) {
+  const migrations = new Map();
+  for (const file of (await fs.readdir(dir)).sort()) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) ?? { version, name, up: null, down: null };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = await fs.readFile(path.join(dir, file), "utf8");
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()].map((migration) => {
+    if (migration.up === null) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+    }
+    return { ...migration, checksum: checksum(migration.up) };
+  });
+}
+
+async function getApplied(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version varchar(32) PRIMARY KEY,
+      name varchar(255) NOT NULL,
+      checksum char(64) NOT NULL,
+      applied_at timestamp NOT NULL DEFAULT NOW()
+    );
+  `);
+  const res = await client.query(`SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version;`);
+  return res.rows;
+}
+
+// Уже применённые миграции нельзя менять или удалять: иначе схема разойдётся с файлами
+function verify(migrations, applied) {
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+  for (const row of applied) {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Applied migration ${row.version}_${row.name} is missing`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Checksum mismatch for applied migration ${row.version}_${row.name}`);
+    }
+  }
+}
+
+async function withLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATIONS_LOCK_KEY]);
+    try {
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [MIGRATIONS_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Каждая миграция выполняется в своей транзакции вместе с записью в schema_migrations
+async function runInTransaction(client, migration, sql, record) {
+  await client.query("BEGIN");
+  try {
+    await client.query(sql);
+    await client.query(record.query, record.params);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw new Error(`Migration ${migration.version}_${migration.name} failed: ${err.message}`, { cause: err });
+  }
+}
+
+export const Migrator = {
+  // Применяет все неприменённые миграции, возвращает их список
+  async migrate({ dir = MIGRATIONS_DIR } = {}) {
+    const migrations = await loadMigrations(dir);
+
+    return await withLock(async (client) => {
+      const applied = await getApplied(client);
+      verify(migrations, applied);
+
+      const appliedVersions = new Set(applied.map((row) => row.version));
+      const pending = migrations.filter((migration) => !appliedVersions.has(migration.version));
+      for (const migration of pending) {
+        await runInTransaction(client, migration, migration.up, {
+          query: `INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3);`,
+          params: [migration.version, migration.name, migration.checksum],
+        });
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  },
+
+  // Откатывает steps последних применённых миграций, возвращает их список
+  async rollback({ dir = MIGRATIONS_DIR, steps = 1 } = {}) {
+    const migrations = await loadMigrations(dir);
+
+    return await withLock(async (client) => {
+      const applied = await getApplied(client);
+      verify(migrations, applied);
+
+      const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+      const rolledBack = applied.slice(-steps).reverse().map((row) => byVersion.get(row.version));
+      for (const migration of rolledBack) {
+        if (migration.down === null) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no down file`);
+        }
+        await runInTransaction(client, migration, migration.down, {
+          query: `DELETE FROM schema_migrations WHERE version = $1;`,
+          params: [migration.version],
+        });
+      }
+      return rolledBack.map(({ version, name }) => ({ version, name }));
+    });
+  },
+
+  // Состояние каждой миграции: applied, pending, changed (файл изменён после применения) или missing
+  async status({ dir = MIGRATIONS_DIR } = {}) {
+    const migrations = await loadMigrations(dir);
+
+    return await withLock(async (client) => {
+      const applied = new Map((await getApplied(client)).map((row) => [row.version, row]));
+
+      const result = migrations.map((migration) => {
+        const row = applied.get(migration.version);
+        let state = "pending";
+        if (row) {
+          state = row.checksum === migration.checksum ? "applied" : "changed";
+        }
+        return { version: migration.version, name: migration.name, state, applied_at: row?.applied_at ?? null };
+      });
+
+      const known = new Set(migrations.map((migration) => migration.version));
+      for (const row of applied.values()) {
+        if (!known.has(row.version)) {
+          result.push({ version: row.version, name: row.name, state: "missing", applied_at: row.applied_at });
+        }
+      }
+      return result.sort((a, b) => a.version.localeCompare(b.version));
+    });
+  },
+};
@@ -0,0 +1,13 @@
+import { pool } from "../config/db.js";
+import { ExportService } from "../services/exportService.js";
+
+// Подбирает выгрузки, оставшиеся в очереди, и удаляет просроченные архивы: npm run exports:process
+try {
+  const processed = await ExportService.processPendingExports();
+  console.log(`Processed ${processed} data exports`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -0,0 +1,13 @@
+import { pool } from "../config/db.js";
+import { UserService } from "../services/userService.js";
+
+// Запускается по расписанию, например раз в сутки из cron: npm run purge:users
+try {
+  const purged = await UserService.purgeDeletedUsers();
+  console.log(`Purged ${purged} deleted accounts`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
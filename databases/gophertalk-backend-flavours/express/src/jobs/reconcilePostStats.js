@@ -0,0 +1,14 @@
+import { pool } from "../config/db.js";
+import { PostService } from "../services/postService.js";
+
+// Исправляет счётчики постов, разошедшиеся с данными (например, после ручных правок в базе):
+// npm run stats:reconcile
+try {
+  const fixed = await PostService.reconcilePostStats();
+  console.log(`Fixed ${fixed} post stats`);
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  await pool.end();
+}
@@ -1,33 +1,80 @@
 import jwt from "jsonwebtoken";
+import { SessionRepository } from "../repositories/sessionRepository.js";
+import { ForbiddenError, UnauthorizedError } from "../utils/errors.js";
+
+function bearerToken(req) {
+  const authHeader = req.headers["authorization"];
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return null;
+  }
+  return authHeader.substring(7);
+}
+
+async function verifyRequest(req, secret, token = bearerToken(req)) {
+  if (!token) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, secret);
+  } catch (err) {
+    return null;
+  }
+
+  // Токен действителен только пока жива сессия, в которой он выдан
+  if (!claims.sid) {
+    return null;
+  }
+  const role = await SessionRepository.touchSession(claims.sid, claims.sub);
+  if (!role) {
+    return null;
+  }
+  // Роль берётся из базы: после понижения роли старый токен не сохраняет прав
+  return { ...claims, role };
+}
 
 export function requestAuth(secret) {
-  return function (req, res, next) {
-    const authHeader = req.headers["authorization"];
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.sendStatus(401);
+  return async function (req, res, next) {
+    try {
+      const claims = await verifyRequest(req, secret);
+      if (!claims) {
+        return next(new UnauthorizedError());
+      }
+      req.user = claims;
+      next();
+    } catch (err) {
+      next(err);
     }
+  };
+}
 
-    const token = authHeader.substring(7);
+// EventSource в браузере не умеет передавать заголовки, поэтому для потока событий
+// токен можно передать в параметре access_token
+export function requestStreamAuth(secret) {
+  return async function (req, res, next) {
     try {
-      const claims = jwt.verify(token, secret);
+      const token = bearerToken(req) ?? req.query.access_token;
+      const claims = await verifyRequest(req, secret, typeof token === "string" ? token : null);
+      if (!claims) {
+        return next(new UnauthorizedError());
+      }
       req.user = claims;
       next();
     } catch (err) {
-      return res.sendStatus(401);
+      next(err);
     }
   };
 }
 
 export function requestAuthSameId(secret) {
-  return function (req, res, next) {
-    const authHeader = req.headers["authorization"];
-    if (!authHeader || !authHeader.startsWith("Bearer ")) {
-      return res.sendStatus(401);
-    }
-
-    const token = authHeader.substring(7);
+  return async function (req, res, next) {
     try {
-      const claims = jwt.verify(token, secret);
+      const claims = await verifyRequest(req, secret);
+      if (!claims) {
+        return next(new UnauthorizedError());
+      }
+
       const paramId = req.params.id;
 
       if (!paramId || isNaN(paramId)) {
@@ -35,13 +82,22 @@ export function requestAuthSameId(secret) {
       }
 
       if (paramId !== claims.sub) {
-        return res.sendStatus(401);
+        return next(new ForbiddenError("Access to another user's resource is denied"));
       }
 
       req.user = claims;
       next();
     } catch (err) {
-      return res.sendStatus(401);
+      next(err);
+    }
+  };
+}
+
+export function requireRole(...roles) {
+  return function (req, res, next) {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(new ForbiddenError("Insufficient role"));
     }
+    next();
   };
 }
@@ -0,0 +1,15 @@
+import { ConversationRepository } from "../repositories/conversationRepository.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+// Ставится после requestAuth и проверки параметров: к диалогу :id имеют доступ только его участники
+export async function requireConversationParticipant(req, res, next) {
+  try {
+    const participants = await ConversationRepository.getParticipants(req.params.id);
+    if (!participants.includes(Number(req.user.sub))) {
+      return next(new ForbiddenError("Access to conversation is denied", "NOT_CONVERSATION_PARTICIPANT"));
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
@@ -0,0 +1,29 @@
+import { AppError, NotFoundError, mapDbError } from "../utils/errors.js";
+
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError("Route not found", "ROUTE_NOT_FOUND"));
+}
+
+// Единая точка формирования ответа об ошибке: { code, message } и errors для ошибок валидации
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = mapDbError(err);
+  if (error instanceof AppError) {
+    const body = { code: error.code, message: error.message };
+    if (error.errors) {
+      body.errors = error.errors;
+    }
+    return res.status(error.status).json(body);
+  }
+
+  // Тело запроса не удалось разобрать как JSON
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ code: "MALFORMED_JSON", message: "Malformed JSON body" });
+  }
+
+  console.error(err);
+  res.status(500).json({ code: "INTERNAL_ERROR", message: "Internal server error" });
+}
@@ -1,13 +1,22 @@
-export const validate = (schema) => (req, res, next) => {
-  try {
-    schema.parse(req.body);
+import { ValidationError } from "../utils/errors.js";
+
+// source — часть запроса для проверки: body, query или params.
+// Результат разбора (с приведением типов и значениями по умолчанию) заменяет исходные данные
+export const validate =
+  (schema, source = "body") =>
+  (req, res, next) => {
+    const result = schema.safeParse(req[source]);
+    if (!result.success) {
+      return next(
+        new ValidationError(
+          "Validation failed",
+          result.error.errors.map((e) => ({
+            path: e.path.join("."),
+            message: e.message,
+          }))
+        )
+      );
+    }
+    req[source] = result.data;
     next();
-  } catch (err) {
-    return res.status(422).json({
-      errors: err.errors.map((e) => ({
-        path: e.path.join("."),
-        message: e.message,
-      })),
-    });
-  }
-};
+  };
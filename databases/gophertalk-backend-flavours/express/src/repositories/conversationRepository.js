@@ -0,0 +1,155 @@
+import { db } from "../config/db.js";
+import { NotFoundError } from "../utils/errors.js";
+
+// Диалог глазами пользователя $1: собеседник, последнее сообщение и число непрочитанных.
+// Диалоги с удалёнными аккаунтами скрыты, как и их посты
+const CONVERSATIONS_QUERY = `
+  SELECT
+    c.id, c.created_at,
+    u.id AS participant_id, u.user_name, u.first_name, u.last_name,
+    lm.id AS last_message_id,
+    lm.sender_id AS last_message_sender_id,
+    lm.text AS last_message_text,
+    lm.created_at AS last_message_created_at,
+    lm.read_at AS last_message_read_at,
+    (
+      SELECT COUNT(*) FROM messages m
+      WHERE m.conversation_id = c.id AND m.sender_id <> $1 AND m.read_at IS NULL
+    ) AS unread_count
+  FROM conversations c
+  JOIN users u ON u.id = CASE WHEN c.user_low_id = $1 THEN c.user_high_id ELSE c.user_low_id END
+  LEFT JOIN LATERAL (
+    SELECT m.id, m.sender_id, m.text, m.created_at, m.read_at
+    FROM messages m
+    WHERE m.conversation_id = c.id
+    ORDER BY m.id DESC
+    LIMIT 1
+  ) lm ON TRUE
+  WHERE (c.user_low_id = $1 OR c.user_high_id = $1) AND u.deleted_at IS NULL
+`;
+
+function mapConversation(row) {
+  return {
+    id: row.id,
+    created_at: row.created_at,
+    participant: {
+      id: row.participant_id,
+      user_name: row.user_name,
+      first_name: row.first_name,
+      last_name: row.last_name,
+    },
+    last_message: row.last_message_id
+      ? {
+          id: row.last_message_id,
+          sender_id: row.last_message_sender_id,
+          text: row.last_message_text,
+          created_at: row.last_message_created_at,
+          read_at: row.last_message_read_at,
+        }
+      : null,
+    unread_count: Number(row.unread_count),
+  };
+}
+
+export const ConversationRepository = {
+  // Возвращает существующий диалог пары или создаёт новый; created — был ли он создан сейчас
+  async getOrCreateConversation(userId, participantId) {
+    const query = `
+      INSERT INTO conversations (user_low_id, user_high_id)
+      SELECT LEAST($1::bigint, u.id), GREATEST($1::bigint, u.id)
+      FROM users u
+      WHERE u.id = $2 AND u.deleted_at IS NULL
+      ON CONFLICT (user_low_id, user_high_id) DO UPDATE SET user_low_id = EXCLUDED.user_low_id
+      RETURNING id, (xmax = 0) AS created;
+    `;
+    const res = await db.query(query, [userId, participantId]);
+    if (res.rows.length === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  async getConversations(userId, limit, offset) {
+    const query = `
+      ${CONVERSATIONS_QUERY}
+      ORDER BY COALESCE(lm.created_at, c.created_at) DESC, c.id DESC
+      OFFSET $2 LIMIT $3;
+    `;
+    const res = await db.query(query, [userId, offset, limit]);
+    return res.rows.map(mapConversation);
+  },
+
+  async getConversationById(id, userId) {
+    const query = `${CONVERSATIONS_QUERY} AND c.id = $2;`;
+    const res = await db.query(query, [userId, id]);
+    if (res.rows.length === 0) {
+      throw new NotFoundError("Conversation not found", "CONVERSATION_NOT_FOUND");
+    }
+    return mapConversation(res.rows[0]);
+  },
+
+  // Диалог с удалённым пользователем скрыт из списка, поэтому и здесь считается ненайденным:
+  // ни читать его, ни отправлять в него сообщения нельзя
+  async getParticipants(id) {
+    const query = `
+      SELECT c.id, c.user_low_id, c.user_high_id
+      FROM conversations c
+      JOIN users l ON l.id = c.user_low_id AND l.deleted_at IS NULL
+      JOIN users h ON h.id = c.user_high_id AND h.deleted_at IS NULL
+      WHERE c.id = $1;
+    `;
+    const res = await db.query(query, [id]);
+    if (res.rows.length === 0) {
+      throw new NotFoundError("Conversation not found", "CONVERSATION_NOT_FOUND");
+    }
+    const row = res.rows[0];
+    return [Number(row.user_low_id), Number(row.user_high_id)];
+  },
+
+  async getMessages(conversationId, limit, cursorId) {
+    const params = [conversationId];
+    let query = `
+      SELECT m.id, m.conversation_id, m.sender_id, m.text, m.created_at, m.read_at
+      FROM messages m
+      JOIN users u ON u.id = m.sender_id
+      WHERE m.conversation_id = $1 AND u.deleted_at IS NULL
+    `;
+
+    if (cursorId) {
+      params.push(cursorId);
+      query += ` AND m.id < $${params.length}`;
+    }
+    params.push(limit);
+    query += ` ORDER BY m.id DESC LIMIT $${params.length}`;
+
+    const res = await db.query(query, params);
+    return res.rows;
+  },
+
+  async createMessage(conversationId, senderId, text) {
+    const query = `
+      INSERT INTO messages (conversation_id, sender_id, text)
+      VALUES ($1, $2, $3)
+      RETURNING id, conversation_id, sender_id, text, created_at, read_at;
+    `;
+    const res = await db.query(query, [conversationId, senderId, text]);
+    return res.rows[0];
+  },
+
+  // Отмечает прочитанными входящие сообщения; без upToId — все
+  async markRead(conversationId, readerId, upToId = null) {
+    const params = [conversationId, readerId];
+    let query = `
+      UPDATE messages SET read_at = NOW()
+      WHERE conversation_id = $1 AND sender_id <> $2 AND read_at IS NULL
+    `;
+
+    if (upToId) {
+      params.push(upToId);
+      query += ` AND id <= $${params.length}`;
+    }
+
+    const res = await db.query(query, params);
+    return res.rowCount;
+  },
+};
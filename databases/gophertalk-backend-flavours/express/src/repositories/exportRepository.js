@@ -0,0 +1,169 @@
+import { db } from "../config/db.js";
+import { NotFoundError } from "../utils/errors.js";
+
+const EXPORT_COLUMNS = `id, user_id, status, error, created_at, started_at, completed_at, expires_at`;
+
+// Разделы выгрузки: запрос получает id пользователя, посты включают удалённые
+const USER_DATA_QUERIES = {
+  posts: `
+    SELECT id, text, reply_to_id, quote_of_id, created_at, edited_at, deleted_at
+    FROM posts WHERE user_id = $1 ORDER BY id;
+  `,
+  post_revisions: `
+    SELECT r.post_id, r.text, r.created_at
+    FROM post_revisions r
+    JOIN posts p ON p.id = r.post_id
+    WHERE p.user_id = $1 ORDER BY r.id;
+  `,
+  likes: `SELECT post_id, created_at FROM likes WHERE user_id = $1 ORDER BY created_at, post_id;`,
+  views: `SELECT post_id, created_at FROM views WHERE user_id = $1 ORDER BY created_at, post_id;`,
+  reposts: `SELECT post_id, created_at FROM reposts WHERE user_id = $1 ORDER BY created_at, post_id;`,
+  following: `
+    SELECT f.followee_id AS user_id, u.user_name, f.created_at
+    FROM follows f
+    JOIN users u ON u.id = f.followee_id
+    WHERE f.follower_id = $1 ORDER BY f.created_at, f.followee_id;
+  `,
+  followers: `
+    SELECT f.follower_id AS user_id, u.user_name, f.created_at
+    FROM follows f
+    JOIN users u ON u.id = f.follower_id
+    WHERE f.followee_id = $1 ORDER BY f.created_at, f.follower_id;
+  `,
+  messages: `
+    SELECT m.id, m.conversation_id, m.sender_id, m.text, m.created_at, m.read_at
+    FROM messages m
+    JOIN conversations c ON c.id = m.conversation_id
+    WHERE c.user_low_id = $1 OR c.user_high_id = $1
+    ORDER BY m.id;
+  `,
+};
+
+export const ExportRepository = {
+  // Примерный объём выгрузки в строках, чтобы решить, собирать её сразу или в фоне
+  async countUserData(userId) {
+    const query = `
+      SELECT
+        (SELECT COUNT(*) FROM posts WHERE user_id = $1)
+        + (SELECT COUNT(*) FROM likes WHERE user_id = $1)
+        + (SELECT COUNT(*) FROM views WHERE user_id = $1)
+        + (SELECT COUNT(*) FROM reposts WHERE user_id = $1)
+        + (SELECT COUNT(*) FROM follows WHERE follower_id = $1 OR followee_id = $1)
+        + (
+          SELECT COUNT(*) FROM messages m
+          JOIN conversations c ON c.id = m.conversation_id
+          WHERE c.user_low_id = $1 OR c.user_high_id = $1
+        ) AS rows_count;
+    `;
+    const res = await db.query(query, [userId]);
+    return Number(res.rows[0].rows_count);
+  },
+
+  // Все разделы читаются из одного снимка базы; вызывается внутри транзакции
+  async getUserData(userId) {
+    await db.query(`SET TRANSACTION ISOLATION LEVEL REPEATABLE READ READ ONLY;`);
+
+    const profileQuery = `
+      SELECT id, user_name, first_name, last_name, role, created_at, updated_at
+      FROM users
+      WHERE id = $1 AND deleted_at IS NULL;
+    `;
+    const profile = await db.query(profileQuery, [userId]);
+    if (profile.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+
+    const data = { profile: profile.rows[0] };
+    for (const [section, query] of Object.entries(USER_DATA_QUERIES)) {
+      const res = await db.query(query, [userId]);
+      data[section] = res.rows;
+    }
+    return data;
+  },
+
+  // Возвращает уже собираемую выгрузку пользователя или ставит новую в очередь
+  async createExport(userId) {
+    const query = `
+      INSERT INTO data_exports (user_id)
+      VALUES ($1)
+      ON CONFLICT (user_id) WHERE status IN ('pending', 'running')
+      DO UPDATE SET user_id = EXCLUDED.user_id
+      RETURNING ${EXPORT_COLUMNS};
+    `;
+    const res = await db.query(query, [userId]);
+    return res.rows[0];
+  },
+
+  async getExport(id, userId) {
+    const query = `
+      SELECT ${EXPORT_COLUMNS}
+      FROM data_exports
+      WHERE id = $1 AND user_id = $2;
+    `;
+    const res = await db.query(query, [id, userId]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Export not found", "EXPORT_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  async getExportArchive(id, userId) {
+    const query = `
+      SELECT archive
+      FROM data_exports
+      WHERE id = $1 AND user_id = $2 AND status = 'completed' AND expires_at > NOW();
+    `;
+    const res = await db.query(query, [id, userId]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Export archive not found", "EXPORT_NOT_READY");
+    }
+    return res.rows[0].archive;
+  },
+
+  // Забирает следующую задачу из очереди. Задачи, зависшие в running дольше staleSeconds
+  // (например, после падения процесса), берутся повторно
+  async claimExport(staleSeconds) {
+    const query = `
+      UPDATE data_exports SET status = 'running', started_at = NOW()
+      WHERE id = (
+        SELECT id FROM data_exports
+        WHERE status = 'pending'
+          OR (status = 'running' AND started_at < NOW() - make_interval(secs => $1))
+        ORDER BY id
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING id, user_id;
+    `;
+    const res = await db.query(query, [staleSeconds]);
+    return res.rows[0] ?? null;
+  },
+
+  async completeExport(id, archive, ttlSeconds) {
+    const query = `
+      UPDATE data_exports
+      SET status = 'completed', archive = $2, completed_at = NOW(), expires_at = NOW() + make_interval(secs => $3)
+      WHERE id = $1;
+    `;
+    await db.query(query, [id, archive, ttlSeconds]);
+  },
+
+  async failExport(id, error) {
+    const query = `
+      UPDATE data_exports
+      SET status = 'failed', error = $2, completed_at = NOW()
+      WHERE id = $1;
+    `;
+    await db.query(query, [id, error.slice(0, 500)]);
+  },
+
+  // Просроченные архивы удаляются, сама запись остаётся для истории
+  async expireExports() {
+    const query = `
+      UPDATE data_exports SET status = 'expired', archive = NULL
+      WHERE status = 'completed' AND expires_at <= NOW();
+    `;
+    const res = await db.query(query);
+    return res.rowCount;
+  },
+};
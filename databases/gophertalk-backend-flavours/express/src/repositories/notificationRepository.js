@@ -0,0 +1,136 @@
+import { db } from "../config/db.js";
+import { visibleAuthorCondition } from "../utils/visibility.js";
+
+// Уведомления этих типов об одном посте за один день объединяются в группу:
+// «X и ещё 4 пользователя оценили ваш пост»
+const GROUPED_TYPES = ["like", "repost", "follow"];
+
+function groupKey(type, postId) {
+  if (!GROUPED_TYPES.includes(type)) {
+    return null;
+  }
+  const day = new Date().toISOString().slice(0, 10);
+  return `${type}:${postId ?? ""}:${day}`;
+}
+
+export const NotificationRepository = {
+  // Получатель — автор поста targetPostId; себя автор не уведомляет.
+  // Как и в лентах, действия заблокированных и скрытых получателем пользователей не показываются
+  async createForPostAuthor(type, actorId, targetPostId, postId = targetPostId) {
+    const query = `
+      INSERT INTO notifications (user_id, actor_id, type, post_id, group_key)
+      SELECT p.user_id, $1, $2, $4, $5
+      FROM posts p
+      WHERE p.id = $3 AND p.deleted_at IS NULL AND p.user_id <> $1
+        AND ${visibleAuthorCondition("$1", "p.user_id")};
+    `;
+    await db.query(query, [actorId, type, targetPostId, postId, groupKey(type, postId)]);
+  },
+
+  async createForUsers(type, actorId, userIds, postId = null) {
+    const query = `
+      INSERT INTO notifications (user_id, actor_id, type, post_id, group_key)
+      SELECT recipient_id, $1, $2, $4, $5
+      FROM unnest($3::bigint[]) AS recipient_id
+      WHERE recipient_id <> $1 AND ${visibleAuthorCondition("$1", "recipient_id")};
+    `;
+    await db.query(query, [actorId, type, userIds, postId, groupKey(type, postId)]);
+  },
+
+  // Ключ группы — id её первого уведомления: он не меняется, когда в группу
+  // попадают новые уведомления, поэтому курсор не пропускает и не повторяет группы.
+  // Сначала по индексу выбираются первые уведомления страницы, и только их группы агрегируются
+  async getNotifications(userId, limit, cursorId) {
+    const params = [userId];
+    let cursorCondition = "";
+    if (cursorId) {
+      params.push(cursorId);
+      cursorCondition = ` AND n.id < $${params.length}`;
+    }
+    params.push(limit);
+
+    const query = `
+      WITH heads AS (
+        SELECT n.id, n.group_key
+        FROM notifications n
+        WHERE n.user_id = $1${cursorCondition}
+          AND (n.group_key IS NULL OR NOT EXISTS (
+            SELECT 1 FROM notifications e
+            WHERE e.user_id = n.user_id AND e.group_key = n.group_key AND e.id < n.id
+          ))
+          AND EXISTS (
+            SELECT 1 FROM notifications m
+            JOIN users a ON a.id = m.actor_id
+            WHERE a.deleted_at IS NULL
+              AND (m.id = n.id OR (m.user_id = n.user_id AND m.group_key = n.group_key))
+          )
+        ORDER BY n.id DESC
+        LIMIT $${params.length}
+      ),
+      groups AS (
+        SELECT
+          h.id,
+          MIN(n.type) AS type,
+          MAX(n.post_id) AS post_id,
+          MAX(n.created_at) AS created_at,
+          BOOL_AND(n.read_at IS NOT NULL) AS read,
+          COUNT(DISTINCT n.actor_id) AS actors_count,
+          (ARRAY_AGG(n.actor_id ORDER BY n.id DESC))[1:3] AS actor_ids
+        FROM heads h
+        JOIN notifications n ON n.user_id = $1 AND (n.id = h.id OR n.group_key = h.group_key)
+        JOIN users a ON a.id = n.actor_id
+        WHERE a.deleted_at IS NULL
+        GROUP BY h.id
+      )
+      SELECT
+        g.id, g.type, g.post_id, g.created_at, g.read, g.actors_count,
+        (
+          SELECT json_agg(
+            json_build_object('id', u.id, 'user_name', u.user_name, 'first_name', u.first_name, 'last_name', u.last_name)
+            ORDER BY array_position(g.actor_ids, u.id)
+          )
+          FROM users u
+          WHERE u.id = ANY(g.actor_ids)
+        ) AS actors
+      FROM groups g
+      ORDER BY g.id DESC;
+    `;
+
+    const res = await db.query(query, params);
+    return res.rows;
+  },
+
+  async countUnread(userId) {
+    const query = `
+      SELECT COUNT(DISTINCT COALESCE(n.group_key, n.id::text)) AS unread_count
+      FROM notifications n
+      JOIN users a ON a.id = n.actor_id
+      WHERE n.user_id = $1 AND n.read_at IS NULL AND a.deleted_at IS NULL;
+    `;
+    const res = await db.query(query, [userId]);
+    return Number(res.rows[0].unread_count);
+  },
+
+  // Отметка одного уведомления из группы отмечает всю группу
+  async markRead(userId, ids) {
+    const query = `
+      UPDATE notifications SET read_at = NOW()
+      WHERE user_id = $1 AND read_at IS NULL
+        AND (id = ANY($2::bigint[]) OR group_key IN (
+          SELECT group_key FROM notifications
+          WHERE user_id = $1 AND id = ANY($2::bigint[]) AND group_key IS NOT NULL
+        ));
+    `;
+    const res = await db.query(query, [userId, ids]);
+    return res.rowCount;
+  },
+
+  async markAllRead(userId) {
+    const query = `
+      UPDATE notifications SET read_at = NOW()
+      WHERE user_id = $1 AND read_at IS NULL;
+    `;
+    const res = await db.query(query, [userId]);
+    return res.rowCount;
+  },
+};
@@ -1,138 +1,235 @@
-import { pool } from "../config/db.js";
+import { db } from "../config/db.js";
+import { parseEntities } from "../utils/entities.js";
+import { ConflictError, NotFoundError, mapDbError } from "../utils/errors.js";
+import { buildTsQuery, searchLanguage } from "../utils/search.js";
+import { visibleAuthorCondition } from "../utils/visibility.js";
+
+// Посты авторов, которых пользователь $1 заблокировал или скрыл, а также заблокировавших его
+const HIDDEN_AUTHORS_CONDITION = visibleAuthorCondition("p.user_id", "$1");
+
+// Текст поста с экранированными HTML-символами. Подсветка поиска вставляет в него разметку <mark>,
+// и клиент выводит её как HTML, поэтому сам текст разметкой быть не должен
+const ESCAPED_TEXT = `
+  replace(replace(replace(replace(replace(p.text,
+    '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+
+// Краткое представление цитируемого поста; null, если пост не цитата, цитируемый пост
+// либо аккаунт его автора удалён или автор скрыт от пользователя
+function quoteSummary(row) {
+  if (!row.quote_user_id) {
+    return null;
+  }
+  return {
+    id: row.quote_of_id,
+    text: row.quote_text,
+    created_at: row.quote_created_at,
+    user: {
+      id: row.quote_user_id,
+      user_name: row.quote_user_name,
+      first_name: row.quote_first_name,
+      last_name: row.quote_last_name,
+    },
+  };
+}
 
 export const PostRepository = {
   async createPost(dto) {
     const query = `
-      INSERT INTO posts (text, user_id, reply_to_id)
-      VALUES ($1, $2, $3)
-      RETURNING id, text, created_at, reply_to_id;
+      INSERT INTO posts (text, user_id, reply_to_id, quote_of_id)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, text, created_at, reply_to_id, quote_of_id;
     `;
-    const values = [dto.text, dto.user_id, dto.reply_to_id];
-    const res = await pool.query(query, values);
-    return res.rows[0];
+    const values = [dto.text, dto.user_id, dto.reply_to_id, dto.quote_of_id ?? null];
+    try {
+      const res = await db.query(query, values);
+      return res.rows[0];
+    } catch (err) {
+      throw mapDbError(err, {
+        fk__posts__reply_to_id: new NotFoundError("Reply post not found", "POST_NOT_FOUND"),
+        fk__posts__quote_of_id: new NotFoundError("Quoted post not found", "POST_NOT_FOUND"),
+        fk__posts__user_id: new NotFoundError("User not found", "USER_NOT_FOUND"),
+      });
+    }
   },
 
   async getAllPosts(dto) {
     const params = [dto.user_id];
+
+    let searchColumns = "";
+    let searchCondition = "";
+    if (dto.search) {
+      const language = searchLanguage(dto.lang);
+      params.push(buildTsQuery(dto.search));
+      const tsquery = `to_tsquery('${language}', $${params.length})`;
+      searchColumns = `,
+        ts_rank(to_tsvector('${language}', p.text), ${tsquery}) AS rank,
+        ts_headline('${language}', ${ESCAPED_TEXT}, ${tsquery}, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS headline`;
+      searchCondition = ` AND to_tsvector('${language}', p.text) @@ ${tsquery}`;
+    }
+
     let query = `
-      WITH likes_count AS (
-        SELECT post_id, COUNT(*) AS likes_count
-        FROM likes GROUP BY post_id
-      ),
-      views_count AS (
-        SELECT post_id, COUNT(*) AS views_count
-        FROM views GROUP BY post_id
-      ),
-      replies_count AS (
-        SELECT reply_to_id, COUNT(*) AS replies_count
-        FROM posts WHERE reply_to_id IS NOT NULL GROUP BY reply_to_id
-      )
       SELECT 
-        p.id, p.text, p.reply_to_id, p.created_at,
+        p.id, p.text, p.reply_to_id, p.quote_of_id, p.created_at, p.edited_at,
         u.id AS user_id, u.user_name, u.first_name, u.last_name,
-        COALESCE(lc.likes_count, 0) AS likes_count,
-        COALESCE(vc.views_count, 0) AS views_count,
-        COALESCE(rc.replies_count, 0) AS replies_count,
+        COALESCE(ps.likes_count, 0) AS likes_count,
+        COALESCE(ps.views_count, 0) AS views_count,
+        COALESCE(ps.replies_count, 0) AS replies_count,
+        COALESCE(ps.revisions_count, 0) AS revisions_count,
+        COALESCE(ps.reposts_count, 0) AS reposts_count,
+        COALESCE(ps.quotes_count, 0) AS quotes_count,
         CASE WHEN l.user_id IS NOT NULL THEN true ELSE false END AS user_liked,
-        CASE WHEN v.user_id IS NOT NULL THEN true ELSE false END AS user_viewed
+        CASE WHEN v.user_id IS NOT NULL THEN true ELSE false END AS user_viewed,
+        CASE WHEN r.user_id IS NOT NULL THEN true ELSE false END AS user_reposted,
+        qp.text AS quote_text, qp.created_at AS quote_created_at,
+        qu.id AS quote_user_id, qu.user_name AS quote_user_name,
+        qu.first_name AS quote_first_name, qu.last_name AS quote_last_name${searchColumns}
       FROM posts p
       JOIN users u ON p.user_id = u.id
-      LEFT JOIN likes_count lc ON p.id = lc.post_id
-      LEFT JOIN views_count vc ON p.id = vc.post_id
-      LEFT JOIN replies_count rc ON p.id = rc.reply_to_id
+      LEFT JOIN post_stats ps ON ps.post_id = p.id
       LEFT JOIN likes l ON l.post_id = p.id AND l.user_id = $1
       LEFT JOIN views v ON v.post_id = p.id AND v.user_id = $1
-      WHERE p.deleted_at IS NULL
+      LEFT JOIN reposts r ON r.post_id = p.id AND r.user_id = $1
+      LEFT JOIN posts qp ON qp.id = p.quote_of_id AND qp.deleted_at IS NULL
+      LEFT JOIN users qu ON qp.user_id = qu.id AND qu.deleted_at IS NULL AND ${visibleAuthorCondition("qp.user_id", "$1")}
+      WHERE p.deleted_at IS NULL AND u.deleted_at IS NULL AND ${HIDDEN_AUTHORS_CONDITION}${searchCondition}
     `;
 
-    if (dto.search) {
-      query += ` AND p.text ILIKE $${params.length + 1}`;
-      params.push(`%${dto.search}%`);
-    }
-
     if (dto.owner_id) {
       query += ` AND p.user_id = $${params.length + 1}`;
       params.push(dto.owner_id);
     }
 
+    if (dto.tag) {
+      query += ` AND p.id IN (
+        SELECT ph.post_id FROM post_hashtags ph
+        JOIN hashtags h ON h.id = ph.hashtag_id
+        WHERE h.tag = $${params.length + 1}
+      )`;
+      params.push(dto.tag);
+    }
+
+    if (dto.feed === "home") {
+      query += ` AND (p.user_id = $1 OR p.user_id IN (
+        SELECT followee_id FROM follows WHERE follower_id = $1
+      ))`;
+    }
+
+    // Ответы показываются от старых к новым, лента — от новых к старым
+    const ascending = Boolean(dto.reply_to_id);
     if (dto.reply_to_id) {
-      query += ` AND p.reply_to_id = $${
-        params.length + 1
-      } ORDER BY p.created_at ASC`;
+      query += ` AND p.reply_to_id = $${params.length + 1}`;
       params.push(dto.reply_to_id);
-    } else {
-      query += ` AND p.reply_to_id IS NULL ORDER BY p.created_at DESC`;
+    } else if (!dto.tag) {
+      // В ленте тега показываются и ответы, в остальных лентах — только корневые посты
+      query += ` AND p.reply_to_id IS NULL`;
     }
 
-    query += ` OFFSET $${params.length + 1} LIMIT $${params.length + 2}`;
-    params.push(dto.offset, dto.limit);
+    let rows;
+    if (dto.cursor) {
+      // Ключ (created_at, id) берётся из самой записи-курсора, чтобы не терять
+      // микросекунды при передаче времени через клиента
+      const forward = dto.cursor.direction === "after";
+      const scanAscending = ascending === forward;
+      const order = scanAscending ? "ASC" : "DESC";
+      query += ` AND (p.created_at, p.id) ${scanAscending ? ">" : "<"} (
+        SELECT created_at, id FROM posts WHERE id = $${params.length + 1}
+      )`;
+      query += ` ORDER BY p.created_at ${order}, p.id ${order} LIMIT $${params.length + 2}`;
+      params.push(dto.cursor.id, dto.limit);
 
-    const res = await pool.query(query, params);
+      const res = await db.query(query, params);
+      rows = forward ? res.rows : res.rows.reverse();
+    } else {
+      // Результаты поиска упорядочиваются по релевантности; в режиме курсора, включая его
+      // первую страницу, порядок остаётся хронологическим, так как ранг не годится для ключа
+      const order = ascending ? "ASC" : "DESC";
+      const byRank = dto.search && dto.pagination !== "cursor";
+      query += ` ORDER BY ${byRank ? "rank DESC, " : ""}p.created_at ${order}, p.id ${order}`;
+      query += ` OFFSET $${params.length + 1} LIMIT $${params.length + 2}`;
+      params.push(dto.offset, dto.limit);
 
-    return res.rows.map((row) => ({
+      const res = await db.query(query, params);
+      rows = res.rows;
+    }
+
+    return rows.map((row) => ({
       id: row.id,
       text: row.text,
       reply_to_id: row.reply_to_id,
+      quote_of_id: row.quote_of_id,
       created_at: row.created_at,
+      edited_at: row.edited_at,
       likes_count: row.likes_count,
       views_count: row.views_count,
       replies_count: row.replies_count,
+      revisions_count: row.revisions_count,
+      reposts_count: row.reposts_count,
+      quotes_count: row.quotes_count,
       user_liked: row.user_liked,
       user_viewed: row.user_viewed,
+      user_reposted: row.user_reposted,
+      entities: parseEntities(row.text),
+      ...(dto.search && { headline: row.headline, rank: row.rank }),
       user: {
         id: row.user_id,
         user_name: row.user_name,
         first_name: row.first_name,
         last_name: row.last_name,
       },
+      quote: quoteSummary(row),
     }));
   },
 
   async getPostById(postId, userId) {
     const query = `
-      WITH likes_count AS (
-        SELECT post_id, COUNT(*) AS likes_count
-        FROM likes
-        GROUP BY post_id
-      ),
-      views_count AS (
-        SELECT post_id, COUNT(*) AS views_count
-        FROM views
-        GROUP BY post_id
-      ),
-      replies_count AS (
-        SELECT reply_to_id, COUNT(*) AS replies_count
-        FROM posts
-        WHERE reply_to_id IS NOT NULL
-        GROUP BY reply_to_id
-      )
       SELECT 
         p.id AS post_id,
         p.text,
         p.reply_to_id,
+        p.quote_of_id,
         p.created_at,
+        p.edited_at,
         u.id AS user_id,
         u.user_name,
         u.first_name,
         u.last_name,
-        COALESCE(lc.likes_count, 0) AS likes_count,
-        COALESCE(vc.views_count, 0) AS views_count,
-        COALESCE(rc.replies_count, 0) AS replies_count,
+        COALESCE(ps.likes_count, 0) AS likes_count,
+        COALESCE(ps.views_count, 0) AS views_count,
+        COALESCE(ps.replies_count, 0) AS replies_count,
+        COALESCE(ps.revisions_count, 0) AS revisions_count,
+        COALESCE(ps.reposts_count, 0) AS reposts_count,
+        COALESCE(ps.quotes_count, 0) AS quotes_count,
         CASE WHEN l.user_id IS NOT NULL THEN true ELSE false END AS user_liked,
-        CASE WHEN v.user_id IS NOT NULL THEN true ELSE false END AS user_viewed
+        CASE WHEN v.user_id IS NOT NULL THEN true ELSE false END AS user_viewed,
+        CASE WHEN r.user_id IS NOT NULL THEN true ELSE false END AS user_reposted,
+        rp.text AS reply_to_text,
+        rp.created_at AS reply_to_created_at,
+        ru.id AS reply_to_user_id,
+        ru.user_name AS reply_to_user_name,
+        ru.first_name AS reply_to_first_name,
+        ru.last_name AS reply_to_last_name,
+        qp.text AS quote_text,
+        qp.created_at AS quote_created_at,
+        qu.id AS quote_user_id,
+        qu.user_name AS quote_user_name,
+        qu.first_name AS quote_first_name,
+        qu.last_name AS quote_last_name
       FROM posts p
       JOIN users u ON p.user_id = u.id
-      LEFT JOIN likes_count lc ON p.id = lc.post_id
-      LEFT JOIN views_count vc ON p.id = vc.post_id
-      LEFT JOIN replies_count rc ON p.id = rc.reply_to_id
+      LEFT JOIN post_stats ps ON ps.post_id = p.id
       LEFT JOIN likes l ON l.post_id = p.id AND l.user_id = $1
       LEFT JOIN views v ON v.post_id = p.id AND v.user_id = $1
-      WHERE p.id = $2 AND p.deleted_at IS NULL;
+      LEFT JOIN reposts r ON r.post_id = p.id AND r.user_id = $1
+      LEFT JOIN posts rp ON rp.id = p.reply_to_id AND rp.deleted_at IS NULL
+      LEFT JOIN users ru ON rp.user_id = ru.id AND ru.deleted_at IS NULL AND ${visibleAuthorCondition("rp.user_id", "$1")}
+      LEFT JOIN posts qp ON qp.id = p.quote_of_id AND qp.deleted_at IS NULL
+      LEFT JOIN users qu ON qp.user_id = qu.id AND qu.deleted_at IS NULL AND ${visibleAuthorCondition("qp.user_id", "$1")}
+      WHERE p.id = $2 AND p.deleted_at IS NULL AND u.deleted_at IS NULL AND ${HIDDEN_AUTHORS_CONDITION};
     `;
 
-    const res = await pool.query(query, [userId, postId]);
+    const res = await db.query(query, [userId, postId]);
     if (res.rowCount === 0) {
-      throw new Error("Post not found");
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
     }
 
     const row = res.rows[0];
@@ -140,67 +237,322 @@ export const PostRepository = {
       id: row.post_id,
       text: row.text,
       reply_to_id: row.reply_to_id,
+      quote_of_id: row.quote_of_id,
       created_at: row.created_at,
+      edited_at: row.edited_at,
       likes_count: row.likes_count,
       views_count: row.views_count,
       replies_count: row.replies_count,
+      revisions_count: row.revisions_count,
+      reposts_count: row.reposts_count,
+      quotes_count: row.quotes_count,
       user_liked: row.user_liked,
       user_viewed: row.user_viewed,
+      user_reposted: row.user_reposted,
+      entities: parseEntities(row.text),
       user: {
         id: row.user_id,
         user_name: row.user_name,
         first_name: row.first_name,
         last_name: row.last_name,
       },
+      reply_to: row.reply_to_user_id
+        ? {
+            id: row.reply_to_id,
+            text: row.reply_to_text,
+            created_at: row.reply_to_created_at,
+            user: {
+              id: row.reply_to_user_id,
+              user_name: row.reply_to_user_name,
+              first_name: row.reply_to_first_name,
+              last_name: row.reply_to_last_name,
+            },
+          }
+        : null,
+      quote: quoteSummary(row),
     };
   },
 
+  async getThread(dto) {
+    const query = `
+      WITH RECURSIVE ancestors AS (
+        SELECT p.id, p.reply_to_id, 0 AS depth
+        FROM posts p
+        JOIN users u ON p.user_id = u.id
+        WHERE p.id = $2 AND p.deleted_at IS NULL AND u.deleted_at IS NULL AND ${HIDDEN_AUTHORS_CONDITION}
+        UNION ALL
+        SELECT p.id, p.reply_to_id, a.depth - 1
+        FROM posts p
+        JOIN ancestors a ON p.id = a.reply_to_id
+      ),
+      descendants AS (
+        SELECT id, depth FROM ancestors WHERE depth = 0
+        UNION ALL
+        SELECT c.id, d.depth + 1
+        FROM descendants d
+        CROSS JOIN LATERAL (
+          -- Ответы скрытых авторов не показываются вместе с ветками под ними
+          SELECT p.id FROM posts p
+          JOIN users u ON p.user_id = u.id
+          WHERE p.reply_to_id = d.id AND p.deleted_at IS NULL AND u.deleted_at IS NULL AND ${HIDDEN_AUTHORS_CONDITION}
+          ORDER BY p.created_at ASC, p.id ASC
+          LIMIT $4
+        ) c
+        WHERE d.depth < $3
+      ),
+      thread AS (
+        SELECT id, depth FROM ancestors WHERE depth < 0
+        UNION ALL
+        SELECT id, depth FROM descendants
+      )
+      SELECT
+        t.depth,
+        p.id, p.text, p.reply_to_id, p.quote_of_id, p.created_at, p.edited_at,
+        u.id AS user_id, u.user_name, u.first_name, u.last_name,
+        COALESCE(ps.likes_count, 0) AS likes_count,
+        COALESCE(ps.views_count, 0) AS views_count,
+        COALESCE(ps.replies_count, 0) AS replies_count,
+        COALESCE(ps.revisions_count, 0) AS revisions_count,
+        COALESCE(ps.reposts_count, 0) AS reposts_count,
+        COALESCE(ps.quotes_count, 0) AS quotes_count,
+        CASE WHEN l.user_id IS NOT NULL THEN true ELSE false END AS user_liked,
+        CASE WHEN v.user_id IS NOT NULL THEN true ELSE false END AS user_viewed,
+        CASE WHEN r.user_id IS NOT NULL THEN true ELSE false END AS user_reposted
+      FROM thread t
+      JOIN posts p ON p.id = t.id
+      JOIN users u ON p.user_id = u.id
+      LEFT JOIN post_stats ps ON ps.post_id = p.id
+      LEFT JOIN likes l ON l.post_id = p.id AND l.user_id = $1
+      LEFT JOIN views v ON v.post_id = p.id AND v.user_id = $1
+      LEFT JOIN reposts r ON r.post_id = p.id AND r.user_id = $1
+      WHERE p.deleted_at IS NULL AND u.deleted_at IS NULL AND ${HIDDEN_AUTHORS_CONDITION}
+      ORDER BY t.depth ASC, p.created_at ASC, p.id ASC;
+    `;
+
+    const res = await db.query(query, [dto.user_id, dto.post_id, dto.depth, dto.limit]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+
+    return res.rows.map((row) => ({
+      id: row.id,
+      text: row.text,
+      reply_to_id: row.reply_to_id,
+      quote_of_id: row.quote_of_id,
+      created_at: row.created_at,
+      edited_at: row.edited_at,
+      depth: row.depth,
+      likes_count: row.likes_count,
+      views_count: row.views_count,
+      replies_count: row.replies_count,
+      revisions_count: row.revisions_count,
+      reposts_count: row.reposts_count,
+      quotes_count: row.quotes_count,
+      user_liked: row.user_liked,
+      user_viewed: row.user_viewed,
+      user_reposted: row.user_reposted,
+      entities: parseEntities(row.text),
+      user: {
+        id: row.user_id,
+        user_name: row.user_name,
+        first_name: row.first_name,
+        last_name: row.last_name,
+      },
+    }));
+  },
+
+  // Сохраняет хэштеги поста и упоминания существующих пользователей.
+  // Возвращает id упомянутых пользователей
+  async savePostEntities(postId, tags, userNames) {
+    const query = `
+      WITH tags AS (
+        INSERT INTO hashtags (tag)
+        SELECT unnest($2::text[])
+        ON CONFLICT (tag) DO UPDATE SET tag = EXCLUDED.tag
+        RETURNING id
+      ),
+      post_tags AS (
+        INSERT INTO post_hashtags (post_id, hashtag_id)
+        SELECT $1, id FROM tags
+        ON CONFLICT DO NOTHING
+      )
+      INSERT INTO mentions (post_id, user_id)
+      SELECT $1, id FROM users
+      WHERE user_name = ANY($3::text[]) AND deleted_at IS NULL
+      ON CONFLICT DO NOTHING
+      RETURNING user_id;
+    `;
+    const res = await db.query(query, [postId, tags, userNames]);
+    return res.rows.map((row) => row.user_id);
+  },
+
+  // Возвращает id пользователей, которые были упомянуты в посте
+  async clearPostEntities(postId) {
+    const query = `
+      WITH cleared_tags AS (
+        DELETE FROM post_hashtags WHERE post_id = $1
+      )
+      DELETE FROM mentions WHERE post_id = $1
+      RETURNING user_id;
+    `;
+    const res = await db.query(query, [postId]);
+    return res.rows.map((row) => row.user_id);
+  },
+
+  async getPostForEdit(id, editWindowSeconds) {
+    const query = `
+      SELECT id, user_id, created_at > NOW() - make_interval(secs => $2) AS editable
+      FROM posts
+      WHERE id = $1 AND deleted_at IS NULL;
+    `;
+    const res = await db.query(query, [id, editWindowSeconds]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  async updatePost(id, ownerId, text, editWindowSeconds) {
+    // Прежний текст сохраняется в историю с моментом, с которого он действовал
+    const query = `
+      WITH prev AS (
+        SELECT id, text, COALESCE(edited_at, created_at) AS version_at
+        FROM posts
+        WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+          AND created_at > NOW() - make_interval(secs => $4)
+        FOR UPDATE
+      ),
+      revision AS (
+        INSERT INTO post_revisions (post_id, text, created_at)
+        SELECT id, text, version_at FROM prev
+      )
+      UPDATE posts p SET text = $3, edited_at = NOW()
+      FROM prev
+      WHERE p.id = prev.id
+      RETURNING p.id, p.text, p.created_at, p.edited_at, p.reply_to_id;
+    `;
+    const res = await db.query(query, [id, ownerId, text, editWindowSeconds]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  async getPostRevisions(postId) {
+    const query = `
+      SELECT r.id, r.text, r.created_at
+      FROM posts p
+      JOIN users u ON p.user_id = u.id
+      LEFT JOIN post_revisions r ON r.post_id = p.id
+      WHERE p.id = $1 AND p.deleted_at IS NULL AND u.deleted_at IS NULL
+      ORDER BY r.created_at DESC, r.id DESC;
+    `;
+    const res = await db.query(query, [postId]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+    return res.rows.filter((row) => row.id !== null);
+  },
+
   async deletePost(id, ownerId) {
     const query = `
       UPDATE posts SET deleted_at = NOW()
       WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
     `;
-    const res = await pool.query(query, [id, ownerId]);
+    const res = await db.query(query, [id, ownerId]);
     if (res.rowCount === 0) {
-      throw new Error("Post not found or already deleted");
+      throw new NotFoundError("Post not found or already deleted", "POST_NOT_FOUND");
     }
   },
 
+  async forceDeletePost(id) {
+    const query = `
+      UPDATE posts SET deleted_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+    `;
+    const res = await db.query(query, [id]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found or already deleted", "POST_NOT_FOUND");
+    }
+  },
+
+  async getDeletedPosts(limit, offset) {
+    const query = `
+      SELECT
+        p.id, p.text, p.reply_to_id, p.created_at, p.deleted_at,
+        u.id AS user_id, u.user_name, u.first_name, u.last_name
+      FROM posts p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.deleted_at IS NOT NULL
+      ORDER BY p.deleted_at DESC
+      OFFSET $1 LIMIT $2;
+    `;
+    const res = await db.query(query, [offset, limit]);
+
+    return res.rows.map((row) => ({
+      id: row.id,
+      text: row.text,
+      reply_to_id: row.reply_to_id,
+      created_at: row.created_at,
+      deleted_at: row.deleted_at,
+      user: {
+        id: row.user_id,
+        user_name: row.user_name,
+        first_name: row.first_name,
+        last_name: row.last_name,
+      },
+    }));
+  },
+
   async viewPost(postId, userId) {
     const query = `
       INSERT INTO views (post_id, user_id)
       VALUES ($1, $2);
     `;
 
+    let res;
     try {
-      const res = await pool.query(query, [postId, userId]);
-      if (res.rowCount === 0) {
-        throw new Error("Post not found");
-      }
+      res = await db.query(query, [postId, userId]);
     } catch (err) {
-      if (err.message.includes("pk__views")) {
-        throw new Error("Post already viewed");
-      }
-      throw err;
+      throw mapDbError(err, {
+        pk__views: new ConflictError("Post already viewed", "POST_ALREADY_VIEWED"),
+        fk__views__post_id: new NotFoundError("Post not found", "POST_NOT_FOUND"),
+      });
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
     }
   },
 
+  async isBlockedByAuthor(postId, userId) {
+    const query = `
+      SELECT EXISTS (
+        SELECT 1 FROM posts p
+        JOIN blocks b ON b.blocker_id = p.user_id AND b.blocked_id = $2
+        WHERE p.id = $1
+      ) AS blocked;
+    `;
+    const res = await db.query(query, [postId, userId]);
+    return res.rows[0].blocked;
+  },
+
   async likePost(postId, userId) {
     const query = `
       INSERT INTO likes (post_id, user_id)
       VALUES ($1, $2);
     `;
 
+    let res;
     try {
-      const res = await pool.query(query, [postId, userId]);
-      if (res.rowCount === 0) {
-        throw new Error("Post not found");
-      }
+      res = await db.query(query, [postId, userId]);
     } catch (err) {
-      if (err.message.includes("pk__likes")) {
-        throw new Error("Post already liked");
-      }
-      throw err;
+      throw mapDbError(err, {
+        pk__likes: new ConflictError("Post already liked", "POST_ALREADY_LIKED"),
+        fk__likes__post_id: new NotFoundError("Post not found", "POST_NOT_FOUND"),
+      });
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
     }
   },
 
@@ -210,10 +562,95 @@ export const PostRepository = {
       WHERE post_id = $1 AND user_id = $2;
     `;
 
-    const res = await pool.query(query, [postId, userId]);
+    const res = await db.query(query, [postId, userId]);
+
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+  },
+
+  async repostPost(postId, userId) {
+    const query = `
+      INSERT INTO reposts (post_id, user_id)
+      SELECT id, $2 FROM posts
+      WHERE id = $1 AND deleted_at IS NULL;
+    `;
+
+    let res;
+    try {
+      res = await db.query(query, [postId, userId]);
+    } catch (err) {
+      throw mapDbError(err, {
+        pk__reposts: new ConflictError("Post already reposted", "POST_ALREADY_REPOSTED"),
+      });
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+  },
+
+  async undoRepost(postId, userId) {
+    const query = `
+      DELETE FROM reposts
+      WHERE post_id = $1 AND user_id = $2;
+    `;
 
+    const res = await db.query(query, [postId, userId]);
     if (res.rowCount === 0) {
-      throw new Error("Post not found");
+      throw new NotFoundError("Post not reposted", "REPOST_NOT_FOUND");
+    }
+  },
+
+  // Заводит счётчики для постов, у которых их нет; возвращает число созданных записей
+  async createMissingPostStats() {
+    const query = `
+      INSERT INTO post_stats (post_id)
+      SELECT p.id FROM posts p
+      WHERE NOT EXISTS (SELECT 1 FROM post_stats ps WHERE ps.post_id = p.id)
+      ON CONFLICT (post_id) DO NOTHING;
+    `;
+    const res = await db.query(query);
+    return res.rowCount;
+  },
+
+  // Пересчитывает счётчики следующих limit постов после afterId. Должен выполняться в транзакции:
+  // строки счётчиков блокируются до пересчёта, поэтому одновременные лайки и просмотры
+  // ждут его завершения и не теряются. Возвращает id последнего поста и число исправленных
+  async reconcilePostStats(afterId, limit) {
+    const lockQuery = `
+      SELECT post_id FROM post_stats
+      WHERE post_id > $1
+      ORDER BY post_id
+      LIMIT $2
+      FOR UPDATE;
+    `;
+    const locked = await db.query(lockQuery, [afterId, limit]);
+    if (locked.rowCount === 0) {
+      return { last_id: null, fixed: 0 };
     }
+    const ids = locked.rows.map((row) => row.post_id);
+
+    const query = `
+      UPDATE post_stats ps
+      SET likes_count = a.likes_count, views_count = a.views_count, replies_count = a.replies_count,
+        reposts_count = a.reposts_count, quotes_count = a.quotes_count, revisions_count = a.revisions_count
+      FROM (
+        SELECT
+          t.id AS post_id,
+          (SELECT COUNT(*) FROM likes l WHERE l.post_id = t.id) AS likes_count,
+          (SELECT COUNT(*) FROM views v WHERE v.post_id = t.id) AS views_count,
+          (SELECT COUNT(*) FROM posts r WHERE r.reply_to_id = t.id) AS replies_count,
+          (SELECT COUNT(*) FROM reposts rp WHERE rp.post_id = t.id) AS reposts_count,
+          (SELECT COUNT(*) FROM posts q WHERE q.quote_of_id = t.id) AS quotes_count,
+          (SELECT COUNT(*) FROM post_revisions pr WHERE pr.post_id = t.id) AS revisions_count
+        FROM unnest($1::bigint[]) AS t(id)
+      ) a
+      WHERE ps.post_id = a.post_id
+        AND (ps.likes_count, ps.views_count, ps.replies_count, ps.reposts_count, ps.quotes_count, ps.revisions_count)
+          IS DISTINCT FROM
+          (a.likes_count, a.views_count, a.replies_count, a.reposts_count, a.quotes_count, a.revisions_count);
+    `;
+    const res = await db.query(query, [ids]);
+    return { last_id: ids[ids.length - 1], fixed: res.rowCount };
   },
 };
@@ -0,0 +1,181 @@
+import { db } from "../config/db.js";
+import { ConflictError, NotFoundError, mapDbError } from "../utils/errors.js";
+
+const REPORT_COLUMNS = `
+  r.id, r.reason, r.comment, r.status, r.created_at, r.updated_at, r.resolved_at,
+  r.post_id, p.text AS post_text, p.deleted_at AS post_deleted_at,
+  COALESCE(r.user_id, p.user_id) AS target_user_id,
+  tu.user_name AS target_user_name,
+  rep.id AS reporter_id, rep.user_name AS reporter_user_name,
+  mod.id AS resolved_by_id, mod.user_name AS resolved_by_user_name
+`;
+
+const REPORT_JOINS = `
+  LEFT JOIN posts p ON p.id = r.post_id
+  JOIN users tu ON tu.id = COALESCE(r.user_id, p.user_id)
+  JOIN users rep ON rep.id = r.reporter_id
+  LEFT JOIN users mod ON mod.id = r.resolved_by
+`;
+
+function mapReport(row) {
+  return {
+    id: row.id,
+    reason: row.reason,
+    comment: row.comment,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at,
+    resolved_at: row.resolved_at,
+    post: row.post_id
+      ? { id: row.post_id, text: row.post_text, deleted_at: row.post_deleted_at }
+      : null,
+    user: { id: row.target_user_id, user_name: row.target_user_name },
+    reporter: { id: row.reporter_id, user_name: row.reporter_user_name },
+    resolved_by: row.resolved_by_id ? { id: row.resolved_by_id, user_name: row.resolved_by_user_name } : null,
+  };
+}
+
+const REPORT_ERRORS = {
+  uk__reports__open_post: new ConflictError("Post already reported", "REPORT_ALREADY_EXISTS"),
+  uk__reports__open_user: new ConflictError("User already reported", "REPORT_ALREADY_EXISTS"),
+  fk__reports__reporter_id: new NotFoundError("User not found", "USER_NOT_FOUND"),
+};
+
+export const ReportRepository = {
+  async reportPost(reporterId, postId, reason, comment) {
+    const query = `
+      INSERT INTO reports (reporter_id, post_id, reason, comment)
+      SELECT $1, id, $3, $4 FROM posts
+      WHERE id = $2 AND deleted_at IS NULL
+      RETURNING id, post_id, reason, comment, status, created_at;
+    `;
+
+    let res;
+    try {
+      res = await db.query(query, [reporterId, postId, reason, comment ?? null]);
+    } catch (err) {
+      throw mapDbError(err, REPORT_ERRORS);
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Post not found", "POST_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  async reportUser(reporterId, userId, reason, comment) {
+    const query = `
+      INSERT INTO reports (reporter_id, user_id, reason, comment)
+      SELECT $1, id, $3, $4 FROM users
+      WHERE id = $2 AND deleted_at IS NULL
+      RETURNING id, user_id, reason, comment, status, created_at;
+    `;
+
+    let res;
+    try {
+      res = await db.query(query, [reporterId, userId, reason, comment ?? null]);
+    } catch (err) {
+      throw mapDbError(err, REPORT_ERRORS);
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  // Очередь модерации: сначала самые давние жалобы
+  async getReports(filterDTO) {
+    const params = [];
+    const conditions = [];
+    if (filterDTO.status) {
+      params.push(filterDTO.status);
+      conditions.push(`r.status = $${params.length}`);
+    }
+    if (filterDTO.reason) {
+      params.push(filterDTO.reason);
+      conditions.push(`r.reason = $${params.length}`);
+    }
+
+    params.push(filterDTO.offset, filterDTO.limit);
+    const query = `
+      SELECT ${REPORT_COLUMNS}
+      FROM reports r
+      ${REPORT_JOINS}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY r.id ASC
+      OFFSET $${params.length - 1} LIMIT $${params.length};
+    `;
+    const res = await db.query(query, params);
+    return res.rows.map(mapReport);
+  },
+
+  async getReportById(id) {
+    const query = `
+      SELECT ${REPORT_COLUMNS},
+        (
+          SELECT COALESCE(json_agg(json_build_object(
+            'id', a.id,
+            'moderator', json_build_object('id', m.id, 'user_name', m.user_name),
+            'from_status', a.from_status,
+            'to_status', a.to_status,
+            'note', a.note,
+            'created_at', a.created_at
+          ) ORDER BY a.id), '[]')
+          FROM report_actions a
+          JOIN users m ON m.id = a.moderator_id
+          WHERE a.report_id = r.id
+        ) AS actions
+      FROM reports r
+      ${REPORT_JOINS}
+      WHERE r.id = $1;
+    `;
+    const res = await db.query(query, [id]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Report not found", "REPORT_NOT_FOUND");
+    }
+    const row = res.rows[0];
+    return { ...mapReport(row), actions: row.actions };
+  },
+
+  // Меняет статус, только если он не изменился с момента чтения, и пишет действие в журнал.
+  // Для итоговых статусов запоминается, кто и когда закрыл жалобу
+  async updateStatus(id, fromStatus, toStatus, moderatorId, note) {
+    const query = `
+      WITH updated AS (
+        UPDATE reports SET
+          status = $3::text,
+          updated_at = NOW(),
+          resolved_by = CASE WHEN $3::text IN ('actioned', 'dismissed') THEN $4::bigint END,
+          resolved_at = CASE WHEN $3::text IN ('actioned', 'dismissed') THEN NOW() END
+        WHERE id = $1 AND status = $2::text
+        RETURNING id
+      )
+      INSERT INTO report_actions (report_id, moderator_id, from_status, to_status, note)
+      SELECT id, $4::bigint, $2::text, $3::text, $5 FROM updated
+      RETURNING report_id;
+    `;
+    const res = await db.query(query, [id, fromStatus, toStatus, moderatorId, note ?? null]);
+    if (res.rowCount === 0) {
+      throw new ConflictError("Report status has changed", "REPORT_STATUS_CHANGED");
+    }
+  },
+
+  // Закрывает остальные нерассмотренные жалобы на пост, когда по одной из них пост удалён
+  async actionOpenPostReports(postId, moderatorId, note) {
+    const query = `
+      WITH updated AS (
+        UPDATE reports r SET
+          status = 'actioned',
+          updated_at = NOW(),
+          resolved_by = $2,
+          resolved_at = NOW()
+        FROM reports prev
+        WHERE r.post_id = $1 AND r.status IN ('open', 'reviewing') AND prev.id = r.id
+        RETURNING r.id, prev.status AS from_status
+      )
+      INSERT INTO report_actions (report_id, moderator_id, from_status, to_status, note)
+      SELECT id, $2, from_status, 'actioned', $3 FROM updated;
+    `;
+    const res = await db.query(query, [postId, moderatorId, note]);
+    return res.rowCount;
+  },
+};
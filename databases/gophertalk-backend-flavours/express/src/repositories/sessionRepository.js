@@ -0,0 +1,73 @@
+import { db } from "../config/db.js";
+import { NotFoundError } from "../utils/errors.js";
+import { USER_STATUS_ACTIVE } from "./userRepository.js";
+
+// Время последнего использования сессии обновляется не чаще раза в минуту,
+// чтобы проверка токена не писала в базу на каждый запрос
+const TOUCH_INTERVAL_SECONDS = 60;
+
+export const SessionRepository = {
+  async createSession(dto) {
+    const query = `
+      INSERT INTO sessions (id, user_id, user_agent, ip)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id, user_id, user_agent, ip, created_at, last_used_at;
+    `;
+    const values = [dto.id, dto.user_id, dto.user_agent, dto.ip];
+    const res = await db.query(query, values);
+    return res.rows[0];
+  },
+
+  async getSessionsByUserId(userId) {
+    const query = `
+      SELECT id, user_agent, ip, created_at, last_used_at
+      FROM sessions
+      WHERE user_id = $1 AND revoked_at IS NULL
+      ORDER BY last_used_at DESC;
+    `;
+    const res = await db.query(query, [userId]);
+    return res.rows;
+  },
+
+  // Возвращает текущую роль пользователя или null, если сессия недействительна.
+  // Сессия заблокированного или удалённого пользователя считается недействительной
+  async touchSession(id, userId) {
+    const query = `
+      WITH active AS (
+        SELECT s.id, s.last_used_at, u.role
+        FROM sessions s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL
+          AND u.status = $3 AND u.deleted_at IS NULL
+      ),
+      touched AS (
+        UPDATE sessions SET last_used_at = NOW()
+        WHERE id IN (
+          SELECT id FROM active WHERE last_used_at < NOW() - make_interval(secs => $4)
+        )
+      )
+      SELECT role FROM active;
+    `;
+    const res = await db.query(query, [id, userId, USER_STATUS_ACTIVE, TOUCH_INTERVAL_SECONDS]);
+    return res.rows[0]?.role ?? null;
+  },
+
+  async revokeSession(id, userId) {
+    const query = `
+      UPDATE sessions SET revoked_at = NOW()
+      WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL;
+    `;
+    const res = await db.query(query, [id, userId]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("Session not found", "SESSION_NOT_FOUND");
+    }
+  },
+
+  async revokeUserSessions(userId) {
+    const query = `
+      UPDATE sessions SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL;
+    `;
+    await db.query(query, [userId]);
+  },
+};
@@ -0,0 +1,22 @@
+import { db } from "../config/db.js";
+import { visibleAuthorCondition } from "../utils/visibility.js";
+
+export const TagRepository = {
+  // Посты авторов, скрытых от пользователя userId, в подсчёте не участвуют
+  async getTrendingTags(userId, hours, limit) {
+    const query = `
+      SELECT h.tag, COUNT(*) AS posts_count
+      FROM post_hashtags ph
+      JOIN hashtags h ON h.id = ph.hashtag_id
+      JOIN posts p ON p.id = ph.post_id
+      JOIN users u ON u.id = p.user_id
+      WHERE p.deleted_at IS NULL AND u.deleted_at IS NULL AND p.created_at > NOW() - make_interval(hours => $2)
+        AND ${visibleAuthorCondition("p.user_id", "$1")}
+      GROUP BY h.tag
+      ORDER BY posts_count DESC, h.tag ASC
+      LIMIT $3;
+    `;
+    const res = await db.query(query, [userId, hours, limit]);
+    return res.rows;
+  },
+};
@@ -0,0 +1,39 @@
+import { db } from "../config/db.js";
+
+export const TokenRepository = {
+  async createRefreshToken(dto) {
+    const query = `
+      INSERT INTO refresh_tokens (id, user_id, session_id)
+      VALUES ($1, $2, $3)
+      RETURNING id, user_id, session_id, created_at;
+    `;
+    const values = [dto.id, dto.user_id, dto.session_id];
+    const res = await db.query(query, values);
+    return res.rows[0];
+  },
+
+  async revokeRefreshToken(id, replacedBy) {
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2
+      WHERE id = $1 AND revoked_at IS NULL;
+    `;
+    const res = await db.query(query, [id, replacedBy]);
+    return res.rowCount > 0;
+  },
+
+  async revokeSessionTokens(sessionId) {
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = NOW()
+      WHERE session_id = $1 AND revoked_at IS NULL;
+    `;
+    await db.query(query, [sessionId]);
+  },
+
+  async revokeUserTokens(userId) {
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = NOW()
+      WHERE user_id = $1 AND revoked_at IS NULL;
+    `;
+    await db.query(query, [userId]);
+  },
+};
@@ -1,11 +1,48 @@
-import { pool } from "../config/db.js";
+import { db } from "../config/db.js";
+import { ConflictError, NotFoundError, ValidationError, mapDbError } from "../utils/errors.js";
+
+export const USER_STATUS_BLOCKED = 0;
+export const USER_STATUS_ACTIVE = 1;
+
+const USER_SORT_ORDERS = {
+  created_at_asc: "created_at ASC, id ASC",
+  created_at_desc: "created_at DESC, id DESC",
+  user_name_asc: "user_name ASC",
+  user_name_desc: "user_name DESC",
+};
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, "\\$&");
+}
+
+// Стирание персональных данных удалённого аккаунта; каждый запрос получает id пользователя.
+// Посты и сообщения не удаляются, чтобы не рвать ответы и переписку других пользователей,
+// а лишь теряют текст
+const PURGE_USER_QUERIES = [
+  `DELETE FROM likes WHERE user_id = $1;`,
+  `DELETE FROM views WHERE user_id = $1;`,
+  `DELETE FROM reposts WHERE user_id = $1;`,
+  `DELETE FROM follows WHERE follower_id = $1 OR followee_id = $1;`,
+  `DELETE FROM blocks WHERE blocker_id = $1 OR blocked_id = $1;`,
+  `DELETE FROM mutes WHERE muter_id = $1 OR muted_id = $1;`,
+  `DELETE FROM notifications WHERE user_id = $1 OR actor_id = $1;`,
+  `DELETE FROM mentions WHERE user_id = $1 OR post_id IN (SELECT id FROM posts WHERE user_id = $1);`,
+  `DELETE FROM post_hashtags WHERE post_id IN (SELECT id FROM posts WHERE user_id = $1);`,
+  `DELETE FROM post_revisions WHERE post_id IN (SELECT id FROM posts WHERE user_id = $1);`,
+  `UPDATE posts SET text = '', deleted_at = COALESCE(deleted_at, NOW()) WHERE user_id = $1;`,
+  `UPDATE messages SET text = '' WHERE sender_id = $1;`,
+  `UPDATE reports SET comment = NULL WHERE reporter_id = $1;`,
+  `DELETE FROM data_exports WHERE user_id = $1;`,
+  `DELETE FROM refresh_tokens WHERE user_id = $1;`,
+  `DELETE FROM sessions WHERE user_id = $1;`,
+];
 
 export const UserRepository = {
   async createUser(dto) {
     const query = `
       INSERT INTO users (user_name, first_name, last_name, password_hash)
       VALUES ($1, $2, $3, $4)
-      RETURNING id, user_name, password_hash, status;
+      RETURNING id, user_name, password_hash, status, role;
     `;
     const values = [
       dto.user_name,
@@ -13,43 +50,103 @@ export const UserRepository = {
       dto.last_name,
       dto.password_hash,
     ];
-    const res = await pool.query(query, values);
-    return res.rows[0];
+    try {
+      const res = await db.query(query, values);
+      return res.rows[0];
+    } catch (err) {
+      throw mapDbError(err, {
+        idx__users__user_name: new ConflictError("User already exists", "USER_ALREADY_EXISTS"),
+      });
+    }
   },
 
-  async getAllUsers(limit, offset) {
-    const query = `
+  async getAllUsers(dto) {
+    const params = [];
+    let relevance = "";
+    let query = `
       SELECT id, user_name, first_name, last_name, status, created_at, updated_at
       FROM users
       WHERE deleted_at IS NULL
-      OFFSET $1 LIMIT $2;
     `;
-    const res = await pool.query(query, [offset, limit]);
+
+    if (dto.search) {
+      // Совпадение по началу имени или нечёткое совпадение по триграммам (pg_trgm)
+      params.push(dto.search, `${escapeLike(dto.search)}%`);
+      const search = `$${params.length - 1}`;
+      const prefix = `$${params.length}`;
+      query += ` AND (
+        user_name ILIKE ${prefix} OR first_name ILIKE ${prefix} OR last_name ILIKE ${prefix}
+        OR user_name % ${search} OR first_name % ${search} OR last_name % ${search}
+      )`;
+      relevance = `GREATEST(
+        similarity(user_name, ${search}), similarity(first_name, ${search}), similarity(last_name, ${search})
+      ) DESC,`;
+    }
+
+    if (dto.created_from) {
+      query += ` AND created_at >= $${params.length + 1}`;
+      params.push(dto.created_from);
+    }
+
+    if (dto.created_to) {
+      query += ` AND created_at <= $${params.length + 1}`;
+      params.push(dto.created_to);
+    }
+
+    const sort = dto.sort || (dto.search ? "relevance" : "created_at_desc");
+    const order =
+      sort === "relevance" ? `${relevance} id ASC` : USER_SORT_ORDERS[sort] ?? USER_SORT_ORDERS.created_at_desc;
+    query += ` ORDER BY ${order}`;
+
+    query += ` OFFSET $${params.length + 1} LIMIT $${params.length + 2}`;
+    params.push(dto.offset, dto.limit);
+
+    const res = await db.query(query, params);
+    return res.rows;
+  },
+
+  async getAllUsersForAdmin(dto) {
+    const params = [];
+    let query = `
+      SELECT id, user_name, first_name, last_name, status, role, created_at, updated_at
+      FROM users
+      WHERE deleted_at IS NULL
+    `;
+
+    if (dto.status !== undefined) {
+      query += ` AND status = $${params.length + 1}`;
+      params.push(dto.status);
+    }
+
+    query += ` ORDER BY id ASC OFFSET $${params.length + 1} LIMIT $${params.length + 2}`;
+    params.push(dto.offset, dto.limit);
+
+    const res = await db.query(query, params);
     return res.rows;
   },
 
   async getUserById(id) {
     const query = `
-      SELECT id, user_name, first_name, last_name, status, created_at, updated_at
+      SELECT id, user_name, first_name, last_name, status, role, created_at, updated_at
       FROM users
       WHERE id = $1 AND deleted_at IS NULL;
     `;
-    const res = await pool.query(query, [id]);
+    const res = await db.query(query, [id]);
     if (res.rowCount === 0) {
-      throw new Error("User not found");
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
     }
     return res.rows[0];
   },
 
   async getUserByUserName(user_name) {
     const query = `
-      SELECT id, user_name, password_hash, status
+      SELECT id, user_name, password_hash, status, role
       FROM users
       WHERE user_name = $1 AND deleted_at IS NULL;
     `;
-    const res = await pool.query(query, [user_name]);
+    const res = await db.query(query, [user_name]);
     if (res.rowCount === 0) {
-      throw new Error("User not found");
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
     }
     return res.rows[0];
   },
@@ -77,20 +174,27 @@ export const UserRepository = {
     }
 
     if (fields.length === 0) {
-      throw new Error("No fields to update");
+      throw new ValidationError("No fields to update");
     }
 
     fields.push(`updated_at = NOW()`);
     const query = `
       UPDATE users SET ${fields.join(", ")}
       WHERE id = $${index} AND deleted_at IS NULL
-      RETURNING id, user_name, first_name, last_name, status, created_at, updated_at;
+      RETURNING id, user_name, first_name, last_name, status, role, created_at, updated_at;
     `;
     args.push(id);
 
-    const res = await pool.query(query, args);
+    let res;
+    try {
+      res = await db.query(query, args);
+    } catch (err) {
+      throw mapDbError(err, {
+        idx__users__user_name: new ConflictError("User already exists", "USER_ALREADY_EXISTS"),
+      });
+    }
     if (res.rowCount === 0) {
-      throw new Error("User not found");
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
     }
     return res.rows[0];
   },
@@ -100,9 +204,248 @@ export const UserRepository = {
       UPDATE users SET deleted_at = NOW()
       WHERE id = $1 AND deleted_at IS NULL;
     `;
-    const res = await pool.query(query, [id]);
+    const res = await db.query(query, [id]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+  },
+
+  // Последний удалённый, но ещё не стёртый аккаунт с таким именем
+  async getDeletedUserByUserName(user_name, retentionDays) {
+    const query = `
+      SELECT id, user_name, password_hash, status, role
+      FROM users
+      WHERE user_name = $1 AND purged_at IS NULL
+        AND deleted_at > NOW() - make_interval(days => $2)
+      ORDER BY deleted_at DESC
+      LIMIT 1;
+    `;
+    const res = await db.query(query, [user_name, retentionDays]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  async restoreUser(id, retentionDays) {
+    const query = `
+      UPDATE users SET deleted_at = NULL, updated_at = NOW()
+      WHERE id = $1 AND purged_at IS NULL
+        AND deleted_at > NOW() - make_interval(days => $2);
+    `;
+    let res;
+    try {
+      res = await db.query(query, [id, retentionDays]);
+    } catch (err) {
+      // Пока аккаунт был удалён, его имя мог занять другой пользователь
+      throw mapDbError(err, {
+        idx__users__user_name: new ConflictError("User name is already taken", "USER_NAME_TAKEN"),
+      });
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+  },
+
+  async getUsersToPurge(retentionDays, limit) {
+    const query = `
+      SELECT id FROM users
+      WHERE deleted_at IS NOT NULL AND purged_at IS NULL
+        AND deleted_at <= NOW() - make_interval(days => $1)
+      ORDER BY deleted_at ASC
+      LIMIT $2;
+    `;
+    const res = await db.query(query, [retentionDays, limit]);
+    return res.rows.map((row) => row.id);
+  },
+
+  // Должен выполняться в транзакции: сначала блокируется и обезличивается запись пользователя,
+  // чтобы одновременное восстановление не вернуло наполовину стёртый аккаунт.
+  // Возвращает false, если аккаунт уже стёрт или восстановлен
+  async purgeUser(id, retentionDays) {
+    const query = `
+      UPDATE users
+      SET user_name = 'deleted_' || id, first_name = '', last_name = '', password_hash = '',
+        purged_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NOT NULL AND purged_at IS NULL
+        AND deleted_at <= NOW() - make_interval(days => $2);
+    `;
+    const res = await db.query(query, [id, retentionDays]);
+    if (res.rowCount === 0) {
+      return false;
+    }
+    for (const purgeQuery of PURGE_USER_QUERIES) {
+      await db.query(purgeQuery, [id]);
+    }
+    return true;
+  },
+
+  async followUser(followerId, followeeId) {
+    const query = `
+      INSERT INTO follows (follower_id, followee_id)
+      SELECT $1, id FROM users
+      WHERE id = $2 AND deleted_at IS NULL;
+    `;
+
+    let res;
+    try {
+      res = await db.query(query, [followerId, followeeId]);
+    } catch (err) {
+      throw mapDbError(err, {
+        pk__follows: new ConflictError("User already followed", "USER_ALREADY_FOLLOWED"),
+        fk__follows__follower_id: new NotFoundError("User not found", "USER_NOT_FOUND"),
+      });
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+  },
+
+  async unfollowUser(followerId, followeeId) {
+    const query = `
+      DELETE FROM follows
+      WHERE follower_id = $1 AND followee_id = $2;
+    `;
+    const res = await db.query(query, [followerId, followeeId]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not followed", "FOLLOW_NOT_FOUND");
+    }
+  },
+
+  // Блокировка заодно отменяет подписки в обе стороны
+  async blockUser(blockerId, blockedId) {
+    const query = `
+      WITH blocked AS (
+        INSERT INTO blocks (blocker_id, blocked_id)
+        SELECT $1, id FROM users
+        WHERE id = $2 AND deleted_at IS NULL
+        RETURNING blocked_id
+      ),
+      unfollowed AS (
+        DELETE FROM follows f
+        USING blocked b
+        WHERE (f.follower_id = $1 AND f.followee_id = b.blocked_id)
+           OR (f.follower_id = b.blocked_id AND f.followee_id = $1)
+      )
+      SELECT blocked_id FROM blocked;
+    `;
+
+    let res;
+    try {
+      res = await db.query(query, [blockerId, blockedId]);
+    } catch (err) {
+      throw mapDbError(err, {
+        pk__blocks: new ConflictError("User already blocked", "USER_ALREADY_BLOCKED"),
+        fk__blocks__blocker_id: new NotFoundError("User not found", "USER_NOT_FOUND"),
+      });
+    }
+    if (res.rows.length === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+  },
+
+  async unblockUser(blockerId, blockedId) {
+    const query = `
+      DELETE FROM blocks
+      WHERE blocker_id = $1 AND blocked_id = $2;
+    `;
+    const res = await db.query(query, [blockerId, blockedId]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not blocked", "BLOCK_NOT_FOUND");
+    }
+  },
+
+  async isBlocked(blockerId, blockedId) {
+    const query = `
+      SELECT EXISTS (
+        SELECT 1 FROM blocks WHERE blocker_id = $1 AND blocked_id = $2
+      ) AS blocked;
+    `;
+    const res = await db.query(query, [blockerId, blockedId]);
+    return res.rows[0].blocked;
+  },
+
+  async muteUser(muterId, mutedId) {
+    const query = `
+      INSERT INTO mutes (muter_id, muted_id)
+      SELECT $1, id FROM users
+      WHERE id = $2 AND deleted_at IS NULL;
+    `;
+
+    let res;
+    try {
+      res = await db.query(query, [muterId, mutedId]);
+    } catch (err) {
+      throw mapDbError(err, {
+        pk__mutes: new ConflictError("User already muted", "USER_ALREADY_MUTED"),
+        fk__mutes__muter_id: new NotFoundError("User not found", "USER_NOT_FOUND"),
+      });
+    }
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+  },
+
+  async unmuteUser(muterId, mutedId) {
+    const query = `
+      DELETE FROM mutes
+      WHERE muter_id = $1 AND muted_id = $2;
+    `;
+    const res = await db.query(query, [muterId, mutedId]);
     if (res.rowCount === 0) {
-      throw new Error("User not found");
+      throw new NotFoundError("User not muted", "MUTE_NOT_FOUND");
     }
   },
+
+  async getFollowers(userId, limit, offset) {
+    const query = `
+      SELECT u.id, u.user_name, u.first_name, u.last_name, f.created_at AS followed_at
+      FROM follows f
+      JOIN users u ON u.id = f.follower_id
+      WHERE f.followee_id = $1 AND u.deleted_at IS NULL
+      ORDER BY f.created_at DESC
+      OFFSET $2 LIMIT $3;
+    `;
+    const res = await db.query(query, [userId, offset, limit]);
+    return res.rows;
+  },
+
+  async getFollowing(userId, limit, offset) {
+    const query = `
+      SELECT u.id, u.user_name, u.first_name, u.last_name, f.created_at AS followed_at
+      FROM follows f
+      JOIN users u ON u.id = f.followee_id
+      WHERE f.follower_id = $1 AND u.deleted_at IS NULL
+      ORDER BY f.created_at DESC
+      OFFSET $2 LIMIT $3;
+    `;
+    const res = await db.query(query, [userId, offset, limit]);
+    return res.rows;
+  },
+
+  async setUserStatus(id, status) {
+    const query = `
+      UPDATE users SET status = $2, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, user_name, first_name, last_name, status, role, created_at, updated_at;
+    `;
+    const res = await db.query(query, [id, status]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
+
+  async setUserRole(id, role) {
+    const query = `
+      UPDATE users SET role = $2, updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+      RETURNING id, user_name, first_name, last_name, status, role, created_at, updated_at;
+    `;
+    const res = await db.query(query, [id, role]);
+    if (res.rowCount === 0) {
+      throw new NotFoundError("User not found", "USER_NOT_FOUND");
+    }
+    return res.rows[0];
+  },
 };
@@ -0,0 +1,77 @@
+import express from "express";
+import { AdminController } from "../controllers/adminController.js";
+import { requestAuth, requireRole } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import {
+  filterAdminUserValidator,
+  filterReportValidator,
+  updateReportStatusValidator,
+  updateRoleValidator,
+} from "../validators/adminValidators.js";
+import { idParamsValidator, paginationValidator } from "../validators/commonValidators.js";
+
+const router = express.Router();
+
+router.use(requestAuth(process.env.ACCESS_TOKEN_SECRET));
+
+// Модерация контента доступна модераторам и администраторам
+router.get(
+  "/posts/deleted",
+  requireRole("moderator", "admin"),
+  validate(paginationValidator, "query"),
+  AdminController.getDeletedPosts
+);
+router.delete(
+  "/posts/:id",
+  requireRole("moderator", "admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.deletePost
+);
+router.get(
+  "/reports",
+  requireRole("moderator", "admin"),
+  validate(filterReportValidator, "query"),
+  AdminController.getReports
+);
+router.get(
+  "/reports/:id",
+  requireRole("moderator", "admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.getReportById
+);
+router.put(
+  "/reports/:id/status",
+  requireRole("moderator", "admin"),
+  validate(idParamsValidator, "params"),
+  validate(updateReportStatusValidator),
+  AdminController.updateReportStatus
+);
+
+// Управление аккаунтами — только администраторам
+router.get(
+  "/users",
+  requireRole("admin"),
+  validate(filterAdminUserValidator, "query"),
+  AdminController.getUsers
+);
+router.post(
+  "/users/:id/block",
+  requireRole("admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.blockUser
+);
+router.post(
+  "/users/:id/unblock",
+  requireRole("admin"),
+  validate(idParamsValidator, "params"),
+  AdminController.unblockUser
+);
+router.put(
+  "/users/:id/role",
+  requireRole("admin"),
+  validate(idParamsValidator, "params"),
+  validate(updateRoleValidator),
+  AdminController.setUserRole
+);
+
+export default router;
@@ -1,14 +1,29 @@
 import express from "express";
 import { AuthController } from "../controllers/authController.js";
+import { requestAuth } from "../middleware/auth.js";
 import { validate } from "../middleware/validate.js";
 import {
   loginValidator,
+  refreshValidator,
   registerValidator,
+  sessionParamsValidator,
 } from "../validators/authValidators.js";
 
 const router = express.Router();
 
 router.post("/login", validate(loginValidator), AuthController.login);
 router.post("/register", validate(registerValidator), AuthController.register);
+router.post("/refresh", validate(refreshValidator), AuthController.refresh);
+// Удалённый аккаунт восстанавливается по тем же данным, что и вход
+router.post("/restore", validate(loginValidator), AuthController.restore);
+
+router.post("/logout", requestAuth(process.env.ACCESS_TOKEN_SECRET), AuthController.logout);
+router.get("/sessions", requestAuth(process.env.ACCESS_TOKEN_SECRET), AuthController.getSessions);
+router.delete(
+  "/sessions/:id",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(sessionParamsValidator, "params"),
+  AuthController.revokeSession
+);
 
 export default router;
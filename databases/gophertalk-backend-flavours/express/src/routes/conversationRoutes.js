@@ -0,0 +1,62 @@
+import express from "express";
+import { ConversationController } from "../controllers/conversationController.js";
+import { requestAuth } from "../middleware/auth.js";
+import { requireConversationParticipant } from "../middleware/conversationAccess.js";
+import { validate } from "../middleware/validate.js";
+import { idParamsValidator, paginationValidator } from "../validators/commonValidators.js";
+import {
+  createConversationValidator,
+  createMessageValidator,
+  markConversationReadValidator,
+  messagesQueryValidator,
+} from "../validators/conversationValidators.js";
+
+const router = express.Router();
+
+router.get(
+  "/",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(paginationValidator, "query"),
+  ConversationController.getConversations
+);
+router.post(
+  "/",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(createConversationValidator),
+  ConversationController.createConversation
+);
+
+// Дальше — только участники диалога
+router.get(
+  "/:id",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  requireConversationParticipant,
+  ConversationController.getConversationById
+);
+router.get(
+  "/:id/messages",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  requireConversationParticipant,
+  validate(messagesQueryValidator, "query"),
+  ConversationController.getMessages
+);
+router.post(
+  "/:id/messages",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  requireConversationParticipant,
+  validate(createMessageValidator),
+  ConversationController.sendMessage
+);
+router.post(
+  "/:id/read",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  requireConversationParticipant,
+  validate(markConversationReadValidator),
+  ConversationController.markRead
+);
+
+export default router;
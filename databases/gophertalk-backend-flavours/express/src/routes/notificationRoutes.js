@@ -0,0 +1,23 @@
+import express from "express";
+import { NotificationController } from "../controllers/notificationController.js";
+import { requestAuth } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import { markReadValidator, notificationsQueryValidator } from "../validators/notificationValidators.js";
+
+const router = express.Router();
+
+router.get(
+  "/",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(notificationsQueryValidator, "query"),
+  NotificationController.getNotifications
+);
+
+router.post(
+  "/read",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(markReadValidator),
+  NotificationController.markRead
+);
+
+export default router;
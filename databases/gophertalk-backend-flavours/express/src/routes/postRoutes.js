@@ -1,12 +1,40 @@
 import express from "express";
 import { PostController } from "../controllers/postController.js";
-import { requestAuth, requestAuthSameId } from "../middleware/auth.js";
+import { ReportController } from "../controllers/reportController.js";
+import { requestAuth } from "../middleware/auth.js";
 import { validate } from "../middleware/validate.js";
-import { createPostValidator } from "../validators/postValidators.js";
+import { idParamsValidator } from "../validators/commonValidators.js";
+import { createReportValidator } from "../validators/reportValidators.js";
+import {
+  createPostValidator,
+  filterPostValidator,
+  threadQueryValidator,
+  updatePostValidator,
+} from "../validators/postValidators.js";
 
 const router = express.Router();
 
-router.get("/", requestAuth(process.env.ACCESS_TOKEN_SECRET), PostController.getAllPosts);
+router.get(
+  "/",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(filterPostValidator, "query"),
+  PostController.getAllPosts
+);
+
+router.get(
+  "/:id",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.getPostById
+);
+
+router.get(
+  "/:id/thread",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  validate(threadQueryValidator, "query"),
+  PostController.getThread
+);
 
 router.post(
   "/",
@@ -15,12 +43,70 @@ router.post(
   PostController.createPost
 );
 
-router.delete("/:id", requestAuthSameId(process.env.ACCESS_TOKEN_SECRET), PostController.deletePost);
+router.get(
+  "/:id/revisions",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.getPostRevisions
+);
 
-router.post("/:id/view", requestAuth(process.env.ACCESS_TOKEN_SECRET), PostController.viewPost);
+router.put(
+  "/:id",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  validate(updatePostValidator),
+  PostController.updatePost
+);
 
-router.post("/:id/like", requestAuth(process.env.ACCESS_TOKEN_SECRET), PostController.likePost);
+// Удалить пост может только его автор: это проверяет PostRepository.deletePost
+router.delete(
+  "/:id",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.deletePost
+);
+
+router.post(
+  "/:id/view",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.viewPost
+);
 
-router.post("/:id/dislike", requestAuth(process.env.ACCESS_TOKEN_SECRET), PostController.dislikePost);
+router.post(
+  "/:id/like",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.likePost
+);
+
+router.post(
+  "/:id/dislike",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.dislikePost
+);
+
+router.post(
+  "/:id/repost",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.repostPost
+);
+
+router.delete(
+  "/:id/repost",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  PostController.undoRepost
+);
+
+router.post(
+  "/:id/report",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  validate(createReportValidator),
+  ReportController.reportPost
+);
 
 export default router;
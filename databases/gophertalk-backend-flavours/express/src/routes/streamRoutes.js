@@ -0,0 +1,9 @@
+import express from "express";
+import { StreamController } from "../controllers/streamController.js";
+import { requestStreamAuth } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.get("/", requestStreamAuth(process.env.ACCESS_TOKEN_SECRET), StreamController.stream);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import { TagController } from "../controllers/tagController.js";
+import { requestAuth } from "../middleware/auth.js";
+import { validate } from "../middleware/validate.js";
+import {
+  tagParamsValidator,
+  tagPostsQueryValidator,
+  trendingQueryValidator,
+} from "../validators/tagValidators.js";
+
+const router = express.Router();
+
+router.get(
+  "/trending",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(trendingQueryValidator, "query"),
+  TagController.getTrendingTags
+);
+
+router.get(
+  "/:tag/posts",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(tagParamsValidator, "params"),
+  validate(tagPostsQueryValidator, "query"),
+  TagController.getTagPosts
+);
+
+export default router;
@@ -1,22 +1,124 @@
 import express from "express";
+import { ExportController } from "../controllers/exportController.js";
+import { ReportController } from "../controllers/reportController.js";
 import { UserController } from "../controllers/userController.js";
 import { requestAuth, requestAuthSameId } from "../middleware/auth.js";
 import { validate } from "../middleware/validate.js";
-import { updateUserValidator } from "../validators/userValidators.js";
+import { idParamsValidator, paginationValidator } from "../validators/commonValidators.js";
+import { exportParamsValidator } from "../validators/exportValidators.js";
+import { createReportValidator } from "../validators/reportValidators.js";
+import { filterUserValidator, updateUserValidator } from "../validators/userValidators.js";
 
 const router = express.Router();
 
 // Только авторизованные пользователи
-router.get("/", requestAuth(process.env.ACCESS_TOKEN_SECRET), UserController.getAllUsers);
-router.get("/:id", requestAuth(process.env.ACCESS_TOKEN_SECRET), UserController.getUserById);
+router.get(
+  "/",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(filterUserValidator, "query"),
+  UserController.getAllUsers
+);
+router.get(
+  "/:id",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.getUserById
+);
+router.get(
+  "/:id/followers",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  validate(paginationValidator, "query"),
+  UserController.getFollowers
+);
+router.get(
+  "/:id/following",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  validate(paginationValidator, "query"),
+  UserController.getFollowing
+);
+
+// Подписка оформляется от имени текущего пользователя
+router.post(
+  "/:id/follow",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.followUser
+);
+router.delete(
+  "/:id/follow",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.unfollowUser
+);
+
+// Блокировка и скрытие тоже оформляются от имени текущего пользователя
+router.post(
+  "/:id/block",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.blockUser
+);
+router.delete(
+  "/:id/block",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.unblockUser
+);
+router.post(
+  "/:id/mute",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.muteUser
+);
+router.delete(
+  "/:id/mute",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.unmuteUser
+);
+router.post(
+  "/:id/report",
+  requestAuth(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  validate(createReportValidator),
+  ReportController.reportUser
+);
 
 // Обновить или удалить пользователь может только себя
 router.put(
   "/:id",
   requestAuthSameId(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
   validate(updateUserValidator),
   UserController.updateUser
 );
-router.delete("/:id", requestAuthSameId(process.env.ACCESS_TOKEN_SECRET), UserController.deleteUserById);
+router.delete(
+  "/:id",
+  requestAuthSameId(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  UserController.deleteUserById
+);
+
+// Выгрузка персональных данных тоже доступна только самому пользователю
+router.post(
+  "/:id/exports",
+  requestAuthSameId(process.env.ACCESS_TOKEN_SECRET),
+  validate(idParamsValidator, "params"),
+  ExportController.requestExport
+);
+router.get(
+  "/:id/exports/:export_id",
+  requestAuthSameId(process.env.ACCESS_TOKEN_SECRET),
+  validate(exportParamsValidator, "params"),
+  ExportController.getExport
+);
+router.get(
+  "/:id/exports/:export_id/download",
+  requestAuthSameId(process.env.ACCESS_TOKEN_SECRET),
+  validate(exportParamsValidator, "params"),
+  ExportController.downloadExport
+);
 
 export default router;
@@ -0,0 +1,89 @@
+import { db } from "../config/db.js";
+import { PostRepository } from "../repositories/postRepository.js";
+import { ReportRepository } from "../repositories/reportRepository.js";
+import { SessionRepository } from "../repositories/sessionRepository.js";
+import { TokenRepository } from "../repositories/tokenRepository.js";
+import { USER_STATUS_ACTIVE, USER_STATUS_BLOCKED, UserRepository } from "../repositories/userRepository.js";
+import { ConflictError, ForbiddenError } from "../utils/errors.js";
+
+// Допустимые переходы статусов жалобы; actioned и dismissed — итоговые
+const REPORT_TRANSITIONS = {
+  open: ["reviewing", "actioned", "dismissed"],
+  reviewing: ["open", "actioned", "dismissed"],
+  actioned: [],
+  dismissed: [],
+};
+
+export const AdminService = {
+  async getUsers(filterDTO) {
+    return await UserRepository.getAllUsersForAdmin(filterDTO);
+  },
+
+  async blockUser(id, adminId) {
+    if (Number(id) === Number(adminId)) {
+      throw new ForbiddenError("You cannot block yourself", "CANNOT_BLOCK_SELF");
+    }
+    return await db.transaction(async () => {
+      const user = await UserRepository.setUserStatus(id, USER_STATUS_BLOCKED);
+      // Завершаем все сессии, чтобы уже выданные токены перестали действовать
+      await SessionRepository.revokeUserSessions(id);
+      await TokenRepository.revokeUserTokens(id);
+      return user;
+    });
+  },
+
+  async unblockUser(id) {
+    return await UserRepository.setUserStatus(id, USER_STATUS_ACTIVE);
+  },
+
+  async setUserRole(id, role, adminId) {
+    // Иначе последний администратор может лишить себя прав
+    if (Number(id) === Number(adminId)) {
+      throw new ForbiddenError("You cannot change your own role", "CANNOT_CHANGE_OWN_ROLE");
+    }
+    return await UserRepository.setUserRole(id, role);
+  },
+
+  async deletePost(id, moderatorId) {
+    await db.transaction(async () => {
+      await PostRepository.forceDeletePost(id);
+      await ReportRepository.actionOpenPostReports(id, moderatorId, "Post removed by moderator");
+    });
+  },
+
+  async getDeletedPosts(limit, offset) {
+    return await PostRepository.getDeletedPosts(limit, offset);
+  },
+
+  async getReports(filterDTO) {
+    return await ReportRepository.getReports(filterDTO);
+  },
+
+  async getReportById(id) {
+    return await ReportRepository.getReportById(id);
+  },
+
+  async updateReportStatus(id, moderatorId, dto) {
+    return await db.transaction(async () => {
+      const report = await ReportRepository.getReportById(id);
+      if (!REPORT_TRANSITIONS[report.status].includes(dto.status)) {
+        throw new ConflictError(
+          `Cannot change report status from ${report.status} to ${dto.status}`,
+          "INVALID_REPORT_TRANSITION"
+        );
+      }
+
+      await ReportRepository.updateStatus(id, report.status, dto.status, moderatorId, dto.note);
+
+      // Принятые меры по жалобе на пост — это его удаление; остальные жалобы на тот же пост закрываются
+      if (dto.status === "actioned" && report.post) {
+        if (!report.post.deleted_at) {
+          await PostRepository.forceDeletePost(report.post.id);
+        }
+        await ReportRepository.actionOpenPostReports(report.post.id, moderatorId, `Post removed by report #${id}`);
+      }
+
+      return await ReportRepository.getReportById(id);
+    });
+  },
+};
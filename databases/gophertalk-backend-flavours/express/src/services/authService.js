@@ -1,21 +1,62 @@
 import bcrypt from "bcrypt";
+import { randomUUID } from "crypto";
 import jwt from "jsonwebtoken";
-import { UserRepository } from "../repositories/userRepository.js";
+import { db } from "../config/db.js";
+import { SessionRepository } from "../repositories/sessionRepository.js";
+import { TokenRepository } from "../repositories/tokenRepository.js";
+import { USER_STATUS_BLOCKED, UserRepository } from "../repositories/userRepository.js";
+import { ForbiddenError, NotFoundError, UnauthorizedError } from "../utils/errors.js";
+import { accountRetentionDays } from "./userService.js";
+
+function blockedError() {
+  return new ForbiddenError("User is blocked", "USER_BLOCKED");
+}
+
+async function checkCredentials(user, password) {
+  const valid = await bcrypt.compare(password, user.password_hash);
+  if (!valid) {
+    throw new UnauthorizedError("Wrong password", "INVALID_CREDENTIALS");
+  }
+  if (user.status === USER_STATUS_BLOCKED) {
+    throw blockedError();
+  }
+}
 
 export const AuthService = {
-  async login(dto) {
-    const user = await UserRepository.getUserByUserName(dto.user_name);
-    if (!user) {
-      throw new Error("User not found");
+  async login(dto, meta = {}) {
+    let user;
+    try {
+      user = await UserRepository.getUserByUserName(dto.user_name);
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        throw new UnauthorizedError("User not found", "INVALID_CREDENTIALS");
+      }
+      throw err;
     }
-    const valid = await bcrypt.compare(dto.password, user.password_hash);
-    if (!valid) {
-      throw new Error("Wrong password");
+    await checkCredentials(user, dto.password);
+    return await this.startSession(user, meta);
+  },
+
+  // Восстанавливает удалённый аккаунт, пока не истёк срок хранения, и входит в него
+  async restore(dto, meta = {}) {
+    const retentionDays = accountRetentionDays();
+    let user;
+    try {
+      user = await UserRepository.getDeletedUserByUserName(dto.user_name, retentionDays);
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        throw new UnauthorizedError("User not found", "INVALID_CREDENTIALS");
+      }
+      throw err;
     }
-    return this.generateTokenPair(user);
+    await checkCredentials(user, dto.password);
+    return await db.transaction(async () => {
+      await UserRepository.restoreUser(user.id, retentionDays);
+      return await this.startSession(user, meta);
+    });
   },
 
-  async register(dto) {
+  async register(dto, meta = {}) {
     const hashedPassword = await bcrypt.hash(dto.password, 10);
     const newUserDTO = {
       user_name: dto.user_name,
@@ -23,22 +64,120 @@ export const AuthService = {
       first_name: dto.first_name,
       last_name: dto.last_name,
     };
-    const user = await UserRepository.createUser(newUserDTO);
-    return this.generateTokenPair(user);
+    // Пользователь без сессии не создаётся
+    return await db.transaction(async () => {
+      const user = await UserRepository.createUser(newUserDTO);
+      return await this.startSession(user, meta);
+    });
   },
 
-  generateTokenPair(user) {
-    const id = user.id.toString();
-    const accessToken = jwt.sign({ sub: id }, process.env.ACCESS_TOKEN_SECRET, {
-      expiresIn: process.env.ACCESS_TOKEN_EXPIRES,
+  async refresh(dto) {
+    let claims;
+    try {
+      claims = jwt.verify(dto.refresh_token, process.env.REFRESH_TOKEN_SECRET);
+    } catch (err) {
+      throw new UnauthorizedError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+    }
+    if (!claims.jti || !claims.sid) {
+      throw new UnauthorizedError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+    }
+
+    // Роль и статус перечитываются из базы, чтобы их изменение вступало в силу при обновлении токенов.
+    // Статус проверяется раньше сессии: блокировка отзывает все сессии пользователя,
+    // и иначе он получал бы SESSION_REVOKED вместо USER_BLOCKED
+    let user;
+    try {
+      user = await UserRepository.getUserById(claims.sub);
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        throw new UnauthorizedError("Session revoked", "SESSION_REVOKED");
+      }
+      throw err;
+    }
+    if (user.status === USER_STATUS_BLOCKED) {
+      throw blockedError();
+    }
+
+    const active = await SessionRepository.touchSession(claims.sid, claims.sub);
+    if (!active) {
+      throw new UnauthorizedError("Session revoked", "SESSION_REVOKED");
+    }
+
+    // Старый токен отзывается атомарно вместе с выдачей новой пары: если пару выдать не удалось,
+    // старый токен остаётся действующим
+    const nextTokenId = randomUUID();
+    const tokens = await db.transaction(async () => {
+      const rotated = await TokenRepository.revokeRefreshToken(claims.jti, nextTokenId);
+      if (!rotated) {
+        return null;
+      }
+      return await this.generateTokenPair(user, {
+        session_id: claims.sid,
+        token_id: nextTokenId,
+      });
     });
+
+    // Токен уже был отозван, значит его кто-то использует повторно: завершаем всю сессию.
+    // Это делается вне транзакции ротации, чтобы завершение сессии ничто не откатило
+    if (!tokens) {
+      await this.revokeSession(claims.sid, claims.sub);
+      throw new UnauthorizedError("Refresh token reuse detected", "REFRESH_TOKEN_REUSED");
+    }
+    return tokens;
+  },
+
+  async logout(claims) {
+    return await this.revokeSession(claims.sid, claims.sub);
+  },
+
+  async getSessions(claims) {
+    const sessions = await SessionRepository.getSessionsByUserId(claims.sub);
+    return sessions.map((session) => ({
+      ...session,
+      current: session.id === claims.sid,
+    }));
+  },
+
+  async revokeSession(sessionId, userId) {
+    await db.transaction(async () => {
+      await SessionRepository.revokeSession(sessionId, userId);
+      await TokenRepository.revokeSessionTokens(sessionId);
+    });
+  },
+
+  async startSession(user, meta) {
+    return await db.transaction(async () => {
+      const session = await SessionRepository.createSession({
+        id: randomUUID(),
+        user_id: user.id,
+        user_agent: meta.user_agent ?? null,
+        ip: meta.ip ?? null,
+      });
+      return await this.generateTokenPair(user, { session_id: session.id });
+    });
+  },
+
+  async generateTokenPair(user, { session_id, token_id = randomUUID() }) {
+    const id = user.id.toString();
+    const accessToken = jwt.sign(
+      { sub: id, sid: session_id, role: user.role },
+      process.env.ACCESS_TOKEN_SECRET,
+      {
+        expiresIn: process.env.ACCESS_TOKEN_EXPIRES,
+      }
+    );
     const refreshToken = jwt.sign(
-      { sub: id },
+      { sub: id, sid: session_id, jti: token_id },
       process.env.REFRESH_TOKEN_SECRET,
       {
         expiresIn: process.env.REFRESH_TOKEN_EXPIRES,
       }
     );
+    await TokenRepository.createRefreshToken({
+      id: token_id,
+      user_id: user.id,
+      session_id,
+    });
     return {
       access_token: accessToken,
       refresh_token: refreshToken,
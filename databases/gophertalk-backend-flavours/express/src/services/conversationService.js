@@ -0,0 +1,57 @@
+import { ConversationRepository } from "../repositories/conversationRepository.js";
+import { UserRepository } from "../repositories/userRepository.js";
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
+import { ForbiddenError, ValidationError } from "../utils/errors.js";
+
+// Переписка невозможна, если один из собеседников заблокировал другого
+async function checkNotBlocked(userId, participantId) {
+  if (await UserRepository.isBlocked(participantId, userId)) {
+    throw new ForbiddenError("You are blocked by this user", "BLOCKED_BY_USER");
+  }
+  if (await UserRepository.isBlocked(userId, participantId)) {
+    throw new ForbiddenError("You have blocked this user", "USER_BLOCKED_BY_YOU");
+  }
+}
+
+export const ConversationService = {
+  async createConversation(userId, participantId) {
+    if (userId === participantId) {
+      throw new ValidationError("Cannot start conversation with yourself", [], "SELF_CONVERSATION");
+    }
+    await checkNotBlocked(userId, participantId);
+    const { id, created } = await ConversationRepository.getOrCreateConversation(userId, participantId);
+    const conversation = await ConversationRepository.getConversationById(id, userId);
+    return { conversation, created };
+  },
+
+  async getConversations(userId, limit, offset) {
+    return await ConversationRepository.getConversations(userId, limit, offset);
+  },
+
+  async getConversationById(id, userId) {
+    return await ConversationRepository.getConversationById(id, userId);
+  },
+
+  async getMessages(conversationId, { limit, after }) {
+    const cursorId = after ? decodeCursor(after).id : null;
+
+    const messages = await ConversationRepository.getMessages(conversationId, limit + 1, cursorId);
+    const data = messages.slice(0, limit);
+    const last = data[data.length - 1];
+
+    return {
+      data,
+      next_cursor: messages.length > limit ? encodeCursor({ id: Number(last.id) }) : null,
+    };
+  },
+
+  async sendMessage(conversationId, senderId, text) {
+    const participants = await ConversationRepository.getParticipants(conversationId);
+    await checkNotBlocked(senderId, participants.find((id) => id !== senderId));
+    return await ConversationRepository.createMessage(conversationId, senderId, text);
+  },
+
+  async markRead(conversationId, readerId, messageId) {
+    return await ConversationRepository.markRead(conversationId, readerId, messageId);
+  },
+};
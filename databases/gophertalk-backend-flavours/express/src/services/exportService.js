@@ -0,0 +1,113 @@
+import { db } from "../config/db.js";
+import { ExportRepository } from "../repositories/exportRepository.js";
+import { createTarGz } from "../utils/archive.js";
+import { toCsv } from "../utils/csv.js";
+
+// Задача, которая выполняется дольше часа, считается брошенной и перезапускается
+const EXPORT_STALE_SECONDS = 3600;
+
+// Столбцы CSV заданы явно, чтобы у пустых разделов тоже был заголовок
+const CSV_COLUMNS = {
+  profile: ["id", "user_name", "first_name", "last_name", "role", "created_at", "updated_at"],
+  posts: ["id", "text", "reply_to_id", "quote_of_id", "created_at", "edited_at", "deleted_at"],
+  post_revisions: ["post_id", "text", "created_at"],
+  likes: ["post_id", "created_at"],
+  views: ["post_id", "created_at"],
+  reposts: ["post_id", "created_at"],
+  following: ["user_id", "user_name", "created_at"],
+  followers: ["user_id", "user_name", "created_at"],
+  messages: ["id", "conversation_id", "sender_id", "text", "created_at", "read_at"],
+};
+
+// Выгрузки до этого числа строк собираются сразу в ответ на запрос, по умолчанию 1000
+function exportSyncMaxRows() {
+  return Number(process.env.EXPORT_SYNC_MAX_ROWS) || 1000;
+}
+
+// Сколько секунд хранится готовый архив, по умолчанию 7 дней
+function exportTtlSeconds() {
+  return Number(process.env.EXPORT_TTL_SECONDS) || 7 * 24 * 3600;
+}
+
+// Очередь в процессе разбирает один фоновый обработчик. Задача, поставленная, пока он
+// заканчивает проход, не должна ждать следующего запроса, поэтому проход повторяется
+let worker = null;
+let rerun = false;
+
+function wakeWorker() {
+  if (worker) {
+    rerun = true;
+    return;
+  }
+  worker = (async () => {
+    do {
+      rerun = false;
+      await ExportService.processPendingExports();
+    } while (rerun);
+  })()
+    .catch((err) => console.error("Export processing failed:", err))
+    .finally(() => {
+      worker = null;
+    });
+}
+
+export const ExportService = {
+  // Небольшая выгрузка возвращается сразу как { archive }, большая ставится в очередь: { job }
+  async requestExport(userId) {
+    const rowsCount = await ExportRepository.countUserData(userId);
+    if (rowsCount <= exportSyncMaxRows()) {
+      return { archive: await this.buildArchive(userId) };
+    }
+
+    const job = await ExportRepository.createExport(userId);
+    // Очередь разбирается в фоне этим же процессом; задачи, брошенные при его падении,
+    // подберёт npm run exports:process
+    wakeWorker();
+    return { job };
+  },
+
+  async getExport(id, userId) {
+    return await ExportRepository.getExport(id, userId);
+  },
+
+  async getExportArchive(id, userId) {
+    return await ExportRepository.getExportArchive(id, userId);
+  },
+
+  // Архив содержит export.json со всеми разделами и по CSV-файлу на раздел
+  async buildArchive(userId) {
+    const data = await db.transaction(async () => await ExportRepository.getUserData(userId));
+
+    const files = [
+      {
+        name: "export.json",
+        content: JSON.stringify({ exported_at: new Date(), ...data }, null, 2),
+      },
+    ];
+    for (const [section, columns] of Object.entries(CSV_COLUMNS)) {
+      const rows = section === "profile" ? [data.profile] : data[section];
+      files.push({ name: `${section}.csv`, content: toCsv(rows, columns) });
+    }
+    return await createTarGz(files);
+  },
+
+  // Выполняет задачи из очереди, пока она не опустеет; возвращает число обработанных
+  async processPendingExports() {
+    await ExportRepository.expireExports();
+
+    let processed = 0;
+    for (;;) {
+      const job = await ExportRepository.claimExport(EXPORT_STALE_SECONDS);
+      if (!job) {
+        return processed;
+      }
+      try {
+        const archive = await this.buildArchive(job.user_id);
+        await ExportRepository.completeExport(job.id, archive, exportTtlSeconds());
+      } catch (err) {
+        await ExportRepository.failExport(job.id, err.message);
+      }
+      processed++;
+    }
+  },
+};
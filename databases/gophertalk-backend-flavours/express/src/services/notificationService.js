@@ -0,0 +1,27 @@
+import { NotificationRepository } from "../repositories/notificationRepository.js";
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
+
+export const NotificationService = {
+  async getNotifications(userId, { limit, after }) {
+    const cursorId = after ? decodeCursor(after).id : null;
+
+    // Запрашиваем на одну группу больше, чтобы понять, есть ли следующая страница
+    const groups = await NotificationRepository.getNotifications(userId, limit + 1, cursorId);
+    const data = groups.slice(0, limit);
+    const last = data[data.length - 1];
+    const unreadCount = await NotificationRepository.countUnread(userId);
+
+    return {
+      data,
+      next_cursor: groups.length > limit ? encodeCursor({ id: Number(last.id) }) : null,
+      unread_count: unreadCount,
+    };
+  },
+
+  async markRead(userId, dto) {
+    if (dto.all) {
+      return await NotificationRepository.markAllRead(userId);
+    }
+    return await NotificationRepository.markRead(userId, dto.ids);
+  },
+};
@@ -1,12 +1,150 @@
+import { db } from "../config/db.js";
+import { NotificationRepository } from "../repositories/notificationRepository.js";
 import { PostRepository } from "../repositories/postRepository.js";
+import { decodeCursor, encodeCursor } from "../utils/cursor.js";
+import { parseEntities, uniqueTags, uniqueUserNames } from "../utils/entities.js";
+import { ForbiddenError } from "../utils/errors.js";
+
+const THREAD_MAX_DEPTH = 10;
+const THREAD_MAX_LIMIT = 50;
+const STATS_RECONCILE_BATCH_SIZE = 1000;
+
+// Окно редактирования поста в секундах, по умолчанию 15 минут
+function postEditWindow() {
+  return Number(process.env.POST_EDIT_WINDOW_SECONDS) || 900;
+}
+
+// Заблокированный автором пользователь не может отвечать на его посты, цитировать, лайкать и репостить их
+async function checkNotBlockedByAuthor(postId, userId) {
+  if (await PostRepository.isBlockedByAuthor(postId, userId)) {
+    throw new ForbiddenError("You are blocked by the post author", "BLOCKED_BY_AUTHOR");
+  }
+}
 
 export const PostService = {
   async getAllPosts(filterDTO) {
-    return await PostRepository.getAllPosts(filterDTO);
+    if (filterDTO.pagination !== "cursor" && !filterDTO.before && !filterDTO.after) {
+      return await PostRepository.getAllPosts(filterDTO);
+    }
+    return await this.getPostsPage(filterDTO);
+  },
+
+  async getPostsPage(filterDTO) {
+    const { before, after, limit } = filterDTO;
+    const forward = !before;
+    const rawCursor = before || after;
+    const cursor = rawCursor
+      ? { direction: forward ? "after" : "before", id: decodeCursor(rawCursor).id }
+      : null;
+
+    // Запрашиваем на одну запись больше, чтобы понять, есть ли следующая страница
+    const posts = await PostRepository.getAllPosts({ ...filterDTO, cursor, limit: limit + 1 });
+    const hasMore = posts.length > limit;
+    const data = forward ? posts.slice(0, limit) : posts.slice(Math.max(posts.length - limit, 0));
+
+    const hasNext = forward ? hasMore : true;
+    const hasPrev = forward ? Boolean(cursor) : hasMore;
+    const first = data[0];
+    const last = data[data.length - 1];
+
+    return {
+      data,
+      next_cursor: hasNext && last ? encodeCursor({ id: Number(last.id) }) : null,
+      prev_cursor: hasPrev && first ? encodeCursor({ id: Number(first.id) }) : null,
+    };
+  },
+
+  async getPostById(postId, userId) {
+    return await PostRepository.getPostById(postId, userId);
+  },
+
+  async getThread(threadDTO) {
+    const posts = await PostRepository.getThread({
+      ...threadDTO,
+      depth: Math.min(threadDTO.depth, THREAD_MAX_DEPTH),
+      limit: Math.min(threadDTO.limit, THREAD_MAX_LIMIT),
+    });
+
+    // Предки приходят от корня к родителю (depth < 0), потомки собираются в дерево
+    const ancestors = posts.filter((post) => post.depth < 0);
+    const nodes = new Map();
+    let root = null;
+    for (const post of posts.filter((post) => post.depth >= 0)) {
+      const node = { ...post, replies: [] };
+      nodes.set(node.id, node);
+      if (node.depth === 0) {
+        root = node;
+      } else {
+        nodes.get(node.reply_to_id)?.replies.push(node);
+      }
+    }
+
+    return { ancestors, post: root };
   },
 
   async createPost(createDTO) {
-    return await PostRepository.createPost(createDTO);
+    if (createDTO.reply_to_id) {
+      await checkNotBlockedByAuthor(createDTO.reply_to_id, createDTO.user_id);
+    }
+    if (createDTO.quote_of_id) {
+      await checkNotBlockedByAuthor(createDTO.quote_of_id, createDTO.user_id);
+    }
+
+    // Пост, его хэштеги, упоминания и уведомления сохраняются вместе
+    return await db.transaction(async () => {
+      const post = await PostRepository.createPost(createDTO);
+      const entities = parseEntities(post.text);
+      const mentionedIds = await PostRepository.savePostEntities(
+        post.id,
+        uniqueTags(entities),
+        uniqueUserNames(entities)
+      );
+
+      if (post.reply_to_id) {
+        await NotificationRepository.createForPostAuthor("reply", createDTO.user_id, post.reply_to_id, post.id);
+      }
+      if (post.quote_of_id) {
+        await NotificationRepository.createForPostAuthor("quote", createDTO.user_id, post.quote_of_id, post.id);
+      }
+      if (mentionedIds.length > 0) {
+        await NotificationRepository.createForUsers("mention", createDTO.user_id, mentionedIds, post.id);
+      }
+      return { ...post, entities };
+    });
+  },
+
+  async updatePost(postId, userId, updateDTO) {
+    const editWindow = postEditWindow();
+    const post = await PostRepository.getPostForEdit(postId, editWindow);
+    if (Number(post.user_id) !== userId) {
+      throw new ForbiddenError("Only the author can edit the post", "NOT_POST_OWNER");
+    }
+    if (!post.editable) {
+      throw new ForbiddenError("Edit window has expired", "EDIT_WINDOW_EXPIRED");
+    }
+    return await db.transaction(async () => {
+      const updated = await PostRepository.updatePost(postId, userId, updateDTO.text, editWindow);
+
+      // Хэштеги и упоминания пересобираются по новому тексту; уведомление получают
+      // только пользователи, которых в прежнем тексте не было
+      const entities = parseEntities(updated.text);
+      const previousIds = await PostRepository.clearPostEntities(updated.id);
+      const mentionedIds = await PostRepository.savePostEntities(
+        updated.id,
+        uniqueTags(entities),
+        uniqueUserNames(entities)
+      );
+      const previous = new Set(previousIds.map(Number));
+      const addedIds = mentionedIds.filter((id) => !previous.has(Number(id)));
+      if (addedIds.length > 0) {
+        await NotificationRepository.createForUsers("mention", userId, addedIds, updated.id);
+      }
+      return { ...updated, entities };
+    });
+  },
+
+  async getPostRevisions(postId) {
+    return await PostRepository.getPostRevisions(postId);
   },
 
   async deletePost(postId, ownerId) {
@@ -18,10 +156,43 @@ export const PostService = {
   },
 
   async likePost(postId, userId) {
-    return await PostRepository.likePost(postId, userId);
+    await checkNotBlockedByAuthor(postId, userId);
+    await db.transaction(async () => {
+      await PostRepository.likePost(postId, userId);
+      await NotificationRepository.createForPostAuthor("like", userId, postId);
+    });
   },
 
   async dislikePost(postId, userId) {
     return await PostRepository.dislikePost(postId, userId);
   },
+
+  async repostPost(postId, userId) {
+    await checkNotBlockedByAuthor(postId, userId);
+    await db.transaction(async () => {
+      await PostRepository.repostPost(postId, userId);
+      await NotificationRepository.createForPostAuthor("repost", userId, postId);
+    });
+  },
+
+  async undoRepost(postId, userId) {
+    return await PostRepository.undoRepost(postId, userId);
+  },
+
+  // Сверяет счётчики постов с фактическими данными пачками, каждая — в своей транзакции.
+  // Возвращает число созданных и исправленных записей
+  async reconcilePostStats() {
+    let fixed = await PostRepository.createMissingPostStats();
+    let afterId = 0;
+    for (;;) {
+      const batch = await db.transaction(
+        async () => await PostRepository.reconcilePostStats(afterId, STATS_RECONCILE_BATCH_SIZE)
+      );
+      if (batch.last_id === null) {
+        return fixed;
+      }
+      fixed += batch.fixed;
+      afterId = batch.last_id;
+    }
+  },
 };
@@ -0,0 +1,15 @@
+import { ReportRepository } from "../repositories/reportRepository.js";
+import { ValidationError } from "../utils/errors.js";
+
+export const ReportService = {
+  async reportPost(reporterId, postId, dto) {
+    return await ReportRepository.reportPost(reporterId, postId, dto.reason, dto.comment);
+  },
+
+  async reportUser(reporterId, userId, dto) {
+    if (reporterId === userId) {
+      throw new ValidationError("Cannot report yourself", [], "SELF_REPORT");
+    }
+    return await ReportRepository.reportUser(reporterId, userId, dto.reason, dto.comment);
+  },
+};
@@ -0,0 +1,133 @@
+import { pool } from "../config/db.js";
+
+export const EVENTS_CHANNEL = "gophertalk_events";
+
+const RECONNECT_DELAY_MS = 5000;
+
+const subscribers = new Set();
+let listener = null;
+let connecting = null;
+let reconnectTimer = null;
+
+function dispatch(payload) {
+  let event;
+  try {
+    event = JSON.parse(payload);
+  } catch (err) {
+    console.error("Malformed stream event", payload);
+    return;
+  }
+
+  const { event: name, recipient_id: recipientId, ...data } = event;
+  if (name === "session_revoked") {
+    // Потоки отозванной сессии закрываются, клиенту событие не пересылается
+    for (const subscriber of subscribers) {
+      if (subscriber.sessionId === data.session_id) {
+        subscriber.close();
+      }
+    }
+    return;
+  }
+  for (const subscriber of subscribers) {
+    // Уведомления получает только адресат, остальные события — все подписчики
+    if (recipientId !== undefined && Number(recipientId) !== subscriber.userId) {
+      continue;
+    }
+    subscriber.send(name, data);
+  }
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer || subscribers.size === 0) {
+    return;
+  }
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect().catch((err) => {
+      console.error("Stream listener reconnect failed", err);
+      scheduleReconnect();
+    });
+  }, RECONNECT_DELAY_MS);
+}
+
+// Для LISTEN нужно постоянное соединение, поэтому одно соединение из пула
+// удерживается, пока есть хотя бы один подписчик
+async function connect() {
+  if (listener) {
+    return;
+  }
+  if (!connecting) {
+    connecting = (async () => {
+      const client = await pool.connect();
+      client.on("notification", (msg) => dispatch(msg.payload));
+      client.on("error", (err) => {
+        console.error("Stream listener error", err);
+        if (listener === client) {
+          listener = null;
+        }
+        client.release(err);
+        scheduleReconnect();
+      });
+
+      try {
+        await client.query(`LISTEN ${EVENTS_CHANNEL}`);
+      } catch (err) {
+        client.release(err);
+        throw err;
+      }
+      // Все подписчики ушли, пока соединение устанавливалось: disconnect его не застал
+      if (subscribers.size === 0) {
+        await release(client);
+        return;
+      }
+      listener = client;
+    })().finally(() => {
+      connecting = null;
+    });
+  }
+  await connecting;
+}
+
+async function release(client) {
+  try {
+    await client.query(`UNLISTEN ${EVENTS_CHANNEL}`);
+    client.release();
+  } catch (err) {
+    client.release(err);
+  }
+}
+
+async function disconnect() {
+  if (reconnectTimer) {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+  }
+  if (!listener) {
+    return;
+  }
+  const client = listener;
+  listener = null;
+  await release(client);
+}
+
+export const StreamService = {
+  // send(event, data) вызывается для каждого события, адресованного пользователю,
+  // close() — при отзыве сессии sessionId. Возвращает функцию отписки
+  async subscribe(userId, send, { sessionId = null, close = () => {} } = {}) {
+    const subscriber = { userId, sessionId, send, close };
+    subscribers.add(subscriber);
+    try {
+      await connect();
+    } catch (err) {
+      subscribers.delete(subscriber);
+      throw err;
+    }
+
+    return async () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0) {
+        await disconnect();
+      }
+    };
+  },
+};
@@ -0,0 +1,7 @@
+import { TagRepository } from "../repositories/tagRepository.js";
+
+export const TagService = {
+  async getTrendingTags(userId, hours, limit) {
+    return await TagRepository.getTrendingTags(userId, hours, limit);
+  },
+};
@@ -1,9 +1,21 @@
 import bcrypt from "bcrypt";
+import { db } from "../config/db.js";
+import { NotificationRepository } from "../repositories/notificationRepository.js";
+import { SessionRepository } from "../repositories/sessionRepository.js";
+import { TokenRepository } from "../repositories/tokenRepository.js";
 import { UserRepository } from "../repositories/userRepository.js";
+import { ForbiddenError, ValidationError } from "../utils/errors.js";
+
+const PURGE_BATCH_SIZE = 100;
+
+// Срок в днях, в течение которого удалённый аккаунт можно восстановить, по умолчанию 30
+export function accountRetentionDays() {
+  return Number(process.env.ACCOUNT_RETENTION_DAYS) || 30;
+}
 
 export const UserService = {
-  async getAllUsers(limit, offset) {
-    return await UserRepository.getAllUsers(limit, offset);
+  async getAllUsers(filterDTO) {
+    return await UserRepository.getAllUsers(filterDTO);
   },
 
   async getUserById(id) {
@@ -20,7 +32,78 @@ export const UserService = {
     return await UserRepository.updateUser(id, updateFields);
   },
 
+  // Аккаунт скрывается вместе с его постами, а все сессии завершаются;
+  // персональные данные стираются позже, в purgeDeletedUsers
   async deleteUser(id) {
-    return await UserRepository.deleteUser(id);
+    await db.transaction(async () => {
+      await UserRepository.deleteUser(id);
+      await SessionRepository.revokeUserSessions(id);
+      await TokenRepository.revokeUserTokens(id);
+    });
+  },
+
+  // Стирает аккаунты, срок восстановления которых истёк; каждый — в своей транзакции.
+  // Возвращает число стёртых аккаунтов
+  async purgeDeletedUsers() {
+    const retentionDays = accountRetentionDays();
+    let purged = 0;
+    for (;;) {
+      const ids = await UserRepository.getUsersToPurge(retentionDays, PURGE_BATCH_SIZE);
+      for (const id of ids) {
+        if (await db.transaction(() => UserRepository.purgeUser(id, retentionDays))) {
+          purged++;
+        }
+      }
+      if (ids.length < PURGE_BATCH_SIZE) {
+        return purged;
+      }
+    }
+  },
+
+  async followUser(followerId, followeeId) {
+    if (followerId === followeeId) {
+      throw new ValidationError("Cannot follow yourself", [], "SELF_FOLLOW");
+    }
+    if (await UserRepository.isBlocked(followeeId, followerId)) {
+      throw new ForbiddenError("You are blocked by this user", "BLOCKED_BY_USER");
+    }
+    await db.transaction(async () => {
+      await UserRepository.followUser(followerId, followeeId);
+      await NotificationRepository.createForUsers("follow", followerId, [followeeId]);
+    });
+  },
+
+  async unfollowUser(followerId, followeeId) {
+    return await UserRepository.unfollowUser(followerId, followeeId);
+  },
+
+  async blockUser(blockerId, blockedId) {
+    if (blockerId === blockedId) {
+      throw new ValidationError("Cannot block yourself", [], "SELF_BLOCK");
+    }
+    return await UserRepository.blockUser(blockerId, blockedId);
+  },
+
+  async unblockUser(blockerId, blockedId) {
+    return await UserRepository.unblockUser(blockerId, blockedId);
+  },
+
+  async muteUser(muterId, mutedId) {
+    if (muterId === mutedId) {
+      throw new ValidationError("Cannot mute yourself", [], "SELF_MUTE");
+    }
+    return await UserRepository.muteUser(muterId, mutedId);
+  },
+
+  async unmuteUser(muterId, mutedId) {
+    return await UserRepository.unmuteUser(muterId, mutedId);
+  },
+
+  async getFollowers(userId, limit, offset) {
+    return await UserRepository.getFollowers(userId, limit, offset);
+  },
+
+  async getFollowing(userId, limit, offset) {
+    return await UserRepository.getFollowing(userId, limit, offset);
   },
 };
@@ -0,0 +1,56 @@
+import { promisify } from "util";
+import zlib from "zlib";
+
+const gzip = promisify(zlib.gzip);
+
+const BLOCK_SIZE = 512;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), "utf8");
+}
+
+// Числовые поля tar записываются восьмеричными строками с завершающим нулевым байтом
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, "0"), offset, length - 1);
+}
+
+function tarHeader(name, size, mtime) {
+  if (Buffer.byteLength(name) > 100) {
+    throw new Error(`File name is too long for tar archive: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  writeString(header, name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write("0", 156);
+  writeString(header, "ustar\0", 257, 6);
+  writeString(header, "00", 263, 2);
+
+  // Контрольная сумма считается при поле суммы, заполненном пробелами
+  header.fill(" ", 148, 156);
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  writeString(header, checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8);
+  return header;
+}
+
+// Собирает архив .tar.gz из файлов { name, content }; content — строка или Buffer
+export async function createTarGz(files, mtime = new Date()) {
+  const chunks = [];
+  for (const file of files) {
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, "utf8");
+    chunks.push(tarHeader(file.name, content.length, mtime), content);
+    const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      chunks.push(Buffer.alloc(padding));
+    }
+  }
+  // Архив завершается двумя пустыми блоками
+  chunks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return await gzip(Buffer.concat(chunks));
+}
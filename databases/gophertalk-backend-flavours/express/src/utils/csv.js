@@ -0,0 +1,27 @@
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === "object") {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  // Значения с разделителями, кавычками и переводами строк берутся в кавычки (RFC 4180)
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Строит CSV с заголовком из columns; отсутствующие поля остаются пустыми
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvValue).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvValue(row[column])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
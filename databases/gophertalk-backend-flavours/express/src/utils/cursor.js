@@ -0,0 +1,18 @@
+import { ValidationError } from "./errors.js";
+
+// Курсор непрозрачен для клиента: это base64url от JSON с ключом последней записи
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!payload || !Number.isInteger(payload.id) || payload.id <= 0) {
+      throw new Error();
+    }
+    return payload;
+  } catch (err) {
+    throw new ValidationError("Invalid cursor", [], "INVALID_CURSOR");
+  }
+}
@@ -0,0 +1,46 @@
+export const TAG_MAX_LENGTH = 100;
+
+// Хэштег и упоминание должны начинаться с начала текста или после символа,
+// не входящего в слово, чтобы не разбирать email и фрагменты ссылок
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_#])#([\p{L}\p{N}_]+)/gu;
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@])@([a-zA-Z][a-zA-Z0-9_]{0,29})(?![a-zA-Z0-9_])/gu;
+
+export function normalizeTag(tag) {
+  return tag.toLowerCase();
+}
+
+// Разбирает хэштеги и упоминания. start и end — смещения в строке (в UTF-16, как в JavaScript),
+// end не включается
+export function parseEntities(text) {
+  const hashtags = [];
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    // Хэштеги из одних цифр (#1) не считаются тегами
+    if (/^[\p{N}_]+$/u.test(match[1]) || match[1].length > TAG_MAX_LENGTH) {
+      continue;
+    }
+    hashtags.push({
+      tag: normalizeTag(match[1]),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  const mentions = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    mentions.push({
+      user_name: match[1],
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return { hashtags, mentions };
+}
+
+export function uniqueTags(entities) {
+  return [...new Set(entities.hashtags.map((hashtag) => hashtag.tag))];
+}
+
+export function uniqueUserNames(entities) {
+  return [...new Set(entities.mentions.map((mention) => mention.user_name))];
+}
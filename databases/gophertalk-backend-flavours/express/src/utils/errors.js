@@ -0,0 +1,60 @@
+// Коды ошибок Postgres, которые переводятся в доменные ошибки
+export const PG_UNIQUE_VIOLATION = "23505";
+export const PG_FOREIGN_KEY_VIOLATION = "23503";
+
+// Базовая доменная ошибка: кроме сообщения несёт HTTP-статус и машиночитаемый код
+export class AppError extends Error {
+  constructor(message, status = 500, code = "INTERNAL_ERROR") {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = "Not found", code = "NOT_FOUND") {
+    super(message, 404, code);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = "Conflict", code = "CONFLICT") {
+    super(message, 409, code);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = "Forbidden", code = "FORBIDDEN") {
+    super(message, 403, code);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = "Unauthorized", code = "UNAUTHORIZED") {
+    super(message, 401, code);
+  }
+}
+
+// errors — список нарушений вида { path, message }
+export class ValidationError extends AppError {
+  constructor(message = "Validation failed", errors = [], code = "VALIDATION_ERROR") {
+    super(message, 422, code);
+    this.errors = errors;
+  }
+}
+
+// Переводит нарушение ограничения Postgres в доменную ошибку.
+// constraints сопоставляет имя ограничения с ошибкой, которую нужно вернуть вместо общей
+export function mapDbError(err, constraints = {}) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err.code === PG_UNIQUE_VIOLATION) {
+    return constraints[err.constraint] ?? new ConflictError("Resource already exists");
+  }
+  if (err.code === PG_FOREIGN_KEY_VIOLATION) {
+    return constraints[err.constraint] ?? new NotFoundError("Referenced resource not found");
+  }
+  return err;
+}
@@ -0,0 +1,38 @@
+import { ValidationError } from "./errors.js";
+
+// Конфигурации полнотекстового поиска, для которых в миграциях есть GIN-индексы.
+// Имя конфигурации подставляется в SQL литералом, поэтому допускаются только значения из этого списка
+export const SEARCH_LANGUAGES = ["russian", "english"];
+
+export function searchLanguage(lang) {
+  const language = lang || process.env.SEARCH_LANGUAGE || "russian";
+  if (!SEARCH_LANGUAGES.includes(language)) {
+    throw new ValidationError("Unsupported search language", [], "UNSUPPORTED_SEARCH_LANGUAGE");
+  }
+  return language;
+}
+
+// Переводит строку поиска в синтаксис to_tsquery: слова объединяются через &,
+// "фраза в кавычках" ищется как последовательность слов, слово* — как префикс
+export function buildTsQuery(search) {
+  const terms = [];
+  for (const [, phrase, word] of search.matchAll(/"([^"]*)"|(\S+)/g)) {
+    if (phrase !== undefined) {
+      const lexemes = phrase.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      if (lexemes.length > 0) {
+        terms.push(`(${lexemes.map((lexeme) => `'${lexeme}'`).join(" <-> ")})`);
+      }
+      continue;
+    }
+
+    const lexeme = word.replace(/[^\p{L}\p{N}]+/gu, "");
+    if (lexeme) {
+      terms.push(word.endsWith("*") ? `'${lexeme}':*` : `'${lexeme}'`);
+    }
+  }
+
+  if (terms.length === 0) {
+    throw new ValidationError("Invalid search query", [], "INVALID_SEARCH_QUERY");
+  }
+  return terms.join(" & ");
+}
@@ -0,0 +1,12 @@
+// Условие SQL: автор authorId не скрыт от пользователя viewerId — пользователь его не блокировал
+// и не скрывал, и автор не блокировал пользователя. Аргументы — выражения SQL, а не значения
+export function visibleAuthorCondition(authorId, viewerId) {
+  return `
+  ${authorId} NOT IN (
+    SELECT blocked_id FROM blocks WHERE blocker_id = ${viewerId}
+    UNION ALL
+    SELECT blocker_id FROM blocks WHERE blocked_id = ${viewerId}
+    UNION ALL
+    SELECT muted_id FROM mutes WHERE muter_id = ${viewerId}
+  )`;
+}
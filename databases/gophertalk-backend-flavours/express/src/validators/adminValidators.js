@@ -0,0 +1,21 @@
+import { z } from "zod";
+import { paginationValidator } from "./commonValidators.js";
+import { REPORT_REASONS, REPORT_STATUSES } from "./reportValidators.js";
+
+export const updateRoleValidator = z.object({
+  role: z.enum(["user", "moderator", "admin"]),
+});
+
+export const filterAdminUserValidator = paginationValidator.extend({
+  status: z.coerce.number().int().min(0).max(1).optional(),
+});
+
+export const filterReportValidator = paginationValidator.extend({
+  status: z.enum(REPORT_STATUSES).optional(),
+  reason: z.enum(REPORT_REASONS).optional(),
+});
+
+export const updateReportStatusValidator = z.object({
+  status: z.enum(REPORT_STATUSES),
+  note: z.string().max(500).optional(),
+});
@@ -21,6 +21,14 @@ export const loginValidator = z.object({
   password: passwordSchema,
 });
 
+export const refreshValidator = z.object({
+  refresh_token: z.string().min(1),
+});
+
+export const sessionParamsValidator = z.object({
+  id: z.string().uuid(),
+});
+
 export const registerValidator = z
   .object({
     user_name: usernameSchema,
@@ -0,0 +1,14 @@
+import { z } from "zod";
+
+export const MAX_LIMIT = 100;
+
+export const idSchema = z.coerce.number().int().positive();
+
+export const idParamsValidator = z.object({
+  id: idSchema,
+});
+
+export const paginationValidator = z.object({
+  limit: z.coerce.number().int().min(1).max(MAX_LIMIT).default(10),
+  offset: z.coerce.number().int().min(0).default(0),
+});
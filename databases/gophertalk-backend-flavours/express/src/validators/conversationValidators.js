@@ -0,0 +1,19 @@
+import { z } from "zod";
+import { idSchema } from "./commonValidators.js";
+
+export const createConversationValidator = z.object({
+  user_id: idSchema,
+});
+
+export const messagesQueryValidator = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  after: z.string().optional(),
+});
+
+export const createMessageValidator = z.object({
+  text: z.string().min(1).max(1000),
+});
+
+export const markConversationReadValidator = z.object({
+  message_id: idSchema.optional(),
+});
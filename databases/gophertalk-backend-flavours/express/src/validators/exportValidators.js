@@ -0,0 +1,7 @@
+import { z } from "zod";
+import { idSchema } from "./commonValidators.js";
+
+export const exportParamsValidator = z.object({
+  id: idSchema,
+  export_id: idSchema,
+});
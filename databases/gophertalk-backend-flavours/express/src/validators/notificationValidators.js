@@ -0,0 +1,16 @@
+import { z } from "zod";
+import { idSchema } from "./commonValidators.js";
+
+export const notificationsQueryValidator = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  after: z.string().optional(),
+});
+
+export const markReadValidator = z
+  .object({
+    ids: z.array(idSchema).min(1).max(100).optional(),
+    all: z.boolean().optional(),
+  })
+  .refine((data) => data.all === true || data.ids !== undefined, {
+    message: "Either ids or all must be provided",
+  });
@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { idSchema, paginationValidator } from "./commonValidators.js";
 
 export const createPostValidator = z.object({
   text: z.string().min(1).max(280),
@@ -6,16 +7,40 @@ export const createPostValidator = z.object({
     .number()
     .optional()
     .nullable()
-    .refine(val => val === undefined || val > 0, {
+    .refine(val => val === undefined || val === null || val > 0, {
       message: "ReplyToID must be greater than 0",
     }),
+  quote_of_id: z
+    .number()
+    .optional()
+    .nullable()
+    .refine(val => val === undefined || val === null || val > 0, {
+      message: "QuoteOfID must be greater than 0",
+    }),
 });
 
-export const filterPostValidator = z.object({
-  search: z.string().optional(),
-  owner_id: z.string().regex(/^\d+$/).optional(),
-  user_id: z.string().regex(/^\d+$/).optional(),
-  reply_to_id: z.string().regex(/^\d+$/).optional(),
-  limit: z.string().regex(/^\d+$/).optional(),
-  offset: z.string().regex(/^\d+$/).optional(),
+export const updatePostValidator = z.object({
+  text: z.string().min(1).max(280),
+});
+
+export const filterPostValidator = paginationValidator
+  .extend({
+    search: z.string().max(100).optional(),
+    lang: z.enum(["russian", "english"]).optional(),
+    owner_id: idSchema.optional(),
+    user_id: idSchema.optional(),
+    reply_to_id: idSchema.optional(),
+    feed: z.enum(["global", "home"]).default("global"),
+    pagination: z.enum(["offset", "cursor"]).default("offset"),
+    before: z.string().optional(),
+    after: z.string().optional(),
+  })
+  .refine((data) => data.before === undefined || data.after === undefined, {
+    message: "Only one of before or after can be provided",
+    path: ["before"],
+  });
+
+export const threadQueryValidator = z.object({
+  depth: z.coerce.number().int().min(1).max(10).default(3),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
 });
@@ -0,0 +1,19 @@
+import { z } from "zod";
+
+export const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate_speech",
+  "violence",
+  "sexual_content",
+  "misinformation",
+  "impersonation",
+  "other",
+];
+
+export const REPORT_STATUSES = ["open", "reviewing", "actioned", "dismissed"];
+
+export const createReportValidator = z.object({
+  reason: z.enum(REPORT_REASONS),
+  comment: z.string().max(500).optional(),
+});
@@ -0,0 +1,27 @@
+import { z } from "zod";
+import { normalizeTag, TAG_MAX_LENGTH } from "../utils/entities.js";
+import { paginationValidator } from "./commonValidators.js";
+
+export const tagParamsValidator = z.object({
+  tag: z
+    .string()
+    .max(TAG_MAX_LENGTH)
+    .regex(/^[\p{L}\p{N}_]+$/u, "Must contain only letters, digits or underscore")
+    .transform(normalizeTag),
+});
+
+export const tagPostsQueryValidator = paginationValidator
+  .extend({
+    pagination: z.enum(["offset", "cursor"]).default("offset"),
+    before: z.string().optional(),
+    after: z.string().optional(),
+  })
+  .refine((data) => data.before === undefined || data.after === undefined, {
+    message: "Only one of before or after can be provided",
+    path: ["before"],
+  });
+
+export const trendingQueryValidator = z.object({
+  hours: z.coerce.number().int().min(1).max(168).default(24),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+});
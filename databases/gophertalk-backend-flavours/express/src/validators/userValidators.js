@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { paginationValidator } from "./commonValidators.js";
 
 const usernameSchema = z
   .string()
@@ -46,3 +47,16 @@ export const updateUserValidator = z
       path: ["password_confirm"],
     }
   );
+
+const dateSchema = z.string().refine((value) => !isNaN(Date.parse(value)), {
+  message: "Must be a valid date",
+});
+
+export const filterUserValidator = paginationValidator.extend({
+  search: z.string().min(1).max(30).optional(),
+  sort: z
+    .enum(["relevance", "created_at_asc", "created_at_desc", "user_name_asc", "user_name_desc"])
+    .optional(),
+  created_from: dateSchema.optional(),
+  created_to: dateSchema.optional(),
+});